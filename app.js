@@ -2,23 +2,53 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const indexRouter = require('./routes/index');
-const { handleGetFacilitySignups, handleGetElearningCodes } = require('./functions/webhooks');
+const apiRouter = require('./routes/api');
+const dashboardRouter = require('./routes/dashboard');
+const {
+  handleGetFacilitySignups,
+  handleGetElearningCodes,
+  handleGetSyncJob,
+  resumeSyncJobs
+} = require('./functions/webhooks');
+const { migrateUp } = require('./functions/migrations');
+const { verifyWebhookSignature, captureRawBody } = require('./functions/webhookAuth');
+const { startScheduler } = require('./functions/scheduler');
+const { startEventDispatcher } = require('./functions/eventDelivery');
+const { requestLogging } = require('./functions/requestLogging');
+const { createLogger } = require('./functions/logger');
+
+const log = createLogger('app');
 
 const app = express();
 const PORT = 3000;
 
-// Middleware for parsing JSON bodies
-app.use(express.json());
+// Request ids and access logs, first so every request is logged
+app.use(requestLogging);
+
+// Middleware for parsing JSON bodies (the raw body is kept for webhook signatures)
+app.use(express.json({ verify: captureRawBody }));
 
 // Serve static files from the "public" directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Every webhook request must carry a valid HMAC signature
+app.use('/webhook', verifyWebhookSignature);
+
 // Webhook endpoint for "Get Facility Signups"
 app.post('/webhook/get-facility-signups', handleGetFacilitySignups);
 
 // Webhook endpoint for "Get E-Learning Codes"
 app.post('/webhook/get-elearning-codes', handleGetElearningCodes);
 
+// Status, progress and result of a background sync job
+app.get('/webhook/jobs/:id', handleGetSyncJob);
+
+// Read API for the synced tables
+app.use('/api', apiRouter);
+
+// Data and actions behind the operations dashboard (login required)
+app.use('/dashboard/api', dashboardRouter);
+
 // Use the router for handling routes
 app.use('/', indexRouter);
 
@@ -27,6 +57,35 @@ app.use((req, res, next) => {
     res.status(404).sendFile(path.join(__dirname, 'views', '404.html'));
   });
 
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}/`);
+/**
+ * Start the HTTP server, applying pending migrations first when
+ * MIGRATE_ON_BOOT is "true"
+ */
+const start = async () => {
+  if (process.env.MIGRATE_ON_BOOT === 'true') {
+    log.info('MIGRATE_ON_BOOT is enabled, applying pending migrations');
+    await migrateUp();
+  }
+
+  app.listen(PORT, () => {
+    log.info(`Server running at http://localhost:${PORT}/`, { port: PORT });
+  });
+
+  // Jobs queued before a restart
+  try {
+    await resumeSyncJobs();
+  } catch (error) {
+    log.error('Could not resume queued sync jobs', { error });
+  }
+
+  // Periodic syncs configured with SYNC_SIGNUPS_CRON / SYNC_ELEARNING_CODES_CRON
+  startScheduler();
+
+  // Outbound events, when EVENT_SUBSCRIBERS_FILE is set
+  startEventDispatcher();
+};
+
+start().catch((error) => {
+  log.error('Failed to start server', { error });
+  process.exit(1);
 });
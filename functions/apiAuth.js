@@ -0,0 +1,65 @@
+/**
+ * Bearer token authentication for the read API
+ */
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('apiAuth');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True when both strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Get the configured API tokens from API_TOKENS (comma separated)
+ * @returns {Array<string>} - Configured tokens
+ */
+const getApiTokens = () => {
+  return (process.env.API_TOKENS || '')
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Express middleware requiring `Authorization: Bearer <token>`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireApiToken = (req, res, next) => {
+  const tokens = getApiTokens();
+
+  if (tokens.length === 0) {
+    log.error('API request rejected: API_TOKENS environment variable is not set');
+    return res.status(503).json({
+      status: 'error',
+      error: 'API is not configured'
+    });
+  }
+
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match || !tokens.some((token) => safeEqual(token, match[1].trim()))) {
+    return res.status(401).json({
+      status: 'error',
+      error: 'Invalid or missing API token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  safeEqual,
+  requireApiToken
+};
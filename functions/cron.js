@@ -0,0 +1,148 @@
+/**
+ * Minimal five-field cron expression parser
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-7, 0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Each field accepts `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`)
+ * and comma separated lists. Times are evaluated in the server's local timezone.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a matching time after this many years
+const MAX_YEARS_AHEAD = 5;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Object} - { values: Set<number>, wildcard: boolean } where
+ *   wildcard is true for fields starting with `*` (also `*\/2`), which
+ *   Vixie cron treats as unrestricted when combining the day fields
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${field.name} field: "${text}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    let from = field.min;
+    let to = field.max;
+
+    if (range !== '*') {
+      from = parseInt(start, 10);
+      to = end !== undefined ? parseInt(end, 10) : (step !== undefined ? field.max : from);
+    }
+
+    const increment = step !== undefined ? parseInt(step, 10) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw new Error(`Cron ${field.name} field out of range: "${part}"`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: text.startsWith('*') };
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} - Parsed schedule
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return { expression, minute, hour, dayOfMonth, month, dayOfWeek };
+};
+
+/**
+ * Check whether a date's day matches the schedule. Like standard cron, when
+ * both day fields are restricted (neither starts with `*`) a day matching
+ * either of them is enough.
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True when the day matches
+ */
+const dayMatches = (schedule, date) => {
+  const domMatch = schedule.dayOfMonth.values.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.values.has(date.getDay());
+
+  if (schedule.dayOfMonth.wildcard || schedule.dayOfWeek.wildcard) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+};
+
+/**
+ * Find the next time after `from` matching the schedule
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} [from] - Start time (exclusive), defaults to now
+ * @returns {Date} - Next matching time
+ */
+const nextRun = (schedule, from = new Date()) => {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_YEARS_AHEAD);
+
+  while (date <= limit) {
+    if (!parsed.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression never matches: "${parsed.expression}"`);
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,111 @@
+/**
+ * Data for the operations dashboard
+ */
+const { storage } = require('./database');
+const { listFacilities } = require('./facilities');
+
+// Entries in the recent errors and recent jobs lists
+const RECENT_LIMIT = 10;
+
+/**
+ * Count active and removed rows of the synced tables
+ * @returns {Promise<Object>} - table -> { active, removed }
+ */
+const countRows = async () => {
+  const result = await storage.query(`
+    SELECT 'get_facility_signups' AS table_name,
+      CAST(count(*) FILTER (WHERE removed_at IS NULL) AS integer) AS active,
+      CAST(count(*) FILTER (WHERE removed_at IS NOT NULL) AS integer) AS removed
+    FROM get_facility_signups
+    UNION ALL
+    SELECT 'get_elearning_codes',
+      CAST(count(*) FILTER (WHERE removed_at IS NULL) AS integer),
+      CAST(count(*) FILTER (WHERE removed_at IS NOT NULL) AS integer)
+    FROM get_elearning_codes
+    UNION ALL
+    SELECT 'course_info', CAST(count(*) AS integer), 0 FROM course_info
+    UNION ALL
+    SELECT 'identity_links', CAST(count(*) AS integer), 0 FROM identity_links
+    UNION ALL
+    SELECT 'dead_letters',
+      CAST(count(*) FILTER (WHERE status = 'pending') AS integer),
+      CAST(count(*) FILTER (WHERE status <> 'pending') AS integer)
+    FROM dead_letters
+  `);
+
+  const counts = {};
+  for (const row of result.rows) {
+    counts[row.table_name] = { active: row.active, removed: row.removed };
+  }
+  return counts;
+};
+
+/**
+ * Get everything the dashboard home shows: facilities with the last run of
+ * each sync type, row counts, recent failed runs, pending dead letters and
+ * recent jobs
+ * @returns {Promise<Object>} - Overview
+ */
+const getDashboardOverview = async () => {
+  const facilities = await listFacilities();
+
+  const lastRuns = await storage.query(`
+    SELECT facility_id, sync_type, trigger, status, started_at, finished_at,
+      duration_ms, rows_fetched, rows_failed, error
+    FROM (
+      SELECT *, row_number() OVER (PARTITION BY facility_id, sync_type ORDER BY started_at DESC) AS position
+      FROM sync_runs
+    ) runs
+    WHERE position = 1
+    ORDER BY facility_id, sync_type
+  `);
+
+  const recentErrors = await storage.query(
+    `SELECT id, facility_id, sync_type, trigger, status, started_at, rows_failed, error
+     FROM sync_runs
+     WHERE status IN ('error', 'partial')
+     ORDER BY started_at DESC
+     LIMIT $1`,
+    [RECENT_LIMIT]
+  );
+
+  const deadLetters = await storage.query(
+    `SELECT id, record_type, record_key, facility_id, stage, error, created_at
+     FROM dead_letters
+     WHERE status = 'pending'
+     ORDER BY id DESC
+     LIMIT $1`,
+    [RECENT_LIMIT]
+  );
+
+  const jobs = await storage.query(
+    `SELECT id, sync_type, facility_id, trigger, requested_by, status, progress,
+       error, created_at, started_at, finished_at
+     FROM sync_jobs
+     ORDER BY id DESC
+     LIMIT $1`,
+    [RECENT_LIMIT]
+  );
+
+  const runsByFacility = new Map();
+  for (const run of lastRuns.rows) {
+    const runs = runsByFacility.get(run.facility_id) || {};
+    runs[run.sync_type] = run;
+    runsByFacility.set(run.facility_id, runs);
+  }
+
+  return {
+    facilities: facilities.map((facility) => ({
+      ...facility,
+      last_runs: runsByFacility.get(facility.facility_id) || {}
+    })),
+    counts: await countRows(),
+    recent_errors: recentErrors.rows,
+    dead_letters: deadLetters.rows,
+    jobs: jobs.rows
+  };
+};
+
+module.exports = {
+  getDashboardOverview
+};
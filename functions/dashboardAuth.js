@@ -0,0 +1,307 @@
+/**
+ * Login and sessions for the operations dashboard
+ *
+ *   DASHBOARD_USERS          - comma separated "username:passwordhash" entries
+ *                              (hashes from `npm run dashboard:password`)
+ *   DASHBOARD_SESSION_SECRET - key signing the session cookie (at least 32 characters)
+ *   DASHBOARD_SESSION_HOURS  - session lifetime, default 8
+ *
+ * The session is a signed cookie holding the username, the expiry and a
+ * CSRF token. Requests that change something must send the token in the
+ * X-CSRF-Token header.
+ */
+const crypto = require('crypto');
+const { safeEqual } = require('./apiAuth');
+const { createLogger } = require('./logger');
+
+const log = createLogger('dashboardAuth');
+
+const SESSION_COOKIE = 'dashboard_session';
+const DEFAULT_SESSION_HOURS = 8;
+const MIN_SECRET_LENGTH = 32;
+
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_KEY_LENGTH = 64;
+
+// Failed logins allowed per client address within the window
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Client addresses tracked at once; the oldest is dropped to make room
+const MAX_TRACKED_ADDRESSES = 10000;
+// address -> { count, since }, in order of `since`
+const failedLogins = new Map();
+// Checked against for unknown usernames, so they take as long as known ones
+let unknownUserHash = null;
+
+/**
+ * Hash a dashboard password
+ * @param {string} password - Plain password
+ * @returns {string} - "scrypt$<salt>$<hash>" (base64 parts)
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `${HASH_PREFIX}$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain password
+ * @param {string} stored - Stored hash
+ * @returns {boolean} - True when the password matches
+ */
+const verifyPassword = (password, stored) => {
+  const [prefix, salt, hash] = String(stored).split('$');
+  if (prefix !== HASH_PREFIX || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  if (expected.length === 0) {
+    return false;
+  }
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Get the dashboard users from DASHBOARD_USERS
+ * @returns {Map<string, string>} - username -> password hash
+ */
+const getDashboardUsers = () => {
+  const users = new Map();
+  for (const entry of (process.env.DASHBOARD_USERS || '').split(',')) {
+    const index = entry.indexOf(':');
+    if (index > 0) {
+      users.set(entry.slice(0, index).trim(), entry.slice(index + 1).trim());
+    }
+  }
+  return users;
+};
+
+/**
+ * Check whether the dashboard has users and a usable session secret
+ * @returns {boolean} - True when logins are possible
+ */
+const isDashboardConfigured = () => {
+  return getDashboardUsers().size > 0 &&
+    (process.env.DASHBOARD_SESSION_SECRET || '').length >= MIN_SECRET_LENGTH;
+};
+
+/**
+ * Get the session lifetime from DASHBOARD_SESSION_HOURS
+ * @returns {number} - Lifetime in milliseconds
+ */
+const getSessionTtlMs = () => {
+  const hours = parseFloat(process.env.DASHBOARD_SESSION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Sign a session payload
+ * @param {string} payload - base64url payload
+ * @returns {string} - base64url HMAC-SHA256
+ */
+const sign = (payload) => {
+  return crypto.createHmac('sha256', process.env.DASHBOARD_SESSION_SECRET).update(payload).digest('base64url');
+};
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header] - Cookie header value
+ * @returns {Object} - Cookie values by name
+ */
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+};
+
+/**
+ * Read and check the session cookie of a request
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { username, expires, csrf }, or null without a valid session
+ */
+const getSession = (req) => {
+  if (!isDashboardConfigured()) {
+    return null;
+  }
+  const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const [payload, signature] = String(cookie || '').split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) {
+    return null;
+  }
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  // Sessions of users removed from DASHBOARD_USERS end at once
+  if (!session || session.expires < Date.now() || !getDashboardUsers().has(session.username)) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Build the Set-Cookie options for the session cookie
+ * @param {Object} req - Express request
+ * @param {number} maxAge - Lifetime in milliseconds
+ * @returns {Object} - Express cookie options
+ */
+const cookieOptions = (req, maxAge) => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: req.secure,
+  path: '/',
+  maxAge
+});
+
+/**
+ * Forget failed logins whose window has passed. Entries are kept in the
+ * order they started, so the scan stops at the first one still counting.
+ */
+const pruneFailedLogins = () => {
+  const now = Date.now();
+  for (const [address, entry] of failedLogins) {
+    if (now - entry.since <= FAILED_LOGIN_WINDOW_MS) {
+      break;
+    }
+    failedLogins.delete(address);
+  }
+};
+
+/**
+ * Check whether a client address has used up its failed logins
+ * @param {string} address - Client address
+ * @returns {boolean} - True when logins are blocked for now
+ */
+const isLoginBlocked = (address) => {
+  pruneFailedLogins();
+  const entry = failedLogins.get(address);
+  return Boolean(entry) && entry.count >= MAX_FAILED_LOGINS;
+};
+
+/**
+ * Record a failed login
+ * @param {string} address - Client address
+ */
+const recordFailedLogin = (address) => {
+  let entry = failedLogins.get(address);
+  if (!entry) {
+    pruneFailedLogins();
+    if (failedLogins.size >= MAX_TRACKED_ADDRESSES) {
+      failedLogins.delete(failedLogins.keys().next().value);
+    }
+    entry = { count: 0, since: Date.now() };
+    failedLogins.set(address, entry);
+  }
+  entry.count++;
+};
+
+/**
+ * Check a username and password and start a session
+ * @param {Object} req - Express request (form body with username and password)
+ * @param {Object} res - Express response (receives the session cookie)
+ * @returns {string|null} - Error code ('not_configured', 'blocked' or
+ *   'invalid'), or null when logged in
+ */
+const logIn = (req, res) => {
+  if (!isDashboardConfigured()) {
+    return 'not_configured';
+  }
+  if (isLoginBlocked(req.ip)) {
+    return 'blocked';
+  }
+
+  const username = String((req.body && req.body.username) || '');
+  const password = String((req.body && req.body.password) || '');
+  const stored = getDashboardUsers().get(username);
+  if (!unknownUserHash) {
+    unknownUserHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  const valid = verifyPassword(password, stored || unknownUserHash) && Boolean(stored);
+  if (!valid) {
+    recordFailedLogin(req.ip);
+    // The attempted user name is left out: it is sometimes a mistyped password
+    log.warn('Failed dashboard login', { ip: req.ip });
+    return 'invalid';
+  }
+
+  failedLogins.delete(req.ip);
+  const ttl = getSessionTtlMs();
+  const payload = Buffer.from(JSON.stringify({
+    username,
+    expires: Date.now() + ttl,
+    csrf: crypto.randomBytes(24).toString('base64url')
+  })).toString('base64url');
+  res.cookie(SESSION_COOKIE, `${payload}.${sign(payload)}`, cookieOptions(req, ttl));
+  log.info('Dashboard login', { dashboard_user: username, ip: req.ip });
+  return null;
+};
+
+/**
+ * End the session of a request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const logOut = (req, res) => {
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req, undefined));
+};
+
+/**
+ * Express middleware for dashboard pages: redirects to /login without a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireDashboardPage = (req, res, next) => {
+  const session = getSession(req);
+  if (!session) {
+    return res.redirect('/login');
+  }
+  req.dashboardSession = session;
+  next();
+};
+
+/**
+ * Express middleware for dashboard API calls: 401 without a session, 403
+ * for changes without the session's CSRF token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireDashboardSession = (req, res, next) => {
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({
+      status: 'error',
+      error: 'Not logged in'
+    });
+  }
+  if (!['GET', 'HEAD'].includes(req.method) && !safeEqual(String(req.get('x-csrf-token') || ''), session.csrf)) {
+    return res.status(403).json({
+      status: 'error',
+      error: 'Missing or invalid CSRF token'
+    });
+  }
+  req.dashboardSession = session;
+  next();
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isDashboardConfigured,
+  getSession,
+  logIn,
+  logOut,
+  requireDashboardPage,
+  requireDashboardSession
+};
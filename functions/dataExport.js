@@ -0,0 +1,289 @@
+/**
+ * Streaming CSV and XLSX export of the synced tables
+ *
+ * Rows are read through a database cursor in batches and written to the
+ * response as they arrive, so an export never holds a whole table in
+ * memory. Exports take the same filters, search and sort as the list
+ * endpoints.
+ * Columns come from the list definitions, which never contain credential
+ * fields; columns the field policy hashes or encrypts are left out too.
+ */
+const ExcelJS = require('exceljs');
+const { storage } = require('./database');
+const { getFieldPolicy } = require('./fieldPolicy');
+const { createLogger } = require('./logger');
+const {
+  QueryError,
+  TABLES,
+  buildListConditions,
+  parseSort
+} = require('./queries');
+
+const log = createLogger('dataExport');
+
+// Rows fetched from the cursor per round trip
+const BATCH_SIZE = 1000;
+
+const EXPORTS = {
+  signups: TABLES.signups,
+  courses: TABLES.courses,
+  'elearning-codes': TABLES.elearningCodes
+};
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Text starting with these is read as a formula by spreadsheet applications
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Work out what to export from the route and query string
+ * @param {string} name - Export name from the route
+ * @param {Object} query - Express req.query (format, columns, filters, sort)
+ * @returns {Object} - { definition, format, columns, sql, params }
+ */
+const buildExport = (name, query = {}) => {
+  const definition = EXPORTS[name];
+  if (!definition) {
+    throw new QueryError(`Unknown export: ${name} (expected ${Object.keys(EXPORTS).join(', ')})`);
+  }
+
+  const format = query.format === undefined ? 'csv' : String(query.format);
+  if (!FORMATS[format]) {
+    throw new QueryError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const policy = getFieldPolicy();
+  const available = definition.columns.filter((column) => !policy[column] || policy[column] === 'allow');
+  let columns = available;
+  if (query.columns !== undefined && query.columns !== '') {
+    if (typeof query.columns !== 'string') {
+      throw new QueryError('columns must be a comma separated list');
+    }
+    columns = query.columns.split(',').map((column) => column.trim()).filter(Boolean);
+    const unknown = columns.filter((column) => !available.includes(column));
+    if (unknown.length > 0 || columns.length === 0) {
+      throw new QueryError(`columns must be chosen from: ${available.join(', ')}`);
+    }
+  }
+
+  const params = [];
+  const conditions = buildListConditions(definition, query, params);
+  const sort = parseSort(definition, query.sort);
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const orderBy = sort.column === definition.key
+    ? `${definition.key} ${direction}`
+    : `${sort.column} ${direction} NULLS LAST, ${definition.key} ${direction}`;
+
+  const sql = `
+    SELECT ${columns.join(', ')}
+    FROM ${definition.table}
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ${orderBy}
+  `;
+
+  return { definition, format, columns, sql, params };
+};
+
+/**
+ * Convert a value to spreadsheet text
+ * @param {*} value - Column value
+ * @returns {string} - Text (empty for NULL)
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+    return `'${value}`;
+  }
+  return String(value);
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Column values
+ * @returns {string} - CSV line with CRLF
+ */
+const toCsvLine = (values) => {
+  return values.map((value) => {
+    const text = toText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
+/**
+ * Convert a value for an XLSX cell: numbers and timestamps keep their type
+ * @param {*} value - Column value
+ * @returns {*} - Cell value
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'number' || value instanceof Date) {
+    return value;
+  }
+  return toText(value);
+};
+
+/**
+ * Wait until the response has room for more data, or the client went away
+ * @param {Object} res - Express response
+ * @returns {Promise<void>} - Resolves on 'drain' or 'close'
+ */
+const waitForDrain = (res) => {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+/**
+ * Let queued work run (such as streams piping into the response)
+ * @returns {Promise<void>} - Resolves on the next turn of the event loop
+ */
+const nextTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Create the writer for a format
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} res - Express response
+ * @param {string} sheetName - Worksheet name (xlsx)
+ * @param {Array<string>} columns - Header row
+ * @returns {Object} - { writeRows(rows): Promise, finish(): Promise }
+ */
+const createWriter = (format, res, sheetName, columns) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false
+    });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.addRow(columns).commit();
+    return {
+      writeRows: async (rows) => {
+        for (const row of rows) {
+          sheet.addRow(columns.map((column) => toCell(row[column]))).commit();
+        }
+        // The workbook pipes into res without passing backpressure back, so let the
+        // committed rows reach res and wait for the client while res is full
+        await nextTurn();
+        while (res.writableNeedDrain && !res.destroyed) {
+          await waitForDrain(res);
+          await nextTurn();
+        }
+      },
+      finish: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  // Byte order mark so spreadsheet applications read the file as UTF-8
+  res.write(`\uFEFF${toCsvLine(columns)}`);
+  return {
+    writeRows: async (rows) => {
+      const ok = res.write(rows.map((row) => toCsvLine(columns.map((column) => row[column]))).join(''));
+      if (!ok) {
+        // Wait for the client to catch up (or go away)
+        await waitForDrain(res);
+      }
+    },
+    finish: async () => {
+      res.end();
+    }
+  };
+};
+
+/**
+ * Express handler for GET /api/exports/:name
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const handleExport = async (req, res) => {
+  let plan;
+  try {
+    plan = buildExport(req.params.name, req.query);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    log.error('Error preparing export', { export: req.params.name, error });
+    return res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+
+  let cursor;
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  try {
+    // Dates come back as written ('YYYY-MM-DD'), not as midnight timestamps
+    cursor = await storage.openCursor(plan.sql, plan.params);
+    // Read the first batch before sending headers, so a query error is still a JSON 500
+    let rows = await cursor.read(BATCH_SIZE);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.setHeader('Content-Type', FORMATS[plan.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}-${date}.${plan.format}"`);
+
+    const writer = createWriter(plan.format, res, req.params.name, plan.columns);
+    let count = 0;
+    while (rows.length > 0 && !aborted) {
+      await writer.writeRows(rows);
+      count += rows.length;
+      rows = await cursor.read(BATCH_SIZE);
+    }
+
+    if (aborted) {
+      log.warn('Export cancelled by the client', { export: req.params.name, rows: count });
+      return;
+    }
+    await writer.finish();
+    log.info('Export finished', { export: req.params.name, format: plan.format, rows: count });
+  } catch (error) {
+    log.error('Error exporting', { export: req.params.name, error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        error: 'Internal server error'
+      });
+    } else {
+      // The status is already sent; cut the download short so it is not mistaken for complete
+      res.destroy(error);
+    }
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  buildExport,
+  handleExport
+};
@@ -1,176 +1,593 @@
 /**
- * Database functions for PostgreSQL operations
+ * Database functions for the sync tables, on the storage backend selected by
+ * DATABASE_URL (see functions/storage.js)
  */
-const { Pool } = require('pg');
+const { getStorage } = require('./storage');
+const { getFieldPolicy, applyStoragePolicy, decryptField } = require('./fieldPolicy');
+const {
+  SIGNUP_SCHEMA,
+  COURSE_SCHEMA,
+  ELEARNING_CODE_SCHEMA,
+  validateRecords,
+  validateCourses
+} = require('./portalSchema');
+const { getEventSubscribers, buildEvents, saveEvents } = require('./events');
+const { createLogger } = require('./logger');
 
-// Create connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
+const storage = getStorage();
+const log = createLogger('database');
+
+// Rows written per chunk. On Postgres each chunk is a single statement whose
+// rows travel as one JSON parameter.
+const DEFAULT_CHUNK_SIZE = 5000;
+
+// Entries per list in a dry-run preview (inserted, updated, failed)
+const DRY_RUN_LIST_LIMIT = 1000;
+
+/**
+ * Get the bulk upsert chunk size from UPSERT_CHUNK_SIZE
+ * @returns {number} - Rows per statement
+ */
+const getChunkSize = () => {
+  const value = parseInt(process.env.UPSERT_CHUNK_SIZE, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CHUNK_SIZE;
+};
+
+/**
+ * Upsert target tables: column names with their SQL types, the conflict key,
+ * columns that are only written on insert, whether rows are soft deleted
+ * (removed_at) when they disappear from the portal, and optionally a history
+ * table recording every change to some of the columns
+ */
+const SIGNUPS_TABLE = {
+  table: 'get_facility_signups',
+  key: 'user_id',
+  insertOnly: ['created_at'],
+  softDelete: true,
+  columns: [
+    ['user_id', 'integer'], ['id', 'integer'], ['facility_id', 'integer'],
+    ['user_uuid', 'text'], ['username', 'text'], ['name', 'text'], ['email', 'text'],
+    ['email_verified_at', 'timestamptz'], ['password', 'text'], ['remember_token', 'text'],
+    ['created_at', 'timestamptz'], ['updated_at', 'timestamptz'],
+    ['created_user_id', 'integer'], ['updated_user_id', 'integer'], ['instance_id', 'integer'],
+    ['prefix_id', 'integer'], ['first_name', 'text'], ['middle_name', 'text'], ['last_name', 'text'],
+    ['suffix_id', 'integer'], ['gender', 'integer'], ['member_number', 'text'],
+    ['region_id', 'integer'], ['login_count', 'integer'], ['login_stamp', 'timestamptz'],
+    ['status_id', 'integer'], ['user_level_id', 'integer'], ['admin_level_id', 'integer'],
+    ['dob', 'date'], ['meta_data', 'jsonb'], ['external_ids', 'jsonb'], ['biometric_key', 'text'],
+    ['biometric_expiration', 'timestamptz'], ['reward_program', 'text'],
+    ['member_added_date', 'timestamptz']
+  ]
+};
+
+const COURSES_TABLE = {
+  table: 'course_info',
+  key: 'course_id',
+  insertOnly: [],
+  softDelete: false,
+  columns: [
+    ['course_id', 'integer'], ['agency', 'text'], ['agency_id', 'integer'], ['label', 'text']
+  ]
+};
+
+const ELEARNING_CODES_TABLE = {
+  table: 'get_elearning_codes',
+  key: 'id',
+  insertOnly: ['created_at'],
+  softDelete: true,
+  history: {
+    table: 'elearning_code_history',
+    keyColumn: 'code_id',
+    fields: ['status_id', 'status_label', 'signup_date', 'help_date']
+  },
+  columns: [
+    ['id', 'integer'], ['user_id', 'integer'], ['course_id', 'integer'], ['user_name', 'text'],
+    ['first_name', 'text'], ['middle_name', 'text'], ['last_name', 'text'], ['dob', 'date'],
+    ['email', 'text'], ['facility_id', 'integer'], ['facility_name', 'text'],
+    ['facility_number', 'text'], ['office_id', 'integer'], ['agency_id', 'integer'],
+    ['agency', 'text'], ['course_name', 'text'], ['course_meta', 'text'], ['moodle_id', 'integer'],
+    ['instance_id', 'integer'], ['prefix_id', 'integer'], ['suffix_id', 'integer'],
+    ['status_id', 'integer'], ['status_label', 'text'], ['signup_code', 'text'],
+    ['signup_date', 'timestamptz'], ['help_date', 'timestamptz'],
+    ['created_at', 'timestamptz'], ['updated_at', 'timestamptz']
+  ]
+};
+
+/**
+ * Drop earlier duplicates of the same key so a chunk never upserts a row
+ * twice (Postgres rejects that). The last occurrence wins, as it did when
+ * rows were written one at a time.
+ * @param {Array<Object>} entries - { index, row }
+ * @param {string} key - Key column
+ * @returns {Array<Object>} - Entries with unique keys, in original order
+ */
+const dedupeByKey = (entries, key) => {
+  const lastIndex = new Map();
+  entries.forEach((entry, position) => lastIndex.set(entry.row[key], position));
+  return entries.filter((entry, position) => lastIndex.get(entry.row[key]) === position);
+};
+
+/**
+ * Upsert rows into a table in chunks (see upsertRows in functions/storage.js).
+ * Existing rows are only touched when a value changed; tables with history
+ * get a history row per changed field.
+ *
+ * With `isolateFailures` each chunk runs under a savepoint; a failing chunk
+ * is rolled back and split in half until the failing rows are found, so one
+ * bad row costs a few extra round trips instead of failing the whole set.
+ * Without it the first error is thrown.
+ *
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} spec - Table spec
+ * @param {Array<Object>} rows - Row objects keyed by column name
+ * @param {Object} [options] - { isolateFailures, label, runId (recorded in history rows),
+ *   onProgress: called after each chunk with { label, batch, batches, rows_done, rows_total } }
+ * @returns {Promise<Object>} - { inserted, updated, unchanged, restored,
+ *   errors: [{ index, key, error }], changes: [{ index, inserted, restored,
+ *   previous }] for the inserted and updated rows, chunks }
+ */
+const bulkUpsert = async (client, spec, rows, { isolateFailures = false, label = spec.table, runId = null, onProgress = null } = {}) => {
+  const chunkSize = getChunkSize();
+  const entries = dedupeByKey(rows.map((row, index) => ({ index, row })), spec.key);
+  const batches = Math.ceil(entries.length / chunkSize);
+  const outcome = { inserted: 0, updated: 0, unchanged: 0, restored: 0, errors: [], changes: [], chunks: 0 };
+
+  const runChunk = async (chunk) => {
+    const changed = await storage.upsertRows(client, spec, chunk.map((entry) => entry.row), runId);
+    const indexes = new Map(chunk.map((entry) => [String(entry.row[spec.key]), entry.index]));
+    for (const row of changed) {
+      outcome.changes.push({
+        index: indexes.get(String(row.key)),
+        inserted: row.inserted,
+        restored: row.restored,
+        previous: row.previous || null
+      });
+      if (row.inserted) {
+        outcome.inserted++;
+      } else {
+        outcome.updated++;
+      }
+      if (row.restored) {
+        outcome.restored++;
+      }
+    }
+    outcome.unchanged += chunk.length - changed.length;
+  };
+
+  const runIsolated = async (chunk) => {
+    await client.query('SAVEPOINT bulk_upsert');
+    try {
+      await runChunk(chunk);
+      await client.query('RELEASE SAVEPOINT bulk_upsert');
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT bulk_upsert');
+      await client.query('RELEASE SAVEPOINT bulk_upsert');
+
+      if (chunk.length === 1) {
+        outcome.errors.push({ index: chunk[0].index, key: chunk[0].row[spec.key], error: error.message });
+        log.error(`Error upserting ${label} row`, { key: chunk[0].row[spec.key], index: chunk[0].index, error });
+        return;
+      }
+
+      const middle = Math.ceil(chunk.length / 2);
+      await runIsolated(chunk.slice(0, middle));
+      await runIsolated(chunk.slice(middle));
+    }
+  };
+
+  for (let start = 0; start < entries.length; start += chunkSize) {
+    const chunk = entries.slice(start, start + chunkSize);
+    outcome.chunks++;
+
+    if (isolateFailures) {
+      await runIsolated(chunk);
+    } else {
+      await runChunk(chunk);
+    }
+
+    const done = Math.min(start + chunkSize, entries.length);
+    log.info(`Upserted ${label} rows`, { rows_done: done, rows_total: entries.length, errors: outcome.errors.length });
+    if (onProgress) {
+      onProgress({ label, batch: outcome.chunks, batches, rows_done: done, rows_total: entries.length });
+    }
   }
-});
+
+  return outcome;
+};
 
 /**
- * Insert facility signups data into get_facility_signups table
- * @param {Array} users - Array of user objects from the API response
- * @returns {Promise<Object>} - Result of the database operation
+ * Read the current rows of a table for a set of keys
+ * @param {Object} client - Database client
+ * @param {Object} spec - Table spec
+ * @param {Array} keys - Key values
+ * @returns {Promise<Map<string, Object>>} - String key -> row
  */
-const insertFacilitySignups = async (users) => {
-  console.log(`Starting database insertion for ${users.length} users`);
-  console.log('Database URL available:', !!process.env.DATABASE_URL);
-  
-  const client = await pool.connect();
-  console.log('Database client connected successfully');
-  
+const fetchRowsByKey = async (client, spec, keys) => {
+  const rows = await storage.fetchRowsByKey(client, spec, keys);
+  return new Map(rows.map((row) => [String(row[spec.key]), row]));
+};
+
+/**
+ * Whether two values from encryptField hold the same plain text
+ * @param {*} stored - Value in the database
+ * @param {*} incoming - Value about to be written
+ * @returns {boolean} - False when either one does not decrypt
+ */
+const sameEncryptedValue = (stored, incoming) => {
   try {
-    await client.query('BEGIN');
-    console.log('Database transaction started');
-    
-    // Prepare the insert statement
-    const insertQuery = `
-      INSERT INTO get_facility_signups (
-        user_id, id, facility_id, user_uuid, username, name, email, 
-        email_verified_at, password, remember_token, created_at, updated_at,
-        created_user_id, updated_user_id, instance_id, prefix_id, first_name,
-        middle_name, last_name, suffix_id, gender, member_number, region_id,
-        login_count, login_stamp, status_id, user_level_id, admin_level_id,
-        dob, meta_data, external_ids, biometric_key, biometric_expiration,
-        reward_program, member_added_date
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-        $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28,
-        $29, $30, $31, $32, $33, $34, $35
-      )
-      ON CONFLICT (user_id) DO UPDATE SET
-        id = EXCLUDED.id,
-        facility_id = EXCLUDED.facility_id,
-        user_uuid = EXCLUDED.user_uuid,
-        username = EXCLUDED.username,
-        name = EXCLUDED.name,
-        email = EXCLUDED.email,
-        email_verified_at = EXCLUDED.email_verified_at,
-        password = EXCLUDED.password,
-        remember_token = EXCLUDED.remember_token,
-        updated_at = EXCLUDED.updated_at,
-        created_user_id = EXCLUDED.created_user_id,
-        updated_user_id = EXCLUDED.updated_user_id,
-        instance_id = EXCLUDED.instance_id,
-        prefix_id = EXCLUDED.prefix_id,
-        first_name = EXCLUDED.first_name,
-        middle_name = EXCLUDED.middle_name,
-        last_name = EXCLUDED.last_name,
-        suffix_id = EXCLUDED.suffix_id,
-        gender = EXCLUDED.gender,
-        member_number = EXCLUDED.member_number,
-        region_id = EXCLUDED.region_id,
-        login_count = EXCLUDED.login_count,
-        login_stamp = EXCLUDED.login_stamp,
-        status_id = EXCLUDED.status_id,
-        user_level_id = EXCLUDED.user_level_id,
-        admin_level_id = EXCLUDED.admin_level_id,
-        dob = EXCLUDED.dob,
-        meta_data = EXCLUDED.meta_data,
-        external_ids = EXCLUDED.external_ids,
-        biometric_key = EXCLUDED.biometric_key,
-        biometric_expiration = EXCLUDED.biometric_expiration,
-        reward_program = EXCLUDED.reward_program,
-        member_added_date = EXCLUDED.member_added_date
-      `;
-    
-    // Insert each user
-    for (let i = 0; i < users.length; i++) {
-      const user = users[i];
-      if (i === 0) {
-        console.log('Processing first user:', user.user_id, user.username);
+    return decryptField(stored) === decryptField(incoming);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Put the stored ciphertext back into rows whose encrypted columns did not
+ * change. encryptField draws a new IV each time, so a fresh ciphertext never
+ * equals the stored one and the upsert would count every row as updated.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} spec - Table spec
+ * @param {Array<Object>} rows - Rows about to be upserted (changed in place)
+ * @param {Object} policy - Field policy
+ * @returns {Promise<number>} - Values kept
+ */
+const keepEncryptedValues = async (client, spec, rows, policy) => {
+  const fields = spec.columns.map(([name]) => name).filter((name) => policy[name] === 'encrypt');
+  if (fields.length === 0) {
+    return 0;
+  }
+
+  const chunkSize = getChunkSize();
+  let kept = 0;
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize);
+    const current = await fetchRowsByKey(client, spec, chunk.map((row) => row[spec.key]));
+    for (const row of chunk) {
+      const stored = current.get(String(row[spec.key]));
+      for (const field of fields) {
+        if (stored && row[field] !== stored[field] && sameEncryptedValue(stored[field], row[field])) {
+          row[field] = stored[field];
+          kept++;
+        }
       }
-      
-      const values = [
-        user.user_id, user.id, user.facility_id, user.user_uuid, user.username,
-        user.name, user.email, user.email_verified_at, user.password,
-        user.remember_token, user.created_at, 
-        user.updated_at || user.created_at, // Use created_at if updated_at is null
-        user.created_user_id || 0, user.updated_user_id || 0, user.instance_id || 0, 
-        user.prefix_id || 0, user.first_name, user.middle_name, user.last_name, 
-        user.suffix_id || 0, user.gender || 0, user.member_number || 0, 
-        user.region_id || 0, user.login_count || 0, 
-        user.login_stamp || user.created_at, // Use created_at if login_stamp is null
-        user.status_id || 1, user.user_level_id || 1, user.admin_level_id || 1, 
-        user.dob, user.meta_data, user.external_ids, user.biometric_key,
-        user.biometric_expiration, user.reward_program, user.member_added_date
-      ];
-      
-      await client.query(insertQuery, values);
-      if (i % 100 === 0) {
-        console.log(`Processed ${i + 1} users...`);
+    }
+  }
+  return kept;
+};
+
+/**
+ * Describe what an upsert did, for dry runs: the inserted keys, the updated
+ * rows with a from/to pair per changed column, and the rows that failed.
+ * Columns the field policy does not allow are shown as changed without
+ * their values. Each list holds at most DRY_RUN_LIST_LIMIT entries.
+ * @param {Object} client - Database client inside the transaction that ran the upsert
+ * @param {Object} spec - Table spec
+ * @param {Array<Object>} rows - Rows passed to bulkUpsert
+ * @param {Object} outcome - bulkUpsert result
+ * @param {Map<string, Object>} before - Rows read with fetchRowsByKey before the upsert
+ * @param {Object} policy - Field policy
+ * @returns {Promise<Object>} - { inserted, updated, failed, truncated }
+ */
+const previewUpsert = async (client, spec, rows, outcome, before, policy) => {
+  const updates = outcome.changes.filter((change) => !change.inserted);
+  const after = await fetchRowsByKey(client, spec, updates.slice(0, DRY_RUN_LIST_LIMIT).map((change) => rows[change.index][spec.key]));
+  const redacted = (name) => policy[name] && policy[name] !== 'allow';
+
+  const updated = [];
+  for (const [key, current] of after) {
+    const previous = before.get(key) || {};
+    const changes = {};
+    for (const name of Object.keys(current)) {
+      if (JSON.stringify(previous[name]) === JSON.stringify(current[name])) {
+        continue;
       }
+      changes[name] = redacted(name) ? { changed: true } : { from: previous[name], to: current[name] };
+    }
+    updated.push({ key: current[spec.key], changes });
+  }
+
+  const inserted = outcome.changes
+    .filter((change) => change.inserted)
+    .map((change) => rows[change.index][spec.key]);
+
+  return {
+    inserted: inserted.slice(0, DRY_RUN_LIST_LIMIT),
+    updated,
+    failed: outcome.errors.slice(0, DRY_RUN_LIST_LIMIT).map((error) => ({ key: error.key, error: error.error })),
+    truncated: inserted.length > DRY_RUN_LIST_LIMIT || updates.length > DRY_RUN_LIST_LIMIT ||
+      outcome.errors.length > DRY_RUN_LIST_LIMIT
+  };
+};
+
+/**
+ * Soft delete rows of the synced facilities that were not in the fetched
+ * set. Only facilities present in `rows` are touched, so an empty or failed
+ * fetch never marks a whole facility as removed.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} spec - Table spec with softDelete
+ * @param {Array<Object>} rows - Every row fetched from the portal
+ * @returns {Promise<number|null>} - Rows marked removed, or null when skipped
+ */
+const reconcileRemoved = async (client, spec, rows) => {
+  const isId = (value) => Number.isInteger(Number(value)) && value !== null && value !== '';
+  const facilityIds = [...new Set(rows.map((row) => row.facility_id).filter(isId))].map(Number);
+  const keys = rows.map((row) => row[spec.key]).filter(isId).map(Number);
+
+  if (facilityIds.length === 0) {
+    log.info('Skipping reconciliation: no facility in the fetched rows', { table: spec.table });
+    return null;
+  }
+
+  const removed = await storage.markRemoved(client, spec, facilityIds, keys);
+
+  log.info('Marked rows as removed', { table: spec.table, removed, facility_ids: facilityIds });
+  return removed;
+};
+
+/**
+ * List the external system ids of a signup row. "moodle_1": 136900 becomes
+ * system 'moodle_1' and "hubspot_id": 132182533229 system 'hubspot'; empty
+ * and non-scalar ids are skipped.
+ * @param {Object} row - Validated signup row (external_ids parsed)
+ * @returns {Array<Object>} - { user_id, system, external_id }
+ */
+const toIdentityLinks = (row) => {
+  if (!row.external_ids) {
+    return [];
+  }
+  return Object.entries(row.external_ids)
+    .filter(([, value]) => (typeof value === 'number' && Number.isFinite(value)) ||
+      (typeof value === 'string' && value.trim() !== ''))
+    .map(([name, value]) => ({
+      user_id: row.user_id,
+      system: name.replace(/_id$/, ''),
+      external_id: String(value).trim()
+    }));
+};
+
+/**
+ * Replace the identity links of the written users with the ones in their
+ * external_ids: new links are added, changed ids updated and links the
+ * portal no longer sends removed
+ * @param {Object} client - Database client inside a transaction
+ * @param {Array<Object>} rows - Written signup rows
+ * @returns {Promise<number>} - Links added or changed
+ */
+const saveIdentityLinks = async (client, rows) => {
+  // The last row of a user wins, as in bulkUpsert
+  const latest = new Map(rows.map((row) => [row.user_id, row]));
+  const users = [...latest.values()];
+  const chunkSize = getChunkSize();
+  let written = 0;
+
+  for (let start = 0; start < users.length; start += chunkSize) {
+    const chunk = users.slice(start, start + chunkSize);
+    const links = new Map();
+    for (const link of chunk.flatMap(toIdentityLinks)) {
+      links.set(`${link.user_id}:${link.system}`, link);
     }
-    
-    await client.query('COMMIT');
-    console.log('Database transaction committed successfully');
-    
+
+    written += await storage.replaceIdentityLinks(client, chunk.map((row) => row.user_id), [...links.values()]);
+  }
+
+  log.info('Identity links saved', { written, users: users.length });
+  return written;
+};
+
+/**
+ * Log a summary of a validation report
+ * @param {Object} report - Report from validateRecords / validateCourses
+ */
+const logValidationReport = (report) => {
+  if (report.rejected === 0 && report.rejected_fields_count === 0) {
+    log.info(`Validated ${report.schema}: all valid`, { records: report.records });
+    return;
+  }
+  // Field names only; the rejected values stay in dead_letters
+  log.warn(`Validated ${report.schema}: records or fields rejected`, {
+    records: report.records,
+    rejected: report.rejected,
+    rejected_fields_count: report.rejected_fields_count,
+    rejected_fields: Object.keys(report.rejected_fields_by_name)
+  });
+};
+
+/**
+ * Build a dead letter for a record that was not written
+ * @param {*} record - Record as it would have been stored (after the field policy)
+ * @param {string} key - Key field of the record type
+ * @param {string} stage - 'validation' or 'database'
+ * @param {string} error - Why the record was not written
+ * @returns {Object} - Dead letter for saveDeadLetters
+ */
+const toDeadLetter = (record, key, stage, error) => {
+  const isObject = record !== null && typeof record === 'object' && !Array.isArray(record);
+  const value = (field) => (isObject && record[field] !== undefined && record[field] !== null ? String(record[field]) : null);
+  return {
+    record_key: value(key),
+    facility_id: value('facility_id'),
+    stage,
+    error,
+    payload: isObject ? record : { value: record === undefined ? null : record }
+  };
+};
+
+/**
+ * Save records that could not be written to dead_letters, in the caller's
+ * transaction, so they can be inspected and replayed later
+ * @param {Object} client - Database client inside a transaction
+ * @param {string} recordType - 'users', 'courses' or 'elearning_codes'
+ * @param {Array<Object>} letters - Dead letters from toDeadLetter
+ * @param {string|number|null} runId - Sync run that failed to write them
+ * @returns {Promise<number>} - Number of dead letters saved
+ */
+const saveDeadLetters = async (client, recordType, letters, runId) => {
+  if (letters.length === 0) {
+    return 0;
+  }
+  await storage.insertDeadLetters(client, recordType, letters, runId);
+  log.warn('Saved records to dead_letters', { record_type: recordType, records: letters.length });
+  return letters.length;
+};
+
+/**
+ * Insert facility signups data into get_facility_signups table.
+ * Users are written in savepoint-guarded chunks that are split on failure
+ * (see bulkUpsert), so a bad user is reported (and saved to dead_letters)
+ * without stopping the others. The identity links of the written users are
+ * refreshed from their external_ids, and new users raise signup.created
+ * events (see functions/events.js).
+ * @param {Array} users - Array of user objects from the API response
+ * @param {Object} [options] - { reconcile: true to soft delete users of the same
+ *   facilities missing from `users` (only pass the complete portal response),
+ *   runId: sync run recorded with dead letters and events, onProgress: batch progress
+ *   callback (see bulkUpsert), deadLetters: false to skip saving failed users,
+ *   dryRun: true to roll back instead of committing and return a `preview`
+ *   (see previewUpsert) }
+ * @returns {Promise<Object>} - Result of the database operation
+ */
+const insertFacilitySignups = async (users, { reconcile = false, runId = null, onProgress = null, deadLetters = true, dryRun = false } = {}) => {
+  log.info('Starting database insertion of users', { records: users.length });
+
+  // Resolve the field policy and event subscribers up front so bad settings fail before any write
+  const policy = getFieldPolicy();
+  const subscribers = getEventSubscribers();
+
+  // Credential fields are dropped, hashed or encrypted per the field policy,
+  // then every record is checked against the schema before anything is written
+  const stored = users.map((user) => applyStoragePolicy(user, policy));
+  const { rows, sourceIndexes, rejections, report } = validateRecords(SIGNUP_SCHEMA, stored);
+  logValidationReport(report);
+
+  const client = await storage.connect();
+  log.debug('Database client connected');
+
+  try {
+    await client.query('BEGIN');
+    log.debug('Database transaction started');
+
+    await keepEncryptedValues(client, SIGNUPS_TABLE, rows, policy);
+    const before = dryRun ? await fetchRowsByKey(client, SIGNUPS_TABLE, rows.map((row) => row.user_id)) : null;
+    const outcome = await bulkUpsert(client, SIGNUPS_TABLE, rows, {
+      isolateFailures: true,
+      label: 'users',
+      onProgress
+    });
+    const removed = reconcile ? await reconcileRemoved(client, SIGNUPS_TABLE, rows) : null;
+
+    const errors = outcome.errors.map((error) => ({
+      index: sourceIndexes[error.index],
+      userId: error.key,
+      error: error.error
+    }));
+    const failed = new Set(outcome.errors.map((error) => error.index));
+    const identityLinks = await saveIdentityLinks(client, rows.filter((row, index) => !failed.has(index)));
+    const deadLettered = deadLetters
+      ? await saveDeadLetters(client, 'users', [
+        ...rejections.map((rejection) => toDeadLetter(rejection.record, SIGNUP_SCHEMA.key, 'validation', rejection.reason)),
+        ...errors.map((error) => toDeadLetter(stored[error.index], SIGNUP_SCHEMA.key, 'database', error.error))
+      ], runId)
+      : 0;
+    const events = await saveEvents(client, buildEvents('users', rows, outcome.changes, policy), subscribers, runId);
+    const successCount = outcome.inserted + outcome.updated + outcome.unchanged;
+    const preview = dryRun ? await previewUpsert(client, SIGNUPS_TABLE, rows, outcome, before, policy) : null;
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    log.debug(dryRun ? 'Dry run: database transaction rolled back' : 'Database transaction committed');
+
     return {
       success: true,
-      message: `Inserted/Updated ${users.length} users`,
-      count: users.length
+      dryRun,
+      message: `${dryRun ? 'Dry run: ' : ''}Inserted/Updated ${successCount} users (${outcome.inserted} added, ${outcome.updated} updated, ${outcome.unchanged} unchanged, ${removed || 0} removed, ${errors.length} errors, ${report.rejected} rejected)`,
+      count: successCount,
+      inserted: outcome.inserted,
+      updated: outcome.updated,
+      unchanged: outcome.unchanged,
+      restored: outcome.restored,
+      removed,
+      errorCount: errors.length,
+      errors: errors.slice(0, 10),
+      rejected: report.rejected,
+      identityLinks,
+      deadLettered,
+      events,
+      validation: report,
+      preview
     };
-    
+
   } catch (error) {
-    console.error('Database error during user insertion:', error);
+    log.error('Database error during user insertion', { error });
     await client.query('ROLLBACK');
     throw error;
   } finally {
     client.release();
-    console.log('Database client released');
+    log.debug('Database client released');
   }
 };
 
 /**
- * Insert course information into course_info table
+ * Insert course information into course_info table. Courses are written in
+ * savepoint-guarded chunks that are split on failure (see bulkUpsert), so a
+ * course the database refuses is reported (and saved to dead_letters)
+ * without stopping the others. New courses raise course.added events.
  * @param {Object} courses - Courses object from the API response
+ * @param {Object} [options] - { runId: sync run recorded with dead letters and events,
+ *   deadLetters: false to skip saving failed courses, dryRun: true to roll
+ *   back instead of committing and return a `preview` (see previewUpsert) }
  * @returns {Promise<Object>} - Result of the database operation
  */
-const insertCourseInfo = async (courses) => {
-  const client = await pool.connect();
-  
+const insertCourseInfo = async (courses, { runId = null, deadLetters = true, dryRun = false } = {}) => {
+  // Flatten each agency's courses into one list of checked rows
+  const { rows, rejections, report } = validateCourses(courses);
+  logValidationReport(report);
+  const policy = getFieldPolicy();
+  const subscribers = getEventSubscribers();
+
+  const client = await storage.connect();
+
   try {
     await client.query('BEGIN');
-    
-    // Prepare the insert statement
-    const insertQuery = `
-      INSERT INTO course_info (course_id, agency, agency_id, label)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (course_id) DO UPDATE SET
-        agency = EXCLUDED.agency,
-        agency_id = EXCLUDED.agency_id,
-        label = EXCLUDED.label
-    `;
-    
-    let totalCourses = 0;
-    
-    // Process each agency's courses
-    for (const [agencyName, courseList] of Object.entries(courses)) {
-      for (const course of courseList) {
-        const values = [
-          course.course_id,
-          course.agency,
-          course.agency_id,
-          course.label
-        ];
-        
-        await client.query(insertQuery, values);
-        totalCourses++;
-      }
-    }
-    
-    await client.query('COMMIT');
-    
+
+    const before = dryRun ? await fetchRowsByKey(client, COURSES_TABLE, rows.map((row) => row.course_id)) : null;
+    const outcome = await bulkUpsert(client, COURSES_TABLE, rows, {
+      isolateFailures: true,
+      label: 'courses'
+    });
+
+    const errors = outcome.errors.map((error) => ({
+      courseId: error.key,
+      error: error.error,
+      course: rows[error.index]
+    }));
+    const successCount = outcome.inserted + outcome.updated + outcome.unchanged;
+    const deadLettered = deadLetters
+      ? await saveDeadLetters(client, 'courses', [
+        ...rejections.map((rejection) => toDeadLetter(rejection.record, COURSE_SCHEMA.key, 'validation', rejection.reason)),
+        ...errors.map((error) => toDeadLetter(error.course, COURSE_SCHEMA.key, 'database', error.error))
+      ], runId)
+      : 0;
+    const events = await saveEvents(client, buildEvents('courses', rows, outcome.changes, policy), subscribers, runId);
+    const preview = dryRun ? await previewUpsert(client, COURSES_TABLE, rows, outcome, before, policy) : null;
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
     return {
       success: true,
-      message: `Inserted/Updated ${totalCourses} courses`,
-      count: totalCourses
+      dryRun,
+      message: `${dryRun ? 'Dry run: ' : ''}Inserted/Updated ${successCount} courses (${outcome.inserted} added, ${outcome.updated} updated, ${outcome.unchanged} unchanged, ${errors.length} errors, ${report.rejected} rejected)`,
+      count: successCount,
+      inserted: outcome.inserted,
+      updated: outcome.updated,
+      unchanged: outcome.unchanged,
+      errorCount: errors.length,
+      errors: errors.slice(0, 10).map(({ courseId, error }) => ({ courseId, error })),
+      rejected: report.rejected,
+      deadLettered,
+      events,
+      validation: report,
+      preview
     };
-    
+
   } catch (error) {
     await client.query('ROLLBACK');
     throw error;
@@ -180,191 +597,113 @@ const insertCourseInfo = async (courses) => {
 };
 
 /**
- * Insert e-learning codes data into get_elearning_codes table
+ * Insert e-learning codes data into get_elearning_codes table.
+ * Rows that fail are reported individually; the rest are still written.
+ * New codes and status or redemption changes raise elearning_code.* events.
  * @param {Array} elearningCodes - Array of e-learning code objects from the API response
+ * @param {Object} [options] - { reconcile: true to soft delete codes of the same
+ *   facilities missing from `elearningCodes` (only pass the complete portal response),
+ *   runId: sync run recorded with status history, dead letters and events, onProgress:
+ *   batch progress callback (see bulkUpsert), deadLetters: false to skip saving
+ *   failed codes, dryRun: true to roll back instead of committing and return a
+ *   `preview` (see previewUpsert) }
  * @returns {Promise<Object>} - Result of the database operation
  */
-const insertElearningCodes = async (elearningCodes) => {
-  console.log(`Starting database insertion for ${elearningCodes.length} e-learning codes`);
-  console.log('Database URL available:', !!process.env.DATABASE_URL);
-  
-  const client = await pool.connect();
-  console.log('Database client connected successfully');
-  
-  let successCount = 0;
-  let errorCount = 0;
-  let errors = [];
-  
+const insertElearningCodes = async (elearningCodes, { reconcile = false, runId = null, onProgress = null, deadLetters = true, dryRun = false } = {}) => {
+  log.info('Starting database insertion of e-learning codes', { records: elearningCodes.length });
+
+  const { rows, sourceIndexes, rejections, report } = validateRecords(ELEARNING_CODE_SCHEMA, elearningCodes);
+  logValidationReport(report);
+  const policy = getFieldPolicy();
+  const subscribers = getEventSubscribers();
+
+  const client = await storage.connect();
+  log.debug('Database client connected');
+
   try {
     await client.query('BEGIN');
-    console.log('Database transaction started');
-    
+    log.debug('Database transaction started');
+
     // Temporarily disable foreign key constraints
-    console.log('Temporarily disabling foreign key constraints...');
-    await client.query('SET session_replication_role = replica;');
-    
-    // Prepare the insert statement
-    const insertQuery = `
-      INSERT INTO get_elearning_codes (
-        id, user_id, course_id, user_name, first_name, middle_name, last_name, dob, email,
-        facility_id, facility_name, facility_number, office_id, agency_id, agency,
-        course_name, course_meta, moodle_id, instance_id, prefix_id, suffix_id,
-        status_id, status_label, signup_code, signup_date, help_date, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-        $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28
-      )
-      ON CONFLICT (id) DO UPDATE SET
-        user_id = EXCLUDED.user_id,
-        course_id = EXCLUDED.course_id,
-        user_name = EXCLUDED.user_name,
-        first_name = EXCLUDED.first_name,
-        middle_name = EXCLUDED.middle_name,
-        last_name = EXCLUDED.last_name,
-        dob = EXCLUDED.dob,
-        email = EXCLUDED.email,
-        facility_id = EXCLUDED.facility_id,
-        facility_name = EXCLUDED.facility_name,
-        facility_number = EXCLUDED.facility_number,
-        office_id = EXCLUDED.office_id,
-        agency_id = EXCLUDED.agency_id,
-        agency = EXCLUDED.agency,
-        course_name = EXCLUDED.course_name,
-        course_meta = EXCLUDED.course_meta,
-        moodle_id = EXCLUDED.moodle_id,
-        instance_id = EXCLUDED.instance_id,
-        prefix_id = EXCLUDED.prefix_id,
-        suffix_id = EXCLUDED.suffix_id,
-        status_id = EXCLUDED.status_id,
-        status_label = EXCLUDED.status_label,
-        signup_code = EXCLUDED.signup_code,
-        signup_date = EXCLUDED.signup_date,
-        help_date = EXCLUDED.help_date,
-        updated_at = EXCLUDED.updated_at
-      `;
-    
-    // Process in smaller batches to avoid memory issues in Railway
-    const BATCH_SIZE = 50; // Smaller batches for Railway
-    const totalBatches = Math.ceil(elearningCodes.length / BATCH_SIZE);
-    
-    console.log(`Processing ${elearningCodes.length} records in ${totalBatches} batches of ${BATCH_SIZE}`);
-    
-    for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
-      const startIndex = batchNum * BATCH_SIZE;
-      const endIndex = Math.min(startIndex + BATCH_SIZE, elearningCodes.length);
-      const batch = elearningCodes.slice(startIndex, endIndex);
-      
-      console.log(`Processing batch ${batchNum + 1}/${totalBatches} (records ${startIndex + 1}-${endIndex})`);
-      
-      // Process each record in the current batch
-      for (let i = 0; i < batch.length; i++) {
-        const code = batch[i];
-        const globalIndex = startIndex + i;
-        
-        try {
-          if (globalIndex === 0) {
-            console.log('Processing first e-learning code:', code.id, code.user_name);
-          }
-          
-          const values = [
-            code.id || 0,
-            code.user_id || 0,
-            code.course_id || 0,
-            code.user_name || '',
-            code.first_name || '',
-            code.middle_name || '',
-            code.last_name || '',
-            code.dob || null,
-            code.email || '',
-            code.facility_id || 0,
-            code.facility_name || '',
-            code.facility_number || 0,
-            code.office_id || 0,
-            code.agency_id || 0,
-            code.agency || '',
-            code.course_name || '',
-            code.course_meta || null,
-            code.moodle_id || 0,
-            code.instance_id || 0,
-            code.prefix_id || 0,
-            code.suffix_id || 0,
-            code.status_id || 0,
-            code.status_label || '',
-            code.signup_code || '',
-            code.signup_date || null,
-            code.help_date || null,
-            code.created_at || new Date().toISOString(),
-            code.updated_at || new Date().toISOString()
-          ];
-          
-          await client.query(insertQuery, values);
-          successCount++;
-          
-          if (globalIndex % 100 === 0) {
-            console.log(`Processed ${globalIndex + 1}/${elearningCodes.length} e-learning codes... (${successCount} success, ${errorCount} errors)`);
-          }
-          
-        } catch (insertError) {
-          errorCount++;
-          const errorInfo = {
-            index: globalIndex,
-            codeId: code.id,
-            error: insertError.message,
-            code: code
-          };
-          errors.push(errorInfo);
-          console.error(`Error inserting code ${code.id} at index ${globalIndex}:`, insertError.message);
-          
-          // Continue processing other records instead of failing completely
-          continue;
-        }
-      }
-      
-      // Small delay between batches to prevent overwhelming Railway
-      if (batchNum < totalBatches - 1) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
-      console.log(`Batch ${batchNum + 1} completed: ${successCount} total success, ${errorCount} total errors`);
-    }
-    
-    console.log(`All batches completed: ${successCount} success, ${errorCount} errors`);
-    
+    log.debug('Temporarily disabling foreign key constraints');
+    await storage.setForeignKeyChecks(client, false);
+
+    const before = dryRun ? await fetchRowsByKey(client, ELEARNING_CODES_TABLE, rows.map((row) => row.id)) : null;
+    const outcome = await bulkUpsert(client, ELEARNING_CODES_TABLE, rows, {
+      isolateFailures: true,
+      label: 'e-learning codes',
+      runId,
+      onProgress
+    });
+
+    const errors = outcome.errors.map((error) => ({
+      index: sourceIndexes[error.index],
+      codeId: error.key,
+      error: error.error,
+      code: elearningCodes[sourceIndexes[error.index]]
+    }));
+    const successCount = outcome.inserted + outcome.updated + outcome.unchanged;
+    const errorCount = errors.length;
+    const removed = reconcile ? await reconcileRemoved(client, ELEARNING_CODES_TABLE, rows) : null;
+    const deadLettered = deadLetters
+      ? await saveDeadLetters(client, 'elearning_codes', [
+        ...rejections.map((rejection) => toDeadLetter(rejection.record, ELEARNING_CODE_SCHEMA.key, 'validation', rejection.reason)),
+        ...errors.map((error) => toDeadLetter(error.code, ELEARNING_CODE_SCHEMA.key, 'database', error.error))
+      ], runId)
+      : 0;
+    const events = await saveEvents(client, buildEvents('elearning_codes', rows, outcome.changes, policy), subscribers, runId);
+    const preview = dryRun ? await previewUpsert(client, ELEARNING_CODES_TABLE, rows, outcome, before, policy) : null;
+
+    log.info('All chunks completed', { success: successCount, errors: errorCount });
+
     // Re-enable foreign key constraints
-    console.log('Re-enabling foreign key constraints...');
-    await client.query('SET session_replication_role = DEFAULT;');
-    
-    await client.query('COMMIT');
-    console.log('Database transaction committed successfully');
-    
+    log.debug('Re-enabling foreign key constraints');
+    await storage.setForeignKeyChecks(client, true);
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    log.debug(dryRun ? 'Dry run: database transaction rolled back' : 'Database transaction committed');
+
     return {
       success: true,
-      message: `Inserted/Updated ${successCount} e-learning codes (${errorCount} errors)`,
+      dryRun,
+      message: `${dryRun ? 'Dry run: ' : ''}Inserted/Updated ${successCount} e-learning codes (${outcome.inserted} added, ${outcome.updated} updated, ${outcome.unchanged} unchanged, ${removed || 0} removed, ${errorCount} errors, ${report.rejected} rejected)`,
       count: successCount,
+      inserted: outcome.inserted,
+      updated: outcome.updated,
+      unchanged: outcome.unchanged,
+      restored: outcome.restored,
+      removed,
       errorCount: errorCount,
       errors: errors.slice(0, 10), // Return first 10 errors for debugging
+      rejected: report.rejected,
+      deadLettered,
+      events,
+      validation: report,
       totalProcessed: elearningCodes.length,
-      batchesProcessed: totalBatches
+      batchesProcessed: outcome.chunks,
+      preview
     };
-    
+
   } catch (error) {
-    console.error('Database error during e-learning codes insertion:', error);
+    log.error('Database error during e-learning codes insertion', { error });
     await client.query('ROLLBACK');
     throw error;
   } finally {
     client.release();
-    console.log('Database client released');
+    log.debug('Database client released');
   }
 };
 
 /**
- * Close the database connection pool
+ * Close the database connections
  */
 const closePool = async () => {
-  await pool.end();
+  await storage.close();
 };
 
 module.exports = {
+  storage,
+  bulkUpsert,
   insertFacilitySignups,
   insertCourseInfo,
   insertElearningCodes,
@@ -0,0 +1,184 @@
+/**
+ * Inspect and replay dead letters (records the insert functions could not write)
+ *
+ * A replay runs the stored payload through the same insert function as a
+ * sync, without reconciliation. Dead letters that go through are marked
+ * 'resolved'; the others stay 'pending' with the new error.
+ */
+const {
+  storage,
+  insertFacilitySignups,
+  insertCourseInfo,
+  insertElearningCodes
+} = require('./database');
+const { QueryError } = require('./queries');
+const { createLogger } = require('./logger');
+
+const log = createLogger('deadLetters');
+
+const DEFAULT_REPLAY_LIMIT = 100;
+const MAX_REPLAY_LIMIT = 1000;
+
+// Insert function for each record type, called with one stored payload
+const REPLAYERS = {
+  users: (payload) => insertFacilitySignups([payload], { deadLetters: false }),
+  courses: (payload) => insertCourseInfo({ [payload.agency || 'replay']: [payload] }, { deadLetters: false }),
+  elearning_codes: (payload) => insertElearningCodes([payload], { deadLetters: false })
+};
+
+/**
+ * Get the reason a single-record insert did not write the record
+ * @param {Object} result - Insert function result
+ * @returns {string|null} - The error, or null when the record was written
+ */
+const replayError = (result) => {
+  if (result.validation && result.validation.rejected > 0) {
+    const [rejection] = result.validation.rejected_records;
+    return rejection ? rejection.reason : 'rejected by validation';
+  }
+  if (result.errorCount > 0) {
+    return result.errors[0].error;
+  }
+  return null;
+};
+
+/**
+ * Get a single dead letter
+ * @param {string|number} id - Dead letter id
+ * @returns {Promise<Object|null>} - The dead letter, or null when it does not exist
+ */
+const getDeadLetter = async (id) => {
+  if (!/^\d+$/.test(String(id))) {
+    return null;
+  }
+  const result = await storage.query('SELECT * FROM dead_letters WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Replay one dead letter
+ * @param {string|number} id - Dead letter id
+ * @param {Object} [options] - { payload: corrected record to write instead of
+ *   the stored one; it replaces the stored payload }
+ * @returns {Promise<Object|null>} - { id, status, error }, or null when it does not exist
+ */
+const replayDeadLetter = async (id, { payload } = {}) => {
+  if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+    throw new QueryError('payload must be an object');
+  }
+  const letter = await getDeadLetter(id);
+  if (!letter) {
+    return null;
+  }
+  if (letter.status === 'resolved') {
+    return { id: letter.id, status: 'resolved', error: null };
+  }
+  if (payload !== undefined) {
+    letter.payload = payload;
+  }
+
+  const replayer = REPLAYERS[letter.record_type];
+  let error;
+  if (!replayer) {
+    error = `Unknown record type: ${letter.record_type}`;
+  } else {
+    try {
+      error = replayError(await replayer(letter.payload));
+    } catch (replayFailure) {
+      error = replayFailure.message;
+    }
+  }
+
+  const result = await storage.query(
+    `UPDATE dead_letters SET
+       attempts = attempts + 1,
+       last_attempt_at = now(),
+       status = CASE WHEN CAST($2 AS text) IS NULL THEN 'resolved' ELSE 'pending' END,
+       resolved_at = CASE WHEN CAST($2 AS text) IS NULL THEN now() ELSE NULL END,
+       error = COALESCE($2, error),
+       payload = $3
+     WHERE id = $1
+     RETURNING id, status`,
+    [letter.id, error, JSON.stringify(letter.payload)]
+  );
+
+  log.info('Replayed dead letter', {
+    dead_letter_id: letter.id,
+    record_type: letter.record_type,
+    record_key: letter.record_key,
+    status: result.rows[0].status,
+    replay_error: error
+  });
+  return { id: result.rows[0].id, status: result.rows[0].status, error };
+};
+
+/**
+ * Replay pending dead letters one at a time, oldest first
+ * @param {Object} [selection] - { ids: [id, ...], record_type, sync_run_id, limit }
+ * @returns {Promise<Object>} - { replayed, resolved, failed, results }
+ */
+const replayDeadLetters = async (selection = {}) => {
+  const params = [];
+  const conditions = ["status = 'pending'"];
+
+  if (selection.ids !== undefined) {
+    if (!Array.isArray(selection.ids) || !selection.ids.every((id) => /^\d+$/.test(String(id)))) {
+      throw new QueryError('ids must be an array of dead letter ids');
+    }
+    const placeholders = selection.ids.map((id) => {
+      params.push(String(id));
+      return `$${params.length}`;
+    });
+    conditions.push(placeholders.length > 0 ? `id IN (${placeholders.join(', ')})` : 'false');
+  }
+  if (selection.record_type !== undefined) {
+    if (!REPLAYERS[selection.record_type]) {
+      throw new QueryError(`record_type must be one of: ${Object.keys(REPLAYERS).join(', ')}`);
+    }
+    params.push(selection.record_type);
+    conditions.push(`record_type = $${params.length}`);
+  }
+  if (selection.sync_run_id !== undefined) {
+    if (!/^\d+$/.test(String(selection.sync_run_id))) {
+      throw new QueryError('sync_run_id must be an integer');
+    }
+    params.push(String(selection.sync_run_id));
+    conditions.push(`sync_run_id = $${params.length}`);
+  }
+
+  let limit = DEFAULT_REPLAY_LIMIT;
+  if (selection.limit !== undefined) {
+    limit = Number(selection.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPLAY_LIMIT) {
+      throw new QueryError(`limit must be between 1 and ${MAX_REPLAY_LIMIT}`);
+    }
+  }
+  params.push(limit);
+
+  const pending = await storage.query(
+    `SELECT id FROM dead_letters
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY id
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const results = [];
+  for (const { id } of pending.rows) {
+    results.push(await replayDeadLetter(id));
+  }
+
+  const resolved = results.filter((result) => result.status === 'resolved').length;
+  return {
+    replayed: results.length,
+    resolved,
+    failed: results.length - resolved,
+    results
+  };
+};
+
+module.exports = {
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters
+};
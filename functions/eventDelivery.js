@@ -0,0 +1,282 @@
+/**
+ * Sends the events in the outbox to their subscribers
+ *
+ * Pending deliveries are claimed in batches, POSTed as signed JSON and
+ * retried with exponential backoff until they succeed or run out of
+ * attempts. Every attempt is written to event_delivery_log.
+ *
+ *   EVENT_POLL_INTERVAL_MS     - how often the outbox is checked, default 5000
+ *   EVENT_TIMEOUT_MS           - per attempt, default 10000
+ *   EVENT_MAX_ATTEMPTS         - attempts before a delivery is 'failed', default 10
+ *   EVENT_RETRY_BASE_SECONDS   - first retry delay, doubled each retry, default 30
+ *
+ * Claims are leased in the database (next_attempt_at is pushed past the
+ * timeout), so several app instances can share one outbox.
+ */
+const { storage } = require('./database');
+const { request } = require('./httpClient');
+const { signWebhookRequest } = require('./webhookAuth');
+const { getEventSubscribers } = require('./events');
+const { QueryError } = require('./queries');
+const { createLogger, withLogContext, startLogContext } = require('./logger');
+
+const log = createLogger('eventDelivery');
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_SECONDS = 3600;
+
+// Deliveries claimed and sent concurrently per round
+const BATCH_SIZE = 20;
+
+// Extra time a claimed delivery stays hidden from other instances
+const CLAIM_LEASE_MS = 60000;
+
+const dispatcher = { started: false, running: false, timer: null };
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} - Setting value
+ */
+const getNumberSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Delay before the next attempt of a delivery
+ * @param {number} attempts - Attempts made so far, including the failed one
+ * @returns {number} - Delay in seconds
+ */
+const retryDelaySeconds = (attempts) => {
+  const base = getNumberSetting('EVENT_RETRY_BASE_SECONDS', DEFAULT_RETRY_BASE_SECONDS);
+  return Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+};
+
+/**
+ * Claim due deliveries with their events
+ * @param {number} timeoutMs - Attempt timeout, used for the claim lease
+ * @returns {Promise<Array<Object>>} - Claimed deliveries
+ */
+const claimDeliveries = async (timeoutMs) => {
+  return storage.claimEventDeliveries(BATCH_SIZE, timeoutMs + CLAIM_LEASE_MS);
+};
+
+/**
+ * Record the outcome of one attempt
+ * @param {Object} delivery - Claimed delivery
+ * @param {Object} outcome - { statusCode, error (null on success), durationMs }
+ * @returns {Promise<string>} - The delivery's new status
+ */
+const recordAttempt = async (delivery, { statusCode = null, error = null, durationMs = null }) => {
+  const attempts = delivery.attempts + 1;
+  let status = 'delivered';
+  let delaySeconds = 0;
+  if (error) {
+    const exhausted = attempts >= getNumberSetting('EVENT_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+    status = exhausted ? 'failed' : 'pending';
+    delaySeconds = exhausted ? 0 : retryDelaySeconds(attempts);
+  }
+
+  await storage.recordEventDeliveryAttempt(delivery.id, { status, attempts, delaySeconds, statusCode, error, durationMs });
+  // Retries are counted in the round summary; only deliveries given up on are warnings
+  if (status === 'failed') {
+    log.warn('Event delivery failed, no attempts left', { attempts, status_code: statusCode, delivery_error: error });
+  } else if (error) {
+    log.debug('Event delivery attempt failed', { attempt: attempts, status_code: statusCode, retry_in_seconds: delaySeconds, delivery_error: error });
+  }
+  return status;
+};
+
+/**
+ * Send one claimed delivery and record the attempt
+ * @param {Object} delivery - Claimed delivery
+ * @param {Map<string, Object>} subscribers - Subscribers by id
+ * @param {number} timeoutMs - Attempt timeout
+ * @returns {Promise<string>} - The delivery's new status
+ */
+const sendDelivery = async (delivery, subscribers, timeoutMs) => {
+  const subscriber = subscribers.get(delivery.subscriber_id);
+  if (!subscriber) {
+    return recordAttempt(delivery, { error: `Subscriber ${delivery.subscriber_id} is no longer configured` });
+  }
+
+  const payload = {
+    id: delivery.event_id,
+    type: delivery.event_type,
+    created_at: delivery.created_at,
+    facility_id: delivery.facility_id,
+    data: delivery.data
+  };
+  // httpClient serializes the body with JSON.stringify too, so the signed bytes are the sent bytes
+  const headers = {
+    'X-Event-Id': delivery.event_id,
+    'X-Event-Type': delivery.event_type,
+    ...signWebhookRequest(subscriber.secret, JSON.stringify(payload))
+  };
+
+  const startedAt = Date.now();
+  try {
+    const response = await request(subscriber.url, {
+      method: 'POST',
+      headers,
+      body: payload,
+      responseType: 'text',
+      timeoutMs,
+      retries: 0
+    });
+    const durationMs = Date.now() - startedAt;
+    if (response.statusCode >= 300) {
+      return recordAttempt(delivery, {
+        statusCode: response.statusCode,
+        error: `Subscriber answered HTTP ${response.statusCode} (redirects are not followed)`,
+        durationMs
+      });
+    }
+    return recordAttempt(delivery, { statusCode: response.statusCode, durationMs });
+  } catch (error) {
+    return recordAttempt(delivery, {
+      statusCode: error.statusCode || null,
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+  }
+};
+
+/**
+ * Send due deliveries until none are left
+ * @returns {Promise<Object>} - { delivered, retrying, failed }
+ */
+const deliverDueEvents = async () => {
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+  const subscribers = new Map(getEventSubscribers().map((subscriber) => [subscriber.id, subscriber]));
+  const timeoutMs = getNumberSetting('EVENT_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+
+  for (;;) {
+    const deliveries = await claimDeliveries(timeoutMs);
+    const statuses = await Promise.all(deliveries.map((delivery) => withLogContext({
+      delivery_id: delivery.id,
+      event_id: delivery.event_id,
+      subscriber_id: delivery.subscriber_id
+    }, () => sendDelivery(delivery, subscribers, timeoutMs))));
+    for (const status of statuses) {
+      counts[status === 'pending' ? 'retrying' : status]++;
+    }
+    if (deliveries.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (counts.delivered + counts.retrying + counts.failed > 0) {
+    log.info('Event deliveries sent', counts);
+  }
+  return counts;
+};
+
+/**
+ * Run one dispatcher round and schedule the next
+ */
+const runDispatcher = async () => {
+  if (dispatcher.running) {
+    return;
+  }
+  dispatcher.running = true;
+  clearTimeout(dispatcher.timer);
+  try {
+    await deliverDueEvents();
+  } catch (error) {
+    log.error('Event delivery round failed', { error });
+  } finally {
+    dispatcher.running = false;
+    if (dispatcher.started) {
+      dispatcher.timer = setTimeout(runDispatcher, getNumberSetting('EVENT_POLL_INTERVAL_MS', DEFAULT_POLL_INTERVAL_MS));
+    }
+  }
+};
+
+/**
+ * Start sending events in the background when EVENT_SUBSCRIBERS_FILE is set
+ * @returns {boolean} - True when the dispatcher was started
+ */
+const startEventDispatcher = () => {
+  if (dispatcher.started || !process.env.EVENT_SUBSCRIBERS_FILE) {
+    return false;
+  }
+  // A broken subscribers file is reported at startup, not on the first sync
+  const subscribers = getEventSubscribers();
+  dispatcher.started = true;
+  log.info('Event dispatcher started', { subscriber_ids: subscribers.map((subscriber) => subscriber.id) });
+  startLogContext({}, runDispatcher);
+  return true;
+};
+
+/**
+ * Stop the background dispatcher (a round in progress finishes normally)
+ */
+const stopEventDispatcher = () => {
+  dispatcher.started = false;
+  clearTimeout(dispatcher.timer);
+};
+
+/**
+ * Send new events now instead of at the next poll (called after a sync)
+ */
+const wakeEventDispatcher = () => {
+  if (dispatcher.started && !dispatcher.running) {
+    // Rounds and their timers do not belong to the sync that woke them
+    startLogContext({}, runDispatcher);
+  }
+};
+
+/**
+ * Queue failed deliveries for one more attempt
+ * @param {Object} [selection] - { ids: [delivery id, ...], subscriber_id }
+ * @returns {Promise<Object>} - { retried: number of deliveries queued again }
+ */
+const retryEventDeliveries = async (selection = {}) => {
+  const params = [];
+  const conditions = ["status = 'failed'"];
+
+  if (selection.ids !== undefined) {
+    if (!Array.isArray(selection.ids) || !selection.ids.every((id) => /^\d+$/.test(String(id)))) {
+      throw new QueryError('ids must be an array of delivery ids');
+    }
+    const placeholders = selection.ids.map((id) => {
+      params.push(String(id));
+      return `$${params.length}`;
+    });
+    conditions.push(placeholders.length > 0 ? `id IN (${placeholders.join(', ')})` : 'false');
+  }
+  if (selection.subscriber_id !== undefined) {
+    if (typeof selection.subscriber_id !== 'string') {
+      throw new QueryError('subscriber_id must be a string');
+    }
+    params.push(selection.subscriber_id);
+    conditions.push(`subscriber_id = $${params.length}`);
+  }
+
+  const result = await storage.query(
+    `UPDATE event_deliveries SET status = 'pending', next_attempt_at = now(), updated_at = now()
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  if (result.rowCount > 0) {
+    log.info('Queued failed event deliveries for another attempt', { deliveries: result.rowCount });
+    wakeEventDispatcher();
+  }
+  return { retried: result.rowCount };
+};
+
+module.exports = {
+  deliverDueEvents,
+  startEventDispatcher,
+  stopEventDispatcher,
+  wakeEventDispatcher,
+  retryEventDeliveries
+};
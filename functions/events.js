@@ -0,0 +1,299 @@
+/**
+ * Outbound events for downstream systems (CRM, messaging)
+ *
+ * The insert functions in functions/database.js turn the rows a sync wrote
+ * into events and store them in the outbox (outbox_events) in the same
+ * transaction, with one event_deliveries row per subscriber that wants the
+ * event. functions/eventDelivery.js sends them.
+ *
+ * Subscribers come from EVENT_SUBSCRIBERS_FILE, a JSON array:
+ *
+ *   [{ "id": "crm", "url": "https://crm.example.com/hooks/portal",
+ *      "secret_env": "CRM_EVENTS_SECRET",
+ *      "events": ["signup.created", "elearning_code.*"],
+ *      "filters": { "facility_id": ["5261"] } }]
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('events');
+
+const EVENT_TYPES = [
+  'signup.created',
+  'course.added',
+  'elearning_code.created',
+  'elearning_code.status_changed',
+  'elearning_code.redeemed'
+];
+
+// Fields a subscriber can filter on; an event without the field does not match
+const FILTER_FIELDS = ['facility_id', 'agency', 'agency_id', 'course_id', 'status_id', 'status_label'];
+
+// Fields of the stored row sent as the event data, per record type
+const EVENT_FIELDS = {
+  users: [
+    'user_id', 'facility_id', 'username', 'name', 'first_name', 'last_name',
+    'email', 'member_number', 'status_id', 'external_ids', 'created_at'
+  ],
+  courses: ['course_id', 'agency', 'agency_id', 'label'],
+  elearning_codes: [
+    'id', 'user_id', 'course_id', 'facility_id', 'agency', 'course_name',
+    'first_name', 'last_name', 'email', 'status_id', 'status_label',
+    'signup_code', 'signup_date', 'created_at'
+  ]
+};
+
+// Events per outbox statement
+const EVENT_CHUNK_SIZE = 1000;
+
+/**
+ * Map undefined to null, so missing and empty values compare equal
+ * @param {*} value - Value
+ * @returns {*} - The value, or null
+ */
+const orNull = (value) => (value === undefined ? null : value);
+
+/**
+ * Normalize and check a subscriber entry
+ * @param {Object} entry - Raw entry from EVENT_SUBSCRIBERS_FILE
+ * @returns {Object} - { id, url, secret, events, filters, active }
+ */
+const normalizeSubscriber = (entry) => {
+  if (!entry || typeof entry.id !== 'string' || !/^[\w.-]+$/.test(entry.id)) {
+    throw new Error('Event subscriber id must be a string of letters, digits, ".", "_" or "-"');
+  }
+  const label = `Event subscriber ${entry.id}`;
+
+  let url;
+  try {
+    url = new URL(entry.url);
+  } catch (error) {
+    throw new Error(`${label} has an invalid url`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${label} url must be http or https`);
+  }
+
+  // Every delivery is signed, so a subscriber without a secret is a configuration error
+  const secret = entry.secret_env ? process.env[entry.secret_env] : entry.secret;
+  if (!secret) {
+    throw new Error(entry.secret_env
+      ? `${label}: ${entry.secret_env} environment variable is not set`
+      : `${label} needs a secret or secret_env`);
+  }
+
+  const events = entry.events === undefined ? ['*'] : entry.events;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`${label} events must be a non-empty array`);
+  }
+  for (const pattern of events) {
+    const known = pattern === '*' ||
+      EVENT_TYPES.includes(pattern) ||
+      (typeof pattern === 'string' && pattern.endsWith('.*') && EVENT_TYPES.some((type) => type.startsWith(pattern.slice(0, -1))));
+    if (!known) {
+      throw new Error(`${label} has an unknown event "${pattern}" (expected ${EVENT_TYPES.join(', ')}, a prefix such as "elearning_code.*" or "*")`);
+    }
+  }
+
+  const filters = {};
+  for (const [field, values] of Object.entries(entry.filters || {})) {
+    if (!FILTER_FIELDS.includes(field)) {
+      throw new Error(`${label} has an unknown filter "${field}" (expected ${FILTER_FIELDS.join(', ')})`);
+    }
+    const list = Array.isArray(values) ? values : [values];
+    if (list.length === 0 || list.some((value) => value === null || typeof value === 'object')) {
+      throw new Error(`${label} filter "${field}" must be a value or a non-empty array of values`);
+    }
+    filters[field] = list.map(String);
+  }
+
+  return {
+    id: entry.id,
+    url: url.href,
+    secret,
+    events,
+    filters,
+    active: entry.active !== false
+  };
+};
+
+/**
+ * Load the active subscribers from EVENT_SUBSCRIBERS_FILE
+ * @returns {Array<Object>} - Subscribers, none when the file is not configured
+ */
+const getEventSubscribers = () => {
+  if (!process.env.EVENT_SUBSCRIBERS_FILE) {
+    return [];
+  }
+
+  const file = path.resolve(process.env.EVENT_SUBSCRIBERS_FILE);
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read EVENT_SUBSCRIBERS_FILE ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`EVENT_SUBSCRIBERS_FILE ${file} must contain a JSON array`);
+  }
+
+  const subscribers = entries.map(normalizeSubscriber);
+  const ids = new Set();
+  for (const subscriber of subscribers) {
+    if (ids.has(subscriber.id)) {
+      throw new Error(`EVENT_SUBSCRIBERS_FILE ${file} lists subscriber ${subscriber.id} twice`);
+    }
+    ids.add(subscriber.id);
+  }
+  return subscribers.filter((subscriber) => subscriber.active);
+};
+
+/**
+ * Check whether a subscriber wants an event
+ * @param {Object} subscriber - Subscriber from getEventSubscribers
+ * @param {Object} event - Event from buildEvents
+ * @returns {boolean} - True when the event type and every filter match
+ */
+const subscriberMatches = (subscriber, event) => {
+  const typeMatches = subscriber.events.some((pattern) => pattern === '*' ||
+    pattern === event.event_type ||
+    (pattern.endsWith('.*') && event.event_type.startsWith(pattern.slice(0, -1))));
+  if (!typeMatches) {
+    return false;
+  }
+  return Object.entries(subscriber.filters).every(([field, values]) => {
+    const value = event.data[field];
+    return value !== undefined && value !== null && values.includes(String(value));
+  });
+};
+
+/**
+ * Pick the event data from a stored row; fields the field policy hashes,
+ * encrypts or drops are left out
+ * @param {string} recordType - 'users', 'courses' or 'elearning_codes'
+ * @param {Object} row - Row as written
+ * @param {Object} policy - Field policy
+ * @returns {Object} - Event data
+ */
+const eventData = (recordType, row, policy) => {
+  const data = {};
+  for (const field of EVENT_FIELDS[recordType]) {
+    if (policy[field] && policy[field] !== 'allow') {
+      continue;
+    }
+    data[field] = orNull(row[field]);
+  }
+  return data;
+};
+
+/**
+ * Turn the rows an upsert changed into events:
+ *   users            - signup.created for new users
+ *   courses          - course.added for new courses
+ *   elearning_codes  - elearning_code.created for new codes; for existing
+ *                      codes elearning_code.status_changed when status_label
+ *                      changed and elearning_code.redeemed when signup_date
+ *                      was set
+ * Soft deleted rows that come back are not new and raise no created event.
+ * @param {string} recordType - 'users', 'courses' or 'elearning_codes'
+ * @param {Array<Object>} rows - Rows passed to bulkUpsert
+ * @param {Array<Object>} changes - `changes` from bulkUpsert
+ * @param {Object} policy - Field policy
+ * @returns {Array<Object>} - { event_type, facility_id, data }
+ */
+const buildEvents = (recordType, rows, changes, policy) => {
+  const events = [];
+  const add = (eventType, row, extra = {}) => {
+    events.push({
+      event_type: eventType,
+      facility_id: orNull(row.facility_id) === null ? null : String(row.facility_id),
+      data: { ...eventData(recordType, row, policy), ...extra }
+    });
+  };
+
+  for (const change of changes) {
+    const row = rows[change.index];
+    if (!row) {
+      continue;
+    }
+
+    if (recordType === 'users') {
+      if (change.inserted) {
+        add('signup.created', row);
+      }
+    } else if (recordType === 'courses') {
+      if (change.inserted) {
+        add('course.added', row);
+      }
+    } else if (recordType === 'elearning_codes') {
+      if (change.inserted) {
+        add('elearning_code.created', row);
+        continue;
+      }
+      const previous = change.previous || {};
+      if (orNull(previous.status_label) !== orNull(row.status_label)) {
+        add('elearning_code.status_changed', row, {
+          previous_status_id: orNull(previous.status_id),
+          previous_status_label: orNull(previous.status_label)
+        });
+      }
+      if (orNull(previous.signup_date) === null && row.signup_date) {
+        add('elearning_code.redeemed', row);
+      }
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Store events in the outbox with a pending delivery for every subscriber
+ * that wants them, in the caller's transaction. Events nobody subscribed to
+ * are not stored.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Array<Object>} events - Events from buildEvents
+ * @param {Array<Object>} subscribers - Subscribers from getEventSubscribers
+ * @param {string|number|null} runId - Sync run that raised them
+ * @returns {Promise<number>} - Number of events stored
+ */
+const saveEvents = async (client, events, subscribers, runId) => {
+  if (events.length === 0 || subscribers.length === 0) {
+    return 0;
+  }
+
+  const outbox = [];
+  const deliveries = [];
+  for (const event of events) {
+    const wanted = subscribers.filter((subscriber) => subscriberMatches(subscriber, event));
+    if (wanted.length === 0) {
+      continue;
+    }
+    const eventId = crypto.randomUUID();
+    outbox.push({ ...event, event_id: eventId });
+    wanted.forEach((subscriber) => deliveries.push({ event_id: eventId, subscriber_id: subscriber.id }));
+  }
+
+  const storage = getStorage();
+  for (let start = 0; start < outbox.length; start += EVENT_CHUNK_SIZE) {
+    await storage.insertOutboxEvents(client, outbox.slice(start, start + EVENT_CHUNK_SIZE), runId);
+  }
+  for (let start = 0; start < deliveries.length; start += EVENT_CHUNK_SIZE) {
+    await storage.insertEventDeliveries(client, deliveries.slice(start, start + EVENT_CHUNK_SIZE));
+  }
+
+  if (outbox.length > 0) {
+    log.info('Queued events', { events: outbox.length, deliveries: deliveries.length });
+  }
+  return outbox.length;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  getEventSubscribers,
+  subscriberMatches,
+  buildEvents,
+  saveEvents
+};
@@ -0,0 +1,148 @@
+/**
+ * Registry of the portal facilities to sync
+ *
+ * Facilities come from, in order of precedence:
+ *   1. FACILITIES_FILE - a JSON file: [{ "facility_id": "...", "name": "..." }]
+ *   2. the facilities table
+ *   3. FACILITY_ID - a single facility, for deployments set up before the registry
+ */
+const fs = require('fs');
+const path = require('path');
+const { storage } = require('./database');
+
+/**
+ * Error raised when a requested facility is not registered
+ */
+class UnknownFacilityError extends Error {
+  constructor(facilityId) {
+    super(`Facility ${facilityId} is not registered`);
+    this.name = 'UnknownFacilityError';
+    this.statusCode = 404;
+  }
+}
+
+/**
+ * Normalize a registry entry
+ * @param {Object} entry - Raw entry from the file or table
+ * @returns {Object} - { facility_id, name, active }
+ */
+const normalizeFacility = (entry) => {
+  if (!entry || entry.facility_id === undefined || entry.facility_id === null || entry.facility_id === '') {
+    throw new Error('Facility entry is missing facility_id');
+  }
+  return {
+    facility_id: String(entry.facility_id),
+    name: entry.name || null,
+    active: entry.active !== false
+  };
+};
+
+/**
+ * Load facilities from FACILITIES_FILE
+ * @returns {Array<Object>} - Facilities
+ */
+const loadFacilitiesFile = () => {
+  const file = path.resolve(process.env.FACILITIES_FILE);
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read FACILITIES_FILE ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`FACILITIES_FILE ${file} must contain a JSON array`);
+  }
+  return entries.map(normalizeFacility);
+};
+
+/**
+ * List all active facilities
+ * @returns {Promise<Array<Object>>} - Facilities ({ facility_id, name, active })
+ */
+const listFacilities = async () => {
+  let facilities;
+
+  if (process.env.FACILITIES_FILE) {
+    facilities = loadFacilitiesFile();
+  } else {
+    const result = await storage.query(
+      'SELECT facility_id, name, active FROM facilities ORDER BY facility_id'
+    );
+    facilities = result.rows.map(normalizeFacility);
+  }
+
+  facilities = facilities.filter((facility) => facility.active);
+
+  if (facilities.length === 0 && process.env.FACILITY_ID) {
+    facilities = [normalizeFacility({ facility_id: process.env.FACILITY_ID })];
+  }
+
+  return facilities;
+};
+
+/**
+ * Resolve the facilities a sync should run for
+ * @param {string|number} [facilityId] - Requested facility, or all when omitted
+ * @param {Object} [options] - { allowUnregistered: true to accept a facility
+ *   missing from the registry (dry runs of a facility not set up yet) }
+ * @returns {Promise<Array<Object>>} - Facilities to sync
+ */
+const resolveFacilities = async (facilityId, { allowUnregistered = false } = {}) => {
+  const facilities = await listFacilities();
+
+  if (facilityId === undefined || facilityId === null || facilityId === '') {
+    if (facilities.length === 0) {
+      throw new Error('No facilities are registered and FACILITY_ID is not set');
+    }
+    return facilities;
+  }
+
+  const facility = facilities.find((f) => f.facility_id === String(facilityId));
+  if (!facility) {
+    if (allowUnregistered) {
+      return [normalizeFacility({ facility_id: facilityId })];
+    }
+    throw new UnknownFacilityError(facilityId);
+  }
+  return [facility];
+};
+
+/**
+ * Add or update a facility in the facilities table
+ * @param {string} facilityId - Portal facility id
+ * @param {string} [name] - Display name
+ * @returns {Promise<Object>} - The stored facility
+ */
+const upsertFacility = async (facilityId, name = null) => {
+  const result = await storage.query(
+    `INSERT INTO facilities (facility_id, name)
+     VALUES ($1, $2)
+     ON CONFLICT (facility_id) DO UPDATE SET
+       name = COALESCE(EXCLUDED.name, facilities.name),
+       active = true
+     RETURNING facility_id, name, active`,
+    [String(facilityId), name]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Deactivate a facility in the facilities table
+ * @param {string} facilityId - Portal facility id
+ * @returns {Promise<boolean>} - True when a facility was deactivated
+ */
+const deactivateFacility = async (facilityId) => {
+  const result = await storage.query(
+    'UPDATE facilities SET active = false WHERE facility_id = $1',
+    [String(facilityId)]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  UnknownFacilityError,
+  listFacilities,
+  resolveFacilities,
+  upsertFacility,
+  deactivateFacility
+};
@@ -0,0 +1,240 @@
+/**
+ * Field policy for portal payloads
+ *
+ * Sits between the portal response and the places it ends up (the database
+ * and the webhook HTTP response). Each field is either allowed through,
+ * dropped, hashed (HMAC-SHA256) or encrypted at rest (AES-256-GCM).
+ *
+ * The policy defaults to dropping credential fields and can be overridden
+ * with FIELD_POLICY, a JSON object such as {"password":"hash"}.
+ */
+const crypto = require('crypto');
+
+const ACTIONS = ['allow', 'drop', 'hash', 'encrypt'];
+
+const DEFAULT_POLICY = {
+  password: 'drop',
+  remember_token: 'drop',
+  biometric_key: 'drop'
+};
+
+const HASH_PREFIX = 'hmac-sha256:';
+const ENCRYPTION_PREFIX = 'enc:v1:';
+
+// What follows the prefixes in values this module wrote: a hex SHA-256
+// digest, and a 12 byte IV, 16 byte tag and the ciphertext in base64
+const HASH_DIGEST = /^[0-9a-f]{64}$/;
+const ENCRYPTED_PARTS = /^[A-Za-z0-9+/]{16}:[A-Za-z0-9+/]{22}==:(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Get the effective field policy (defaults merged with FIELD_POLICY)
+ * @returns {Object} - field name -> action
+ */
+const getFieldPolicy = () => {
+  let overrides = {};
+
+  if (process.env.FIELD_POLICY) {
+    try {
+      overrides = JSON.parse(process.env.FIELD_POLICY);
+    } catch (error) {
+      throw new Error(`FIELD_POLICY is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+
+  for (const [field, action] of Object.entries(policy)) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Invalid field policy action "${action}" for ${field} (expected ${ACTIONS.join(', ')})`);
+    }
+  }
+
+  return policy;
+};
+
+/**
+ * Read a required key from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} [length] - Required decoded length in bytes
+ * @returns {Buffer} - Key bytes
+ */
+const getKey = (name, length) => {
+  const raw = process.env[name];
+  if (!raw) {
+    throw new Error(`${name} environment variable is not set`);
+  }
+
+  const key = /^[0-9a-f]+$/i.test(raw) && raw.length % 2 === 0
+    ? Buffer.from(raw, 'hex')
+    : Buffer.from(raw, 'base64');
+
+  if (length && key.length !== length) {
+    throw new Error(`${name} must be ${length} bytes (hex or base64 encoded)`);
+  }
+
+  return key;
+};
+
+/**
+ * Whether a value is the output of hashField
+ * @param {string} text - Value
+ * @returns {boolean} - True for "hmac-sha256:" and a 64 character hex digest
+ */
+const isHashedValue = (text) => {
+  return text.startsWith(HASH_PREFIX) && HASH_DIGEST.test(text.slice(HASH_PREFIX.length));
+};
+
+/**
+ * Whether a value is the output of encryptField: the right shape, and it
+ * decrypts with FIELD_ENCRYPTION_KEY
+ * @param {string} text - Value
+ * @returns {boolean} - True when the value decrypts
+ */
+const isEncryptedValue = (text) => {
+  if (!text.startsWith(ENCRYPTION_PREFIX) || !ENCRYPTED_PARTS.test(text.slice(ENCRYPTION_PREFIX.length))) {
+    return false;
+  }
+  try {
+    decryptField(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Hash a value with HMAC-SHA256 using FIELD_HASH_KEY.
+ * Values hashField already produced are returned unchanged; anything else,
+ * including portal values that merely start with the prefix, is hashed.
+ * @param {string} value - Value to hash
+ * @returns {string} - "hmac-sha256:<hex>"
+ */
+const hashField = (value) => {
+  const text = String(value);
+  if (isHashedValue(text)) {
+    return text;
+  }
+  const digest = crypto.createHmac('sha256', getKey('FIELD_HASH_KEY')).update(text).digest('hex');
+  return `${HASH_PREFIX}${digest}`;
+};
+
+/**
+ * Encrypt a value with AES-256-GCM using FIELD_ENCRYPTION_KEY.
+ * Values that decrypt with the key are returned unchanged; anything else,
+ * including portal values that merely start with the prefix, is encrypted.
+ * @param {string} value - Value to encrypt
+ * @returns {string} - "enc:v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+const encryptField = (value) => {
+  const text = String(value);
+  if (isEncryptedValue(text)) {
+    return text;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey('FIELD_ENCRYPTION_KEY', 32), iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${ENCRYPTION_PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+/**
+ * Decrypt a value produced by encryptField
+ * @param {string} value - Encrypted value
+ * @returns {string} - Plain text
+ */
+const decryptField = (value) => {
+  if (typeof value !== 'string' || !value.startsWith(ENCRYPTION_PREFIX)) {
+    throw new Error('Value is not an encrypted field');
+  }
+  const [iv, tag, ciphertext] = value.slice(ENCRYPTION_PREFIX.length).split(':')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey('FIELD_ENCRYPTION_KEY', 32), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Apply a single action to a value
+ * @param {string} action - Policy action
+ * @param {*} value - Field value
+ * @returns {*} - Value to store (null for dropped fields)
+ */
+const applyAction = (action, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (action) {
+    case 'drop':
+      return null;
+    case 'hash':
+      return hashField(value);
+    case 'encrypt':
+      return encryptField(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Prepare a record for storage: dropped fields become null, hashed and
+ * encrypted fields are transformed, everything else is kept as is.
+ * @param {Object} record - Portal record
+ * @param {Object} [policy] - Field policy (defaults to getFieldPolicy())
+ * @returns {Object} - New record safe to store
+ */
+const applyStoragePolicy = (record, policy = getFieldPolicy()) => {
+  const result = { ...record };
+  for (const [field, action] of Object.entries(policy)) {
+    if (field in result) {
+      result[field] = applyAction(action, result[field]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Prepare a record for an HTTP response: every field that is not
+ * explicitly allowed by the policy is removed, including hashed and
+ * encrypted ones.
+ * @param {Object} record - Portal record
+ * @param {Object} [policy] - Field policy (defaults to getFieldPolicy())
+ * @returns {Object} - New record safe to return
+ */
+const applyResponsePolicy = (record, policy = getFieldPolicy()) => {
+  const result = { ...record };
+  for (const [field, action] of Object.entries(policy)) {
+    if (action !== 'allow') {
+      delete result[field];
+    }
+  }
+  return result;
+};
+
+/**
+ * Sanitize a portal response body for returning to a webhook caller
+ * @param {Object} response - Portal response ({ data, ... })
+ * @returns {Object} - Response with sanitized data records
+ */
+const sanitizePortalResponse = (response) => {
+  if (!response || !Array.isArray(response.data)) {
+    return response;
+  }
+  const policy = getFieldPolicy();
+  return {
+    ...response,
+    data: response.data.map((record) => applyResponsePolicy(record, policy))
+  };
+};
+
+module.exports = {
+  HASH_PREFIX,
+  ENCRYPTION_PREFIX,
+  getFieldPolicy,
+  hashField,
+  encryptField,
+  decryptField,
+  applyAction,
+  applyStoragePolicy,
+  applyResponsePolicy,
+  sanitizePortalResponse
+};
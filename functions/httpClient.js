@@ -0,0 +1,330 @@
+/**
+ * Shared outbound HTTP client
+ *
+ * Every request has a timeout, a response size limit and typed errors for
+ * 4xx, 5xx and invalid JSON. Network errors, timeouts and 5xx responses are
+ * retried with exponential backoff. JSON responses are parsed while they
+ * stream in, so a large payload is never held as one string.
+ *
+ *   HTTP_TIMEOUT_MS          - per attempt, default 30000
+ *   HTTP_RETRIES             - retries after the first attempt, default 2
+ *   HTTP_RETRY_BASE_MS       - first backoff delay, doubled each retry, default 500
+ *   HTTP_MAX_RESPONSE_BYTES  - default 52428800 (50 MB)
+ */
+const http = require('http');
+const https = require('https');
+const { parser } = require('stream-json');
+const Assembler = require('stream-json/Assembler');
+const { createLogger } = require('./logger');
+
+const log = createLogger('httpClient');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_MAX_RESPONSE_BYTES = 50 * 1024 * 1024;
+
+// Bytes of the body kept on errors, for logs and content sniffing
+const PREVIEW_BYTES = 1024;
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT',
+  'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'
+]);
+
+/**
+ * Base class of the errors raised by the HTTP client
+ */
+class HttpError extends Error {
+  constructor(message, { url, statusCode = null, preview = '' } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.statusCode = statusCode;
+    this.preview = preview;
+  }
+}
+
+/**
+ * 4xx response
+ */
+class HttpClientError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpClientError';
+  }
+}
+
+/**
+ * 5xx response (retried)
+ */
+class HttpServerError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpServerError';
+  }
+}
+
+/**
+ * 2xx response whose body is not valid JSON
+ */
+class InvalidJsonError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidJsonError';
+  }
+}
+
+/**
+ * No complete response within the timeout (retried)
+ */
+class HttpTimeoutError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HttpTimeoutError';
+  }
+}
+
+/**
+ * Response body larger than the size limit
+ */
+class ResponseTooLargeError extends HttpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ResponseTooLargeError';
+  }
+}
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @param {number} [min] - Smallest accepted value
+ * @returns {number} - Setting value
+ */
+const getNumberSetting = (name, fallback, min = 1) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= min ? value : fallback;
+};
+
+/**
+ * Collect the first bytes of a body for error messages
+ * @param {Array<Buffer>} chunks - Preview chunks so far
+ * @param {Buffer} chunk - New chunk
+ * @param {number} length - Bytes already collected
+ * @returns {number} - Bytes collected after this chunk
+ */
+const collectPreview = (chunks, chunk, length) => {
+  if (length < PREVIEW_BYTES) {
+    chunks.push(chunk.subarray(0, PREVIEW_BYTES - length));
+  }
+  return Math.min(length + chunk.length, PREVIEW_BYTES);
+};
+
+/**
+ * Make one request attempt
+ * @param {URL} url - The URL to call
+ * @param {Object} options - Normalized request options
+ * @returns {Promise<Object>} - { statusCode, headers, body }
+ */
+const attempt = (url, options) => {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'http:' ? http : https;
+    const postData = options.body === undefined ? null : JSON.stringify(options.body);
+    const headers = { ...options.headers };
+    if (postData !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(postData);
+    }
+
+    let settled = false;
+    const finish = (error, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        req.destroy();
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: `${url.pathname}${url.search}`,
+      method: options.method,
+      headers
+    }, (res) => {
+      const { statusCode } = res;
+      const details = { url: url.href, statusCode };
+      const declaredLength = parseInt(res.headers['content-length'], 10);
+      if (declaredLength > options.maxBytes) {
+        finish(new ResponseTooLargeError(`Response from ${url.href} is ${declaredLength} bytes, over the ${options.maxBytes} byte limit`, details));
+        return;
+      }
+
+      // Redirects and errors are not parsed, only previewed
+      const parseJson = options.responseType === 'json' && statusCode >= 200 && statusCode < 300;
+      const previewChunks = [];
+      let previewLength = 0;
+      let received = 0;
+      let text = '';
+      let jsonParser = null;
+      let assembler = null;
+
+      if (parseJson) {
+        jsonParser = parser();
+        assembler = Assembler.connectTo(jsonParser);
+        jsonParser.on('error', (error) => {
+          details.preview = Buffer.concat(previewChunks).toString('utf8');
+          finish(new InvalidJsonError(`Response from ${url.href} is not valid JSON: ${error.message}`, details));
+        });
+      }
+
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > options.maxBytes) {
+          finish(new ResponseTooLargeError(`Response from ${url.href} exceeded the ${options.maxBytes} byte limit`, details));
+          return;
+        }
+        previewLength = collectPreview(previewChunks, chunk, previewLength);
+        if (jsonParser) {
+          jsonParser.write(chunk);
+        } else if (statusCode >= 200 && statusCode < 300) {
+          text += chunk;
+        }
+      });
+
+      res.on('error', (error) => finish(error));
+
+      res.on('end', () => {
+        details.preview = Buffer.concat(previewChunks).toString('utf8');
+
+        if (statusCode >= 500) {
+          finish(new HttpServerError(`Request to ${url.href} failed with HTTP ${statusCode}`, details));
+          return;
+        }
+        if (statusCode >= 400) {
+          finish(new HttpClientError(`Request to ${url.href} failed with HTTP ${statusCode}`, details));
+          return;
+        }
+        if (!parseJson) {
+          finish(null, { statusCode, headers: res.headers, body: statusCode < 300 ? text : details.preview });
+          return;
+        }
+        if (received === 0) {
+          finish(new InvalidJsonError(`Response from ${url.href} is empty`, details));
+          return;
+        }
+
+        jsonParser.end();
+        // The parser reports a truncated document from end(); wait for it to flush
+        jsonParser.on('finish', () => {
+          if (!assembler.done) {
+            finish(new InvalidJsonError(`Response from ${url.href} is not a complete JSON document`, details));
+            return;
+          }
+          finish(null, { statusCode, headers: res.headers, body: assembler.current });
+        });
+      });
+    });
+
+    const timer = setTimeout(() => {
+      finish(new HttpTimeoutError(`Request to ${url.href} timed out after ${options.timeoutMs}ms`, { url: url.href }));
+    }, options.timeoutMs);
+
+    req.on('error', (error) => finish(error));
+
+    if (postData !== null) {
+      req.write(postData);
+    }
+    req.end();
+  });
+};
+
+/**
+ * Check whether a failed attempt should be retried
+ * @param {Error} error - Error from the attempt
+ * @returns {boolean} - True for network errors, timeouts and 5xx responses
+ */
+const isRetryable = (error) => {
+  return error instanceof HttpServerError ||
+    error instanceof HttpTimeoutError ||
+    RETRYABLE_NETWORK_CODES.has(error.code);
+};
+
+/**
+ * Make an HTTP(S) request. The URL's port and query string are kept.
+ * 2xx responses resolve; 3xx responses resolve unparsed (redirects are not
+ * followed); 4xx and 5xx responses reject with HttpClientError and
+ * HttpServerError.
+ * @param {string|URL} url - The URL to call
+ * @param {Object} [options] - { method, headers, body (serialized as JSON),
+ *   responseType ('json' or 'text'), timeoutMs, retries, maxBytes }
+ * @returns {Promise<Object>} - { statusCode, headers, body }
+ */
+const request = async (url, options = {}) => {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (urlError) {
+    throw new Error(`Invalid URL: ${url}. Error: ${urlError.message}`);
+  }
+
+  const normalized = {
+    method: options.method || 'GET',
+    headers: options.headers || {},
+    body: options.body,
+    responseType: options.responseType || 'json',
+    timeoutMs: options.timeoutMs || getNumberSetting('HTTP_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+    maxBytes: options.maxBytes || getNumberSetting('HTTP_MAX_RESPONSE_BYTES', DEFAULT_MAX_RESPONSE_BYTES)
+  };
+  const retries = options.retries !== undefined ? options.retries : getNumberSetting('HTTP_RETRIES', DEFAULT_RETRIES, 0);
+  const baseDelay = getNumberSetting('HTTP_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    try {
+      return await attempt(urlObj, normalized);
+    } catch (error) {
+      if (attemptNumber >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = baseDelay * 2 ** attemptNumber + Math.floor(Math.random() * baseDelay);
+      log.warn('HTTP request failed, retrying', {
+        method: normalized.method,
+        url: `${urlObj.origin}${urlObj.pathname}`,
+        retry: attemptNumber + 1,
+        retries,
+        delay_ms: delay,
+        error
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Make a request and return the parsed JSON body
+ * @param {string|URL} url - The URL to call
+ * @param {Object} [options] - See request()
+ * @returns {Promise<*>} - Parsed response body
+ */
+const requestJson = async (url, options) => {
+  const response = await request(url, { ...options, responseType: 'json' });
+  return response.body;
+};
+
+module.exports = {
+  HttpError,
+  HttpClientError,
+  HttpServerError,
+  InvalidJsonError,
+  HttpTimeoutError,
+  ResponseTooLargeError,
+  request,
+  requestJson
+};
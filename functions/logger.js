@@ -0,0 +1,279 @@
+/**
+ * Structured, leveled logging
+ *
+ * Every record is one JSON line on stdout (warn and error on stderr):
+ *
+ *   {"time":"2025-06-25T17:01:22.123Z","level":"info","module":"webhooks",
+ *    "msg":"Sync job finished","request_id":"5f0c...","job_id":"12","status":"success"}
+ *
+ *   LOG_LEVEL          - debug, info (default), warn, error or silent
+ *   LOG_FORMAT         - json (default) or pretty (one readable line per record)
+ *   LOG_REDACT_FIELDS  - comma separated field names to redact on top of the built-in ones
+ *
+ * Records carry the correlation ids of the work they belong to (request_id,
+ * job_id, run_id, facility_id, delivery_id, ...). They are set with
+ * withLogContext and follow the work across awaits.
+ *
+ * Nothing personal or secret is written: fields named like personal or
+ * credential data (email, dob, first_name, password, cookies, tokens, ...)
+ * are replaced with "[redacted]" at any depth, and inside strings, including
+ * messages and error stacks, e-mail addresses, URL credentials and URL query
+ * strings are masked.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+const FORMATS = ['json', 'pretty'];
+
+// Personal data of users and codes, matched by exact (lower case) field name.
+// A bare `name` is left out: it is the name of a facility, course or export.
+const PERSONAL_FIELDS = [
+  'email', 'first_name', 'middle_name', 'last_name', 'full_name', 'username', 'user_name',
+  'dob', 'member_number', 'phone', 'address', 'meta_data', 'external_ids', 'signup_code'
+];
+
+// Credentials, matched anywhere in the field name (remember_token, x-xsrf-token, ...)
+const CREDENTIAL_PATTERN = /password|secret|token|cookie|xsrf|signature|authorization|api_?key|biometric/i;
+
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+const URL_CREDENTIALS = /\b([a-z][a-z0-9+.-]*:\/\/)[^\s/@[\]]+@/gi;
+const URL_QUERY = /\b(https?:\/\/[^\s?#"'<>]+)[?#][^\s"'<>]*/gi;
+const EMAIL_ADDRESS = /[^\s@<>"'(),;:[\]]+@[^\s@<>"'(),;:[\]]+\.[a-z]{2,}/gi;
+
+const context = new AsyncLocalStorage();
+let warnedSettings = false;
+
+/**
+ * Read LOG_LEVEL and LOG_FORMAT. Unknown values fall back to the defaults
+ * (with one warning) rather than silencing the logs.
+ * @returns {Object} - { level, format }
+ */
+const getLogSettings = () => {
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).trim().toLowerCase();
+  const format = (process.env.LOG_FORMAT || 'json').trim().toLowerCase();
+  const settings = {
+    level: LEVELS[level] ? level : DEFAULT_LEVEL,
+    format: FORMATS.includes(format) ? format : 'json'
+  };
+  if (!warnedSettings && (settings.level !== level || settings.format !== format)) {
+    warnedSettings = true;
+    process.stderr.write(`${JSON.stringify({
+      time: new Date().toISOString(),
+      level: 'warn',
+      module: 'logger',
+      msg: `Unknown LOG_LEVEL or LOG_FORMAT, using ${settings.level} and ${settings.format}`,
+      expected_levels: Object.keys(LEVELS),
+      expected_formats: FORMATS
+    })}\n`);
+  }
+  return settings;
+};
+
+/**
+ * Get the extra field names to redact from LOG_REDACT_FIELDS
+ * @returns {Array<string>} - Lower case field names
+ */
+const getExtraRedactedFields = () => {
+  return (process.env.LOG_REDACT_FIELDS || '')
+    .split(',')
+    .map((field) => field.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Whether a field's value must not be logged
+ * @param {string} field - Field name
+ * @param {Array<string>} extra - Names from LOG_REDACT_FIELDS
+ * @returns {boolean} - True to redact
+ */
+const isRedactedField = (field, extra) => {
+  const name = String(field).toLowerCase();
+  return PERSONAL_FIELDS.includes(name) || extra.includes(name) || CREDENTIAL_PATTERN.test(name);
+};
+
+/**
+ * Mask e-mail addresses, URL credentials and URL query strings in text
+ * @param {string} text - Text to log
+ * @returns {string} - Masked text
+ */
+const scrubText = (text) => {
+  return String(text)
+    .replace(URL_CREDENTIALS, `$1${REDACTED}@`)
+    .replace(URL_QUERY, `$1?${REDACTED}`)
+    .replace(EMAIL_ADDRESS, '[email]');
+};
+
+/**
+ * Copy a value for logging with personal and credential data removed
+ * @param {*} value - Value to log
+ * @param {Array<string>} [extra] - Names from LOG_REDACT_FIELDS
+ * @param {number} [depth] - Current depth
+ * @param {WeakSet} [seen] - Objects already visited (cycles)
+ * @returns {*} - Safe copy
+ */
+const redact = (value, extra = getExtraRedactedFields(), depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return scrubText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? String(value) : value;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, extra, depth + 1, seen));
+  }
+  const copy = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (fieldValue === undefined) {
+      continue;
+    }
+    copy[field] = isRedactedField(field, extra) && fieldValue !== null
+      ? REDACTED
+      : redact(fieldValue, extra, depth + 1, seen);
+  }
+  return copy;
+};
+
+/**
+ * Turn an error into loggable fields
+ * @param {*} error - Error (or anything thrown)
+ * @returns {Object} - { type, message, code, status_code, stack }
+ */
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return { message: scrubText(typeof error === 'string' ? error : JSON.stringify(redact(error))) };
+  }
+  const fields = { type: error.name, message: scrubText(error.message) };
+  if (error.code !== undefined) {
+    fields.code = error.code;
+  }
+  if (error.statusCode !== undefined) {
+    fields.status_code = error.statusCode;
+  }
+  if (error.stack) {
+    fields.stack = scrubText(error.stack);
+  }
+  return fields;
+};
+
+/**
+ * Get the correlation fields of the current work
+ * @returns {Object} - { request_id, job_id, ... }
+ */
+const getLogContext = () => context.getStore() || {};
+
+/**
+ * Run `fn` with extra correlation fields on every record it logs, including
+ * records logged after awaits and in callbacks it schedules
+ * @param {Object} fields - { request_id, job_id, run_id, ... }; null and
+ *   undefined values clear a field of the enclosing context
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+const withLogContext = (fields, fn) => {
+  const merged = { ...getLogContext() };
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) {
+      delete merged[field];
+    } else {
+      merged[field] = value;
+    }
+  }
+  return context.run(merged, fn);
+};
+
+/**
+ * Run `fn` with only the given correlation fields, for background work that
+ * must not carry the ids of whatever request or job happened to start it
+ * @param {Object} fields - { job_id, delivery_id, ... }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+const startLogContext = (fields, fn) => context.run({}, () => withLogContext(fields, fn));
+
+/**
+ * Format a record as one readable line
+ * @param {Object} record - Log record
+ * @returns {string} - Line
+ */
+const formatPretty = ({ time, level, module, msg, error, ...fields }) => {
+  const values = Object.entries(fields)
+    .map(([field, value]) => `${field}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  let line = `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${values.length ? ` ${values.join(' ')}` : ''}`;
+  if (error) {
+    line += `\n  ${error.stack || error.message}`;
+  }
+  return line;
+};
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name recorded with every record
+ * @param {Object} [bound] - Fields recorded with every record of this logger
+ * @returns {Object} - { debug, info, warn, error, child } where each level
+ *   takes (message, fields); an `error` field is logged as the error's type,
+ *   message and stack
+ */
+const createLogger = (module, bound = {}) => {
+  const write = (level, message, fields = {}) => {
+    const settings = getLogSettings();
+    if (LEVELS[level] < LEVELS[settings.level]) {
+      return;
+    }
+
+    const extra = getExtraRedactedFields();
+    const { error, ...rest } = fields;
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      module,
+      msg: scrubText(message),
+      ...redact(getLogContext(), extra),
+      ...redact(bound, extra),
+      ...redact(rest, extra)
+    };
+    if (error !== undefined && error !== null) {
+      record.error = serializeError(error);
+    }
+
+    const line = settings.format === 'pretty' ? formatPretty(record) : JSON.stringify(record);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (fields) => createLogger(module, { ...bound, ...fields })
+  };
+};
+
+module.exports = {
+  createLogger,
+  withLogContext,
+  startLogContext,
+  getLogContext,
+  redact,
+  scrubText,
+  serializeError
+};
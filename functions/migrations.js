@@ -0,0 +1,241 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in /migrations (Postgres) and /migrations/sqlite (SQLite,
+ * same versions and names) as pairs of files:
+ *   0001_create_sync_tables.up.sql
+ *   0001_create_sync_tables.down.sql
+ *
+ * Applied migrations are recorded in schema_migrations together with a
+ * checksum of their up file, so edits to an already applied migration are
+ * detected instead of silently ignored.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { storage } = require('./database');
+const { createLogger } = require('./logger');
+
+const log = createLogger('migrations');
+
+const MIGRATIONS_DIR = storage.migrationsDir;
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * Read the migration files from disk
+ * @returns {Array<Object>} - Migrations sorted by version
+ */
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched file names: ${migration.name} and ${name}`);
+    }
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migration[direction] = sql;
+    if (direction === 'up') {
+      migration.checksum = crypto.createHash('sha256').update(sql).digest('hex');
+    }
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (const migration of sorted) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+    }
+  }
+
+  return sorted;
+};
+
+/**
+ * Create the schema_migrations table if needed
+ * @param {Object} client - Connected database client
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version text PRIMARY KEY,
+      name text NOT NULL,
+      checksum text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Get the applied migrations keyed by version
+ * @param {Object} client - Connected database client
+ * @returns {Promise<Map>} - version -> row
+ */
+const getApplied = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map((row) => [row.version, row]));
+};
+
+/**
+ * Fail if an applied migration's up file has changed or disappeared
+ * @param {Array<Object>} migrations - Migrations on disk
+ * @param {Map} applied - Applied migrations
+ */
+const verifyChecksums = (migrations, applied) => {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  for (const row of applied.values()) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Applied migration ${row.version}_${row.name} is missing from ${MIGRATIONS_DIR}`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for applied migration ${row.version}_${row.name}; add a new migration instead of editing it`);
+    }
+  }
+};
+
+/**
+ * Run `fn` with a dedicated client holding the migration lock
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} - Result of fn
+ */
+const withMigrationLock = async (fn) => {
+  const client = await storage.connect();
+
+  try {
+    await storage.lockMigrations(client);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await storage.unlockMigrations(client);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @returns {Promise<Array<string>>} - Applied migration ids
+ */
+const migrateUp = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    verifyChecksums(migrations, applied);
+
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      const id = `${migration.version}_${migration.name}`;
+      log.info('Applying migration', { migration: id });
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${id} failed: ${error.message}`);
+      }
+
+      done.push(id);
+    }
+
+    log.info(done.length ? 'Applied migrations' : 'Database schema is up to date', { applied: done.length });
+    return done;
+  });
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} [steps=1] - Number of migrations to revert
+ * @returns {Promise<Array<string>>} - Reverted migration ids
+ */
+const migrateDown = async (steps = 1) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    verifyChecksums(migrations, applied);
+
+    const toRevert = migrations
+      .filter((m) => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    const done = [];
+    for (const migration of toRevert) {
+      const id = `${migration.version}_${migration.name}`;
+      if (!migration.down) {
+        throw new Error(`Migration ${id} has no down file`);
+      }
+
+      log.info('Reverting migration', { migration: id });
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting migration ${id} failed: ${error.message}`);
+      }
+
+      done.push(id);
+    }
+
+    log.info('Reverted migrations', { reverted: done.length });
+    return done;
+  });
+};
+
+/**
+ * List every migration with its applied state
+ * @returns {Promise<Array<Object>>} - { id, applied, applied_at, checksum_ok }
+ */
+const migrationStatus = async () => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+
+    return migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      return {
+        id: `${migration.version}_${migration.name}`,
+        applied: !!row,
+        applied_at: row ? row.applied_at : null,
+        checksum_ok: row ? row.checksum === migration.checksum : null
+      };
+    });
+  });
+};
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
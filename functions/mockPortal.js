@@ -0,0 +1,111 @@
+/**
+ * Local stand-in for the portal and the authme service
+ *
+ * Replays JSON fixtures so the whole webhook-to-database flow can run
+ * offline:
+ *   POST /authme                      - issues session cookies and an XSRF token
+ *   GET  <PORTAL_SIGNUPS_PATH>         - facility signups fixture
+ *   GET  <PORTAL_ELEARNING_CODES_PATH> - e-learning codes fixture
+ *
+ * Portal requests without a session issued by /authme get a 401. Sessions
+ * older than `sessionTtlSeconds` are redirected to an HTML login page, like
+ * the real portal does with expired sessions. Fixtures are read on every
+ * request, so they can be edited while the server runs.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const { getPortalConfig } = require('./portalClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mockPortal');
+
+const SESSION_COOKIE = 'tdisdi_portal_session';
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header] - Cookie header value
+ * @returns {Object} - Cookie values by name
+ */
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+};
+
+/**
+ * Create the mock portal app
+ * @param {Object} options - { signups, elearningCodes }: paths of the JSON
+ *   fixtures, sessionTtlSeconds: session lifetime (unlimited when omitted)
+ * @returns {Object} - Express app
+ */
+const createMockPortal = ({ signups, elearningCodes, sessionTtlSeconds }) => {
+  const { signupsPath, elearningCodesPath } = getPortalConfig();
+  // session token -> { facilityId, createdAt }
+  const sessions = new Map();
+  const app = express();
+
+  app.use(express.json());
+
+  app.post('/authme', (req, res) => {
+    const facilityId = req.body && req.body.facility_id;
+    if (!facilityId) {
+      return res.status(400).json({ status: 'error', error: 'facility_id is required' });
+    }
+
+    const session = crypto.randomBytes(16).toString('hex');
+    const xsrf = crypto.randomBytes(16).toString('hex');
+    sessions.set(session, { facilityId: String(facilityId), createdAt: Date.now() });
+    log.info('authme', { facility_id: facilityId });
+
+    res.json({
+      response: {
+        cookies: {
+          ITIAuthToken: crypto.randomBytes(8).toString('hex'),
+          PORTALSESSID: crypto.randomBytes(8).toString('hex'),
+          SAMLSessionID: crypto.randomBytes(8).toString('hex'),
+          [SESSION_COOKIE]: session
+        },
+        xsrf
+      }
+    });
+  });
+
+  /**
+   * Serve a fixture to requests carrying a session for the requested facility
+   * @param {string} file - Fixture path
+   * @returns {Function} - Express route handler
+   */
+  const replay = (file) => (req, res) => {
+    const cookies = parseCookies(req.headers.cookie);
+    const session = sessions.get(cookies[SESSION_COOKIE]);
+    if (!session || session.facilityId !== String(req.query.facility_uuid)) {
+      return res.status(401).json({ message: 'Unauthenticated.' });
+    }
+    if (sessionTtlSeconds && Date.now() - session.createdAt > sessionTtlSeconds * 1000) {
+      log.info('Session expired', { path: req.path, facility_id: session.facilityId });
+      return res.redirect('/login');
+    }
+
+    log.info('Serving fixture', { path: req.path, facility_id: session.facilityId, file });
+    res.type('json').send(fs.readFileSync(file));
+  };
+
+  app.get('/login', (req, res) => {
+    res.type('html').send('<!DOCTYPE html><html><body><form method="post" action="/login">Log in</form></body></html>');
+  });
+
+  app.get(signupsPath, replay(signups));
+  app.get(elearningCodesPath, replay(elearningCodes));
+
+  return app;
+};
+
+module.exports = {
+  createMockPortal
+};
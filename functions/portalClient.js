@@ -0,0 +1,179 @@
+/**
+ * Client for the TDI/SDI portal and the external authme service
+ *
+ * The portal location is configured with:
+ *   PORTAL_BASE_URL              - default https://portal.tdisdi.com
+ *   PORTAL_PORT                  - overrides the port of PORTAL_BASE_URL
+ *   PORTAL_SIGNUPS_PATH          - default /ajax/get_facility_signups
+ *   PORTAL_ELEARNING_CODES_PATH  - default /ajax/get_elearning_codes_by_facility
+ *
+ * Point these (and EXTERNAL_WEBHOOK_URL) at `npm run mock:portal` to run the
+ * syncs against local fixtures.
+ */
+const { request, requestJson, HttpClientError, InvalidJsonError } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'https://portal.tdisdi.com';
+const DEFAULT_SIGNUPS_PATH = '/ajax/get_facility_signups';
+const DEFAULT_ELEARNING_CODES_PATH = '/ajax/get_elearning_codes_by_facility';
+
+/**
+ * Read the portal configuration from the environment
+ * @returns {Object} - { baseUrl, signupsPath, elearningCodesPath }
+ */
+const getPortalConfig = () => {
+  const raw = process.env.PORTAL_BASE_URL || DEFAULT_BASE_URL;
+
+  let baseUrl;
+  try {
+    baseUrl = new URL(raw);
+  } catch (error) {
+    throw new Error(`PORTAL_BASE_URL is not a valid URL: ${raw}`);
+  }
+  if (baseUrl.protocol !== 'http:' && baseUrl.protocol !== 'https:') {
+    throw new Error(`PORTAL_BASE_URL must be an http or https URL: ${raw}`);
+  }
+
+  if (process.env.PORTAL_PORT) {
+    const port = parseInt(process.env.PORTAL_PORT, 10);
+    if (!/^\d+$/.test(process.env.PORTAL_PORT) || port < 1 || port > 65535) {
+      throw new Error(`PORTAL_PORT must be a port number: ${process.env.PORTAL_PORT}`);
+    }
+    baseUrl.port = String(port);
+  }
+
+  return {
+    baseUrl,
+    signupsPath: process.env.PORTAL_SIGNUPS_PATH || DEFAULT_SIGNUPS_PATH,
+    elearningCodesPath: process.env.PORTAL_ELEARNING_CODES_PATH || DEFAULT_ELEARNING_CODES_PATH
+  };
+};
+
+/**
+ * Build a portal URL from the configured base URL
+ * @param {string} path - Path below the base URL
+ * @param {Object} [query] - Query string parameters
+ * @returns {URL} - The full URL
+ */
+const portalUrl = (path, query = {}) => {
+  const { baseUrl } = getPortalConfig();
+  const url = new URL(baseUrl.href);
+  url.pathname = `${baseUrl.pathname.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  for (const [name, value] of Object.entries(query)) {
+    url.searchParams.set(name, value);
+  }
+  return url;
+};
+
+/**
+ * Error raised when the portal does not accept the session: a 401 or 419,
+ * a redirect (to the login page) or an HTML page instead of JSON.
+ */
+class PortalAuthError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'PortalAuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Make an authenticated portal request and parse the JSON response
+ * @param {URL} url - Portal URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} - The response data
+ * @throws {PortalAuthError} - When the portal did not accept the session
+ */
+const requestPortal = async (url, headers) => {
+  let response;
+  try {
+    response = await request(url, { headers });
+  } catch (error) {
+    if (error instanceof HttpClientError && (error.statusCode === 401 || error.statusCode === 419)) {
+      throw new PortalAuthError(`Portal rejected the session with HTTP ${error.statusCode}`, error.statusCode);
+    }
+    if (error instanceof InvalidJsonError && /^\s*</.test(error.preview)) {
+      // The portal answers AJAX calls with its login page when the session is gone
+      throw new PortalAuthError('Portal returned an HTML page instead of JSON', error.statusCode);
+    }
+    throw error;
+  }
+
+  if (response.statusCode >= 300) {
+    throw new PortalAuthError(`Portal redirected to ${response.headers.location || 'another page'}`, response.statusCode);
+  }
+
+  const data = response.body;
+  if (data && data.success === false) {
+    throw new Error(`Portal request to ${url.pathname} reported a failure${data.message ? `: ${data.message}` : ''}`);
+  }
+  return data;
+};
+
+/**
+ * Make HTTP request to external service
+ * @param {string} url - The URL to call
+ * @param {Object} data - The data to send
+ * @returns {Promise<Object>} - The response data
+ * @throws {HttpError} - On HTTP errors, timeouts and invalid JSON (see httpClient)
+ */
+const makeExternalRequest = (url, data) => {
+  return requestJson(url, { method: 'POST', body: data });
+};
+
+/**
+ * Build the headers of an authenticated portal AJAX request
+ * @param {string} facilityId - The facility ID
+ * @param {Object} cookies - Authentication cookies
+ * @param {string} xsrf - XSRF token
+ * @param {string} refererPath - Page the request appears to come from
+ * @returns {Object} - Request headers
+ */
+const buildPortalHeaders = (facilityId, cookies, xsrf, refererPath) => ({
+  'Accept': 'application/json',
+  'Cookie': `ITIAuthToken=${cookies.ITIAuthToken || ''}; PORTALSESSID=${cookies.PORTALSESSID || ''}; SAMLSessionID=${cookies.SAMLSessionID || ''}; SelectedFacility=${facilityId}; XSRF-TOKEN=${xsrf || ''}; tdisdi_portal_session=${cookies.tdisdi_portal_session || ''}`,
+  'x-csrf-token': xsrf || '',
+  'x-requested-with': 'XMLHttpRequest',
+  'sec-fetch-mode': 'cors',
+  'Referer': portalUrl(refererPath).href
+});
+
+/**
+ * Make HTTP request to facility signups API
+ * @param {string} facilityId - The facility ID
+ * @param {Object} cookies - Authentication cookies
+ * @param {string} xsrf - XSRF token
+ * @returns {Promise<Object>} - The response data
+ * @throws {PortalAuthError} - When the session is expired or invalid
+ */
+const makeFacilitySignupsRequest = (facilityId, cookies, xsrf) => {
+  const { signupsPath } = getPortalConfig();
+  return requestPortal(
+    portalUrl(signupsPath, { facility_uuid: facilityId }),
+    buildPortalHeaders(facilityId, cookies, xsrf, '/')
+  );
+};
+
+/**
+ * Make HTTP request to e-learning codes API
+ * @param {string} facilityId - The facility ID
+ * @param {Object} cookies - Authentication cookies
+ * @param {string} xsrf - XSRF token
+ * @returns {Promise<Object>} - The response data
+ * @throws {PortalAuthError} - When the session is expired or invalid
+ */
+const makeElearningCodesRequest = (facilityId, cookies, xsrf) => {
+  const { elearningCodesPath } = getPortalConfig();
+  return requestPortal(
+    portalUrl(elearningCodesPath, { facility_uuid: facilityId }),
+    buildPortalHeaders(facilityId, cookies, xsrf, '/elearning/manage-codes')
+  );
+};
+
+module.exports = {
+  PortalAuthError,
+  getPortalConfig,
+  portalUrl,
+  makeExternalRequest,
+  makeFacilitySignupsRequest,
+  makeElearningCodesRequest
+};
@@ -0,0 +1,395 @@
+/**
+ * Schemas for portal records, checked before anything is written
+ *
+ * Field types:
+ *   integer   - 32-bit integer, as a number or a numeric string
+ *   string    - text (numbers are converted)
+ *   json      - JSON text; objects and arrays are serialized
+ *   object    - JSON object, as an object or a JSON-encoded string (also
+ *               encoded twice); kept parsed, for jsonb columns
+ *   timestamp - "YYYY-MM-DD HH:MM:SS" in the portal timezone, or ISO 8601 with an offset
+ *   date      - "YYYY-MM-DD"
+ *
+ * Missing values (undefined, null, and '' for non-string fields) are stored
+ * as NULL. A field with an invalid value is stored as NULL and reported; a
+ * record without a valid key is rejected whole.
+ *
+ *   PORTAL_TIMEZONE - IANA timezone of the portal's local timestamps (default UTC)
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Entries kept in the rejected_records and rejected_fields lists of a report
+const MAX_REPORTED = 100;
+// Characters of a rejected value kept in a report
+const MAX_VALUE_LENGTH = 50;
+
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOCAL_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?$/;
+const OFFSET_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Build a schema from [name, type] pairs
+ * @param {string} name - Schema name used in reports
+ * @param {string} key - Key field; records without a valid key are rejected
+ * @param {Array<Array<string>>} fields - [name, type] pairs
+ * @returns {Object} - { name, key, fields }
+ */
+const defineSchema = (name, key, fields) => ({ name, key, fields });
+
+const SIGNUP_SCHEMA = defineSchema('users', 'user_id', [
+  ['user_id', 'integer'], ['id', 'integer'], ['facility_id', 'integer'], ['user_uuid', 'string'],
+  ['username', 'string'], ['name', 'string'], ['email', 'string'], ['email_verified_at', 'timestamp'],
+  ['password', 'string'], ['remember_token', 'string'], ['created_at', 'timestamp'],
+  ['updated_at', 'timestamp'], ['created_user_id', 'integer'], ['updated_user_id', 'integer'],
+  ['instance_id', 'integer'], ['prefix_id', 'integer'], ['first_name', 'string'],
+  ['middle_name', 'string'], ['last_name', 'string'], ['suffix_id', 'integer'], ['gender', 'integer'],
+  ['member_number', 'string'], ['region_id', 'integer'], ['login_count', 'integer'],
+  ['login_stamp', 'timestamp'], ['status_id', 'integer'], ['user_level_id', 'integer'],
+  ['admin_level_id', 'integer'], ['dob', 'date'], ['meta_data', 'object'], ['external_ids', 'object'],
+  ['biometric_key', 'string'], ['biometric_expiration', 'timestamp'], ['reward_program', 'string'],
+  ['member_added_date', 'timestamp']
+]);
+
+const COURSE_SCHEMA = defineSchema('courses', 'course_id', [
+  ['course_id', 'integer'], ['agency', 'string'], ['agency_id', 'integer'], ['label', 'string']
+]);
+
+const ELEARNING_CODE_SCHEMA = defineSchema('elearning_codes', 'id', [
+  ['id', 'integer'], ['user_id', 'integer'], ['course_id', 'integer'], ['user_name', 'string'],
+  ['first_name', 'string'], ['middle_name', 'string'], ['last_name', 'string'], ['dob', 'date'],
+  ['email', 'string'], ['facility_id', 'integer'], ['facility_name', 'string'],
+  ['facility_number', 'string'], ['office_id', 'integer'], ['agency_id', 'integer'],
+  ['agency', 'string'], ['course_name', 'string'], ['course_meta', 'json'], ['moodle_id', 'integer'],
+  ['instance_id', 'integer'], ['prefix_id', 'integer'], ['suffix_id', 'integer'],
+  ['status_id', 'integer'], ['status_label', 'string'], ['signup_code', 'string'],
+  ['signup_date', 'timestamp'], ['help_date', 'timestamp'], ['created_at', 'timestamp'],
+  ['updated_at', 'timestamp']
+]);
+
+// timezone -> Intl.DateTimeFormat
+const formatters = new Map();
+
+/**
+ * Get the wall clock formatter of a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} - Formatter (RangeError for an unknown zone)
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Get the portal timezone from PORTAL_TIMEZONE
+ * @returns {string} - IANA timezone name
+ */
+const getPortalTimezone = () => {
+  const timeZone = process.env.PORTAL_TIMEZONE || DEFAULT_TIMEZONE;
+  try {
+    getFormatter(timeZone);
+  } catch (error) {
+    throw new Error(`PORTAL_TIMEZONE is not a valid IANA timezone: ${timeZone}`);
+  }
+  return timeZone;
+};
+
+/**
+ * Get a timezone's offset from UTC at an instant
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} instant - Milliseconds since the epoch
+ * @returns {number} - Offset in ms (positive east of UTC)
+ */
+const zoneOffsetMs = (timeZone, instant) => {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[part.type] = parseInt(part.value, 10);
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (instant - (((instant % 1000) + 1000) % 1000));
+};
+
+/**
+ * Check that date parts form a real calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean} - True when the date exists
+ */
+const isCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return year > 0 && date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Convert a portal timestamp to an ISO 8601 UTC string
+ * @param {string} value - "YYYY-MM-DD HH:MM:SS" (portal local time) or ISO 8601 with an offset
+ * @param {string} timeZone - Portal timezone
+ * @returns {string|null} - ISO string, or null when the value is not a valid timestamp
+ */
+const toUtcTimestamp = (value, timeZone) => {
+  if (OFFSET_TIMESTAMP.test(value)) {
+    const instant = Date.parse(value.replace(' ', 'T'));
+    return Number.isNaN(instant) ? null : new Date(instant).toISOString();
+  }
+
+  const match = value.match(LOCAL_TIMESTAMP);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second = 0] = match.slice(1, 7).map((part) => parseInt(part || 0, 10));
+  const millis = match[7] ? Math.floor(parseInt(match[7].padEnd(6, '0'), 10) / 1000) : 0;
+  if (!isCalendarDate(year, month, day) || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  // Wall clock time as if it were UTC, shifted by the zone offset of a day
+  // before or after. Around a DST change both can fit (the repeated hour:
+  // the earlier instant is used) or neither (the skipped hour: the offset
+  // from before the change is used, which moves the time forward).
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+  const before = wallClock - zoneOffsetMs(timeZone, wallClock - DAY_MS);
+  const after = wallClock - zoneOffsetMs(timeZone, wallClock + DAY_MS);
+  const fits = [before, after].filter((instant) => wallClock - zoneOffsetMs(timeZone, instant) === instant);
+  return new Date(fits.length > 0 ? Math.min(...fits) : before).toISOString();
+};
+
+/**
+ * Normalize one field value
+ * @param {*} value - Raw value
+ * @param {string} type - Field type
+ * @param {string} timeZone - Portal timezone
+ * @returns {Object} - { value } or { error }
+ */
+const normalizeValue = (value, type, timeZone) => {
+  if (value === undefined || value === null || (value === '' && type !== 'string')) {
+    return { value: null };
+  }
+
+  switch (type) {
+    case 'integer': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value.trim()) : value;
+      if (!Number.isInteger(number)) {
+        return { error: 'not an integer' };
+      }
+      if (number < INT_MIN || number > INT_MAX) {
+        return { error: 'integer out of range' };
+      }
+      return { value: number };
+    }
+    case 'string':
+      if (typeof value === 'string') {
+        return { value };
+      }
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return { value: String(value) };
+      }
+      return { error: 'not a string' };
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (error) {
+          return { error: 'not valid JSON' };
+        }
+        return { value };
+      }
+      if (typeof value === 'object') {
+        return { value: JSON.stringify(value) };
+      }
+      return { error: 'not valid JSON' };
+    case 'object': {
+      let parsed = value;
+      try {
+        // The portal encodes these objects as strings, sometimes twice
+        for (let depth = 0; typeof parsed === 'string' && depth < 2; depth++) {
+          parsed = JSON.parse(parsed);
+        }
+      } catch (error) {
+        return { error: 'not valid JSON' };
+      }
+      if (parsed === null) {
+        return { value: null };
+      }
+      if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { error: 'not a JSON object' };
+      }
+      return { value: parsed };
+    }
+    case 'timestamp': {
+      const timestamp = typeof value === 'string' ? toUtcTimestamp(value.trim(), timeZone) : null;
+      return timestamp === null ? { error: 'not a valid timestamp' } : { value: timestamp };
+    }
+    case 'date': {
+      const match = typeof value === 'string' ? value.trim().match(DATE) : null;
+      if (!match || !isCalendarDate(...match.slice(1, 4).map((part) => parseInt(part, 10)))) {
+        return { error: 'not a valid date' };
+      }
+      return { value: match[0] };
+    }
+    default:
+      throw new Error(`Unknown schema field type: ${type}`);
+  }
+};
+
+/**
+ * Shorten a rejected value for the report
+ * @param {*} value - Rejected value
+ * @returns {string} - Printable value
+ */
+const describeValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+};
+
+/**
+ * Create an empty validation report
+ * @param {Object} schema - Schema
+ * @returns {Object} - Report
+ */
+const createReport = (schema) => ({
+  schema: schema.name,
+  records: 0,
+  accepted: 0,
+  rejected: 0,
+  rejected_fields_count: 0,
+  rejected_fields_by_name: {},
+  rejected_records: [],
+  rejected_fields: []
+});
+
+/**
+ * Validate one record into the report
+ * @param {Object} schema - Schema
+ * @param {*} record - Raw record
+ * @param {number} index - Position in the payload
+ * @param {Object} report - Report (updated)
+ * @param {string} timeZone - Portal timezone
+ * @param {Array<Object>} rejections - Every rejected record as { index, reason, record } (appended to)
+ * @returns {Object|null} - Normalized row keyed by field name, or null when rejected
+ */
+const validateRecord = (schema, record, index, report, timeZone, rejections) => {
+  report.records++;
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    report.rejected++;
+    rejections.push({ index, reason: 'not an object', record });
+    if (report.rejected_records.length < MAX_REPORTED) {
+      report.rejected_records.push({ index, key: null, reason: 'not an object' });
+    }
+    return null;
+  }
+
+  const row = {};
+  const fieldErrors = [];
+  for (const [name, type] of schema.fields) {
+    const result = normalizeValue(record[name], type, timeZone);
+    if (result.error) {
+      row[name] = null;
+      fieldErrors.push({ field: name, value: describeValue(record[name]), reason: result.error });
+    } else {
+      row[name] = result.value;
+    }
+  }
+
+  if (row[schema.key] === null) {
+    const reason = `missing or invalid ${schema.key}`;
+    report.rejected++;
+    rejections.push({ index, reason, record });
+    if (report.rejected_records.length < MAX_REPORTED) {
+      report.rejected_records.push({ index, key: null, reason });
+    }
+    return null;
+  }
+
+  for (const fieldError of fieldErrors) {
+    report.rejected_fields_count++;
+    report.rejected_fields_by_name[fieldError.field] = (report.rejected_fields_by_name[fieldError.field] || 0) + 1;
+    if (report.rejected_fields.length < MAX_REPORTED) {
+      report.rejected_fields.push({ index, key: row[schema.key], ...fieldError });
+    }
+  }
+
+  report.accepted++;
+  return row;
+};
+
+/**
+ * Validate and normalize a list of portal records
+ * @param {Object} schema - SIGNUP_SCHEMA or ELEARNING_CODE_SCHEMA
+ * @param {Array} records - Records from the portal response
+ * @returns {Object} - { rows, sourceIndexes, rejections, report }: rows of the
+ *   accepted records, the position of each row in `records`, every rejected
+ *   record as { index, reason, record }, and the validation report
+ */
+const validateRecords = (schema, records) => {
+  const timeZone = getPortalTimezone();
+  const report = createReport(schema);
+  const rows = [];
+  const sourceIndexes = [];
+  const rejections = [];
+
+  records.forEach((record, index) => {
+    const row = validateRecord(schema, record, index, report, timeZone, rejections);
+    if (row) {
+      rows.push(row);
+      sourceIndexes.push(index);
+    }
+  });
+
+  return { rows, sourceIndexes, rejections, report };
+};
+
+/**
+ * Validate and normalize the portal `courses` object ({ agencyName: [course, ...] })
+ * @param {Object} courses - Courses object from the API response
+ * @returns {Object} - { rows, rejections, report }; `index` in the report is "agency[position]"
+ */
+const validateCourses = (courses) => {
+  const timeZone = getPortalTimezone();
+  const report = createReport(COURSE_SCHEMA);
+  const rows = [];
+  const rejections = [];
+
+  for (const [agency, courseList] of Object.entries(courses)) {
+    if (!Array.isArray(courseList)) {
+      report.rejected++;
+      report.rejected_records.push({ index: agency, key: null, reason: 'course list is not an array' });
+      continue;
+    }
+    courseList.forEach((course, position) => {
+      const row = validateRecord(COURSE_SCHEMA, course, `${agency}[${position}]`, report, timeZone, rejections);
+      if (row) {
+        rows.push(row);
+      }
+    });
+  }
+
+  return { rows, rejections, report };
+};
+
+module.exports = {
+  SIGNUP_SCHEMA,
+  COURSE_SCHEMA,
+  ELEARNING_CODE_SCHEMA,
+  getPortalTimezone,
+  toUtcTimestamp,
+  validateRecords,
+  validateCourses
+};
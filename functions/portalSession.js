@@ -0,0 +1,145 @@
+/**
+ * Portal sessions per facility
+ *
+ * Cookies and the XSRF token from the external authme service are cached
+ * per facility and reused across syncs. When the portal rejects a session
+ * (see PortalAuthError) it is dropped, authme is called again and the
+ * request is retried once; a second rejection fails the sync.
+ *
+ *   PORTAL_SESSION_TTL_SECONDS - re-authenticate sessions older than this (default 1800)
+ */
+const { makeExternalRequest, PortalAuthError } = require('./portalClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger('portalSession');
+
+const DEFAULT_SESSION_TTL_SECONDS = 1800;
+
+// facility id -> { cookies, xsrf, createdAt }
+const sessions = new Map();
+// facility id -> authme call in progress
+const pending = new Map();
+
+/**
+ * Get the session lifetime in ms from PORTAL_SESSION_TTL_SECONDS
+ * @returns {number} - Session lifetime in ms
+ */
+const getSessionTtlMs = () => {
+  const value = parseInt(process.env.PORTAL_SESSION_TTL_SECONDS, 10);
+  return (Number.isInteger(value) && value > 0 ? value : DEFAULT_SESSION_TTL_SECONDS) * 1000;
+};
+
+/**
+ * Get portal cookies and XSRF token for a facility from the external authme service.
+ * Each facility gets its own session.
+ * @param {string} facilityId - The facility ID
+ * @returns {Promise<Object>} - { cookies, xsrf }
+ */
+const authenticateFacility = async (facilityId) => {
+  log.info('Calling external service for authentication', { facility_id: facilityId });
+  const externalResponse = await makeExternalRequest(
+    process.env.EXTERNAL_WEBHOOK_URL,
+    {
+      function: 'authme',
+      facility_id: facilityId
+    }
+  );
+
+  // Extract the authentication data
+  let cookies = {};
+  let xsrf = '';
+
+  if (externalResponse.response && externalResponse.response.cookies) {
+    cookies = externalResponse.response.cookies;
+    xsrf = externalResponse.response.xsrf || '';
+  } else if (externalResponse.cookies) {
+    cookies = externalResponse.cookies;
+    xsrf = externalResponse.xsrf || '';
+  }
+
+  if (Object.keys(cookies).length === 0) {
+    throw new Error(`Authentication service returned no portal cookies for facility ${facilityId}`);
+  }
+
+  return { cookies, xsrf };
+};
+
+/**
+ * Get the cached session for a facility, authenticating when there is none
+ * or it is older than the TTL. Concurrent callers share one authme call.
+ * @param {string} facilityId - The facility ID
+ * @returns {Promise<Object>} - { cookies, xsrf }
+ */
+const getSession = async (facilityId) => {
+  const cached = sessions.get(facilityId);
+  if (cached && Date.now() - cached.createdAt < getSessionTtlMs()) {
+    return cached;
+  }
+
+  if (!pending.has(facilityId)) {
+    const request = authenticateFacility(facilityId)
+      .then((session) => {
+        const entry = { ...session, createdAt: Date.now() };
+        sessions.set(facilityId, entry);
+        return entry;
+      })
+      .finally(() => pending.delete(facilityId));
+    pending.set(facilityId, request);
+  }
+
+  return pending.get(facilityId);
+};
+
+/**
+ * Forget the cached session for a facility
+ * @param {string} facilityId - The facility ID
+ * @param {Object} [session] - Only forget the cache if it still holds this
+ *   session (another caller may already have replaced it)
+ */
+const invalidateSession = (facilityId, session) => {
+  if (!session || sessions.get(facilityId) === session) {
+    sessions.delete(facilityId);
+  }
+};
+
+/**
+ * Run a portal request with the facility's session. If the portal rejects
+ * the session, re-authenticate and retry once.
+ * @param {string} facilityId - The facility ID
+ * @param {Function} requestFn - (cookies, xsrf) => Promise of the response data
+ * @returns {Promise<Object>} - The response data
+ * @throws {PortalAuthError} - When the portal also rejects a fresh session
+ */
+const withPortalSession = async (facilityId, requestFn) => {
+  const session = await getSession(facilityId);
+  try {
+    return await requestFn(session.cookies, session.xsrf);
+  } catch (error) {
+    if (!(error instanceof PortalAuthError)) {
+      throw error;
+    }
+    log.warn('Portal session was rejected, re-authenticating', { facility_id: facilityId, error });
+  }
+
+  invalidateSession(facilityId, session);
+  const fresh = await getSession(facilityId);
+  try {
+    return await requestFn(fresh.cookies, fresh.xsrf);
+  } catch (error) {
+    if (error instanceof PortalAuthError) {
+      invalidateSession(facilityId, fresh);
+      throw new PortalAuthError(
+        `Portal rejected a fresh session for facility ${facilityId}: ${error.message}`,
+        error.statusCode
+      );
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  authenticateFacility,
+  getSession,
+  invalidateSession,
+  withPortalSession
+};
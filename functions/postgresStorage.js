@@ -0,0 +1,291 @@
+/**
+ * PostgreSQL storage backend (see functions/storage.js for the interface)
+ *
+ * Bulk statements send their rows as one JSON parameter, expanded server
+ * side with jsonb_to_recordset.
+ */
+const { Pool, types } = require('pg');
+const Cursor = require('pg-cursor');
+const path = require('path');
+
+// Arbitrary key shared by every instance so only one of them migrates at a time
+const MIGRATION_LOCK_KEY = 727100;
+
+// Dates are returned as written ('YYYY-MM-DD') by cursors, not as midnight timestamps
+const DATE_OID = 1082;
+const cursorTypes = {
+  getTypeParser: (oid, format) => (oid === DATE_OID ? (value) => value : types.getTypeParser(oid, format))
+};
+
+/**
+ * Build the set-based upsert statement for a table. $1 is a JSON array of
+ * row objects keyed by column name; tables with history also take the sync
+ * run id as $2.
+ *
+ * Existing rows are only touched when a value actually changed (or the row
+ * was soft deleted), so rows missing from the result are the unchanged ones.
+ * `restored` flags soft deleted rows brought back by this statement.
+ * History rows are written in the same statement, comparing against the
+ * values the rows had before it ran; those values are also returned as
+ * `previous` (null for inserted rows).
+ *
+ * @param {Object} spec - Table spec (SIGNUPS_TABLE, ...)
+ * @returns {string} - SQL
+ */
+const buildUpsertQuery = (spec) => {
+  const names = spec.columns.map(([name]) => name);
+  const keyType = spec.columns.find(([name]) => name === spec.key)[1];
+  const recordType = spec.columns.map(([name, type]) => `${name} ${type}`).join(', ');
+  const updatable = names.filter((name) => name !== spec.key && !spec.insertOnly.includes(name));
+  const incomingKeys = `SELECT ${spec.key} FROM jsonb_to_recordset($1::jsonb) AS k(${spec.key} ${keyType})`;
+
+  const updates = updatable.map((name) => `${name} = EXCLUDED.${name}`);
+  let changed = `(${updatable.map((name) => `${spec.table}.${name}`).join(', ')})
+        IS DISTINCT FROM (${updatable.map((name) => `EXCLUDED.${name}`).join(', ')})`;
+  const ctes = [];
+  let restored = 'false';
+
+  if (spec.softDelete) {
+    updates.push('removed_at = NULL');
+    changed += `
+        OR ${spec.table}.removed_at IS NOT NULL`;
+    ctes.push(`removed AS (
+      SELECT ${spec.key} FROM ${spec.table}
+      WHERE removed_at IS NOT NULL AND ${spec.key} IN (${incomingKeys})
+    )`);
+    restored = `${spec.table}.${spec.key} IN (SELECT ${spec.key} FROM removed)`;
+  }
+
+  const history = spec.history;
+  if (history) {
+    ctes.push(`previous AS (
+      SELECT ${spec.key}, ${history.fields.join(', ')} FROM ${spec.table}
+      WHERE ${spec.key} IN (${incomingKeys})
+    )`);
+  }
+
+  ctes.push(`upserted AS (
+      INSERT INTO ${spec.table} (${names.join(', ')})
+      SELECT ${names.join(', ')}
+      FROM jsonb_to_recordset($1::jsonb) AS r(${recordType})
+      ON CONFLICT (${spec.key}) DO UPDATE SET
+        ${updates.join(',\n        ')}
+      WHERE ${changed}
+      RETURNING ${spec.key}, ${history ? `${history.fields.join(', ')}, ` : ''}(xmax = 0) AS inserted, ${restored} AS restored
+    )`);
+
+  if (history) {
+    const changes = history.fields
+      .map((field) => `('${field}', p.${field}::text, u.${field}::text)`)
+      .join(',\n          ');
+    ctes.push(`history AS (
+      INSERT INTO ${history.table} (${history.keyColumn}, field, old_value, new_value, sync_run_id)
+      SELECT u.${spec.key}, c.field, c.old_value, c.new_value, $2::bigint
+      FROM upserted u
+      LEFT JOIN previous p ON p.${spec.key} = u.${spec.key}
+      CROSS JOIN LATERAL (VALUES
+          ${changes}
+      ) AS c(field, old_value, new_value)
+      WHERE c.old_value IS DISTINCT FROM c.new_value
+    )`);
+  }
+
+  return `
+    WITH ${ctes.join(',\n    ')}
+    SELECT u.${spec.key} AS key, u.inserted, u.restored${history ? ', to_jsonb(p) AS previous' : ''}
+    FROM upserted u${history ? `
+    LEFT JOIN previous p ON p.${spec.key} = u.${spec.key}` : ''}
+  `;
+};
+
+/**
+ * Create the Postgres storage
+ * @param {string} connectionString - DATABASE_URL
+ * @returns {Object} - Storage object
+ */
+const createPostgresStorage = (connectionString) => {
+  const pool = new Pool({
+    connectionString,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+  const upsertQueries = new Map();
+
+  return {
+    dialect: 'postgres',
+    migrationsDir: path.join(__dirname, '../migrations'),
+
+    query: (sql, params) => pool.query(sql, params),
+    connect: () => pool.connect(),
+    close: () => pool.end(),
+
+    openCursor: async (sql, params) => {
+      const client = await pool.connect();
+      const cursor = client.query(new Cursor(sql, params, { types: cursorTypes }));
+      let closed = false;
+      return {
+        read: (count) => cursor.read(count),
+        close: async () => {
+          if (closed) {
+            return;
+          }
+          closed = true;
+          await cursor.close().catch(() => {});
+          client.release();
+        }
+      };
+    },
+
+    ilike: (column, param) => `${column} ILIKE ${param}`,
+    timestamp: (param) => param,
+    matches: (expression, pattern) => `${expression} ~ '${pattern}'`,
+    monthIn: (column, timeZoneParam) => `to_char(date_trunc('month', ${column} AT TIME ZONE ${timeZoneParam}), 'YYYY-MM')`,
+    millisecondsSince: (column) => `(EXTRACT(EPOCH FROM (now() - ${column})) * 1000)::integer`,
+
+    upsertRows: async (client, spec, rows, runId) => {
+      if (!upsertQueries.has(spec.table)) {
+        upsertQueries.set(spec.table, buildUpsertQuery(spec));
+      }
+      const params = [JSON.stringify(rows)];
+      if (spec.history) {
+        params.push(runId);
+      }
+      const result = await client.query(upsertQueries.get(spec.table), params);
+      return result.rows;
+    },
+
+    fetchRowsByKey: async (client, spec, keys) => {
+      const keyType = spec.columns.find(([name]) => name === spec.key)[1];
+      const columns = spec.columns.map(([name]) => name);
+      if (spec.softDelete) {
+        columns.push('removed_at');
+      }
+      const result = await client.query(
+        `SELECT ${columns.join(', ')} FROM ${spec.table} WHERE ${spec.key} = ANY($1::${keyType}[])`,
+        [keys]
+      );
+      return result.rows;
+    },
+
+    markRemoved: async (client, spec, facilityIds, keys) => {
+      const result = await client.query(
+        `UPDATE ${spec.table} SET removed_at = now()
+         WHERE facility_id = ANY($1::integer[])
+           AND removed_at IS NULL
+           AND NOT (${spec.key} = ANY($2::integer[]))`,
+        [facilityIds, keys]
+      );
+      return result.rowCount;
+    },
+
+    replaceIdentityLinks: async (client, userIds, links) => {
+      const result = await client.query(
+        `WITH incoming AS (
+          SELECT * FROM jsonb_to_recordset($2::jsonb) AS l(user_id integer, system text, external_id text)
+        ), removed AS (
+          DELETE FROM identity_links il
+          WHERE il.user_id = ANY($1::integer[])
+            AND NOT EXISTS (SELECT 1 FROM incoming i WHERE i.user_id = il.user_id AND i.system = il.system)
+        )
+        INSERT INTO identity_links (user_id, system, external_id)
+        SELECT user_id, system, external_id FROM incoming
+        ON CONFLICT (user_id, system) DO UPDATE SET
+          external_id = EXCLUDED.external_id,
+          updated_at = now()
+        WHERE identity_links.external_id IS DISTINCT FROM EXCLUDED.external_id`,
+        [userIds, JSON.stringify(links)]
+      );
+      return result.rowCount;
+    },
+
+    insertDeadLetters: async (client, recordType, letters, runId) => {
+      await client.query(
+        `INSERT INTO dead_letters (record_type, record_key, facility_id, stage, error, payload, sync_run_id)
+         SELECT $1, d.record_key, d.facility_id, d.stage, d.error, d.payload, $3
+         FROM jsonb_to_recordset($2::jsonb)
+           AS d(record_key text, facility_id text, stage text, error text, payload jsonb)`,
+        [recordType, JSON.stringify(letters), runId]
+      );
+    },
+
+    insertOutboxEvents: async (client, events, runId) => {
+      await client.query(
+        `INSERT INTO outbox_events (event_id, event_type, facility_id, data, sync_run_id)
+         SELECT e.event_id, e.event_type, e.facility_id, e.data, $2
+         FROM jsonb_to_recordset($1::jsonb) AS e(event_id uuid, event_type text, facility_id text, data jsonb)`,
+        [JSON.stringify(events), runId]
+      );
+    },
+
+    insertEventDeliveries: async (client, deliveries) => {
+      await client.query(
+        `INSERT INTO event_deliveries (event_id, subscriber_id)
+         SELECT d.event_id, d.subscriber_id
+         FROM jsonb_to_recordset($1::jsonb) AS d(event_id uuid, subscriber_id text)`,
+        [JSON.stringify(deliveries)]
+      );
+    },
+
+    setForeignKeyChecks: async (client, enabled) => {
+      await client.query(`SET session_replication_role = ${enabled ? 'DEFAULT' : 'replica'}`);
+    },
+
+    claimEventDeliveries: async (limit, leaseMs) => {
+      const result = await pool.query(
+        `WITH claimed AS (
+          UPDATE event_deliveries SET
+            next_attempt_at = now() + ($2::integer * interval '1 millisecond'),
+            updated_at = now()
+          WHERE id IN (
+            SELECT id FROM event_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= now()
+            ORDER BY next_attempt_at, id
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING id, event_id, subscriber_id, attempts
+        )
+        SELECT c.id, c.subscriber_id, c.attempts, e.event_id, e.event_type,
+          e.facility_id, e.data, e.created_at
+        FROM claimed c
+        JOIN outbox_events e ON e.event_id = c.event_id
+        ORDER BY c.id`,
+        [limit, leaseMs]
+      );
+      return result.rows;
+    },
+
+    recordEventDeliveryAttempt: async (id, { status, attempts, delaySeconds, statusCode, error, durationMs }) => {
+      await pool.query(
+        `WITH updated AS (
+          UPDATE event_deliveries SET
+            status = $2,
+            attempts = $3,
+            next_attempt_at = now() + ($4::integer * interval '1 second'),
+            last_status_code = $5,
+            last_error = $6,
+            delivered_at = CASE WHEN $2 = 'delivered' THEN now() ELSE NULL END,
+            updated_at = now()
+          WHERE id = $1
+          RETURNING id
+        )
+        INSERT INTO event_delivery_log (delivery_id, attempt, status_code, error, duration_ms)
+        SELECT id, $3, $5, $6, $7 FROM updated`,
+        [id, status, attempts, delaySeconds, statusCode, error, durationMs]
+      );
+    },
+
+    lockMigrations: async (client) => {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    },
+
+    unlockMigrations: async (client) => {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  };
+};
+
+module.exports = {
+  createPostgresStorage
+};
@@ -0,0 +1,577 @@
+/**
+ * Read-only query functions for the synced portal tables
+ */
+const { storage } = require('./database');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Extra column carrying the sort value for the next cursor; not returned
+const CURSOR_VALUE = 'cursor_sort_value';
+
+/**
+ * Error raised for invalid filter, sort or cursor input.
+ * Routes translate it into a 400 response.
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Table definitions used by the list queries.
+ *
+ * `columns` is the list of columns returned to callers. Credential fields
+ * (password, remember_token, biometric_key) are never part of it.
+ * `filters` maps query parameter names to a column and a comparison.
+ * Tables with `softDelete` hide rows with removed_at set unless the caller
+ * passes include_removed=true. Tables with `search` take a `q` parameter
+ * matched case-insensitively against those columns.
+ */
+const TABLES = {
+  signups: {
+    table: 'get_facility_signups',
+    key: 'user_id',
+    columns: [
+      'user_id', 'id', 'facility_id', 'user_uuid', 'username', 'name', 'email',
+      'email_verified_at', 'created_at', 'updated_at', 'created_user_id',
+      'updated_user_id', 'instance_id', 'prefix_id', 'first_name', 'middle_name',
+      'last_name', 'suffix_id', 'gender', 'member_number', 'region_id',
+      'login_count', 'login_stamp', 'status_id', 'user_level_id', 'admin_level_id',
+      'dob', 'meta_data', 'external_ids', 'biometric_expiration', 'reward_program',
+      'member_added_date', 'removed_at'
+    ],
+    softDelete: true,
+    search: ['first_name', 'last_name', 'name', 'username', 'email', 'member_number'],
+    sortable: ['user_id', 'created_at', 'updated_at', 'last_name', 'email', 'status_id'],
+    defaultSort: 'user_id',
+    filters: {
+      facility_id: { column: 'facility_id', op: '=', type: 'integer' },
+      status_id: { column: 'status_id', op: '=', type: 'integer' },
+      created_from: { column: 'created_at', op: '>=', type: 'date' },
+      created_to: { column: 'created_at', op: '<', type: 'date' }
+    }
+  },
+  courses: {
+    table: 'course_info',
+    key: 'course_id',
+    columns: ['course_id', 'agency', 'agency_id', 'label'],
+    sortable: ['course_id', 'agency', 'label'],
+    defaultSort: 'course_id',
+    filters: {
+      course_id: { column: 'course_id', op: '=', type: 'integer' },
+      agency: { column: 'agency', op: '=', type: 'string' },
+      agency_id: { column: 'agency_id', op: '=', type: 'integer' }
+    }
+  },
+  elearningCodes: {
+    table: 'get_elearning_codes',
+    key: 'id',
+    columns: [
+      'id', 'user_id', 'course_id', 'user_name', 'first_name', 'middle_name',
+      'last_name', 'dob', 'email', 'facility_id', 'facility_name', 'facility_number',
+      'office_id', 'agency_id', 'agency', 'course_name', 'course_meta', 'moodle_id',
+      'instance_id', 'prefix_id', 'suffix_id', 'status_id', 'status_label',
+      'signup_code', 'signup_date', 'help_date', 'created_at', 'updated_at',
+      'removed_at'
+    ],
+    softDelete: true,
+    search: ['first_name', 'last_name', 'user_name', 'email', 'course_name', 'signup_code'],
+    sortable: ['id', 'created_at', 'updated_at', 'signup_date', 'last_name', 'status_id', 'course_id'],
+    defaultSort: 'id',
+    filters: {
+      facility_id: { column: 'facility_id', op: '=', type: 'integer' },
+      status_id: { column: 'status_id', op: '=', type: 'integer' },
+      agency: { column: 'agency', op: '=', type: 'string' },
+      course_id: { column: 'course_id', op: '=', type: 'integer' },
+      user_id: { column: 'user_id', op: '=', type: 'integer' },
+      created_from: { column: 'created_at', op: '>=', type: 'date' },
+      created_to: { column: 'created_at', op: '<', type: 'date' },
+      signup_date_from: { column: 'signup_date', op: '>=', type: 'date' },
+      signup_date_to: { column: 'signup_date', op: '<', type: 'date' }
+    }
+  },
+  elearningCodeHistory: {
+    table: 'elearning_code_history',
+    key: 'id',
+    columns: ['id', 'code_id', 'field', 'old_value', 'new_value', 'seen_at', 'sync_run_id'],
+    sortable: ['id', 'seen_at'],
+    defaultSort: 'seen_at',
+    filters: {
+      code_id: { column: 'code_id', op: '=', type: 'integer' },
+      field: { column: 'field', op: '=', type: 'string' },
+      sync_run_id: { column: 'sync_run_id', op: '=', type: 'integer' },
+      seen_from: { column: 'seen_at', op: '>=', type: 'date' },
+      seen_to: { column: 'seen_at', op: '<', type: 'date' }
+    }
+  },
+  syncRuns: {
+    table: 'sync_runs',
+    key: 'id',
+    columns: [
+      'id', 'sync_type', 'trigger', 'facility_id', 'status', 'started_at',
+      'finished_at', 'duration_ms', 'rows_fetched', 'rows_inserted',
+      'rows_updated', 'rows_unchanged', 'rows_removed', 'rows_failed', 'error'
+    ],
+    sortable: ['id', 'started_at', 'duration_ms'],
+    defaultSort: '-id',
+    filters: {
+      facility_id: { column: 'facility_id', op: '=', type: 'string' },
+      sync_type: { column: 'sync_type', op: '=', type: 'string' },
+      trigger: { column: 'trigger', op: '=', type: 'string' },
+      status: { column: 'status', op: '=', type: 'string' },
+      started_from: { column: 'started_at', op: '>=', type: 'date' },
+      started_to: { column: 'started_at', op: '<', type: 'date' }
+    }
+  },
+  identityLinks: {
+    table: 'identity_links',
+    key: 'id',
+    columns: ['id', 'user_id', 'system', 'external_id', 'updated_at'],
+    sortable: ['id', 'updated_at'],
+    defaultSort: 'id',
+    filters: {
+      user_id: { column: 'user_id', op: '=', type: 'integer' },
+      system: { column: 'system', op: '=', type: 'string' },
+      external_id: { column: 'external_id', op: '=', type: 'string' }
+    }
+  },
+  deadLetters: {
+    table: 'dead_letters',
+    key: 'id',
+    columns: [
+      'id', 'record_type', 'record_key', 'facility_id', 'stage', 'error',
+      'sync_run_id', 'status', 'attempts', 'last_attempt_at', 'resolved_at',
+      'created_at'
+    ],
+    sortable: ['id', 'created_at'],
+    defaultSort: '-id',
+    filters: {
+      record_type: { column: 'record_type', op: '=', type: 'string' },
+      record_key: { column: 'record_key', op: '=', type: 'string' },
+      facility_id: { column: 'facility_id', op: '=', type: 'string' },
+      stage: { column: 'stage', op: '=', type: 'string' },
+      status: { column: 'status', op: '=', type: 'string' },
+      sync_run_id: { column: 'sync_run_id', op: '=', type: 'integer' },
+      created_from: { column: 'created_at', op: '>=', type: 'date' },
+      created_to: { column: 'created_at', op: '<', type: 'date' }
+    }
+  },
+  events: {
+    table: 'outbox_events',
+    key: 'id',
+    columns: ['id', 'event_id', 'event_type', 'facility_id', 'data', 'sync_run_id', 'created_at'],
+    sortable: ['id', 'created_at'],
+    defaultSort: '-id',
+    filters: {
+      event_id: { column: 'CAST(event_id AS text)', op: '=', type: 'string' },
+      event_type: { column: 'event_type', op: '=', type: 'string' },
+      facility_id: { column: 'facility_id', op: '=', type: 'string' },
+      sync_run_id: { column: 'sync_run_id', op: '=', type: 'integer' },
+      created_from: { column: 'created_at', op: '>=', type: 'date' },
+      created_to: { column: 'created_at', op: '<', type: 'date' }
+    }
+  },
+  eventDeliveries: {
+    table: 'event_deliveries',
+    key: 'id',
+    columns: [
+      'id', 'event_id', 'subscriber_id', 'status', 'attempts', 'next_attempt_at',
+      'last_status_code', 'last_error', 'delivered_at', 'created_at', 'updated_at'
+    ],
+    sortable: ['id', 'created_at', 'next_attempt_at'],
+    defaultSort: '-id',
+    filters: {
+      event_id: { column: 'CAST(event_id AS text)', op: '=', type: 'string' },
+      subscriber_id: { column: 'subscriber_id', op: '=', type: 'string' },
+      status: { column: 'status', op: '=', type: 'string' },
+      created_from: { column: 'created_at', op: '>=', type: 'date' },
+      created_to: { column: 'created_at', op: '<', type: 'date' }
+    }
+  },
+  eventDeliveryLog: {
+    table: 'event_delivery_log',
+    key: 'id',
+    columns: ['id', 'delivery_id', 'attempt', 'status_code', 'error', 'duration_ms', 'attempted_at'],
+    sortable: ['id', 'attempted_at'],
+    defaultSort: 'id',
+    filters: {
+      delivery_id: { column: 'delivery_id', op: '=', type: 'integer' }
+    }
+  }
+};
+
+/**
+ * Convert a raw query string value to the filter's type
+ * @param {string} name - Query parameter name (for error messages)
+ * @param {*} value - Raw value from req.query
+ * @param {string} type - 'integer', 'string' or 'date'
+ * @returns {*} - The converted value
+ */
+const parseFilterValue = (name, value, type) => {
+  if (Array.isArray(value) || typeof value === 'object') {
+    throw new QueryError(`${name} must be a single value`);
+  }
+
+  if (type === 'integer') {
+    if (!/^-?\d+$/.test(value)) {
+      throw new QueryError(`${name} must be an integer`);
+    }
+    return parseInt(value, 10);
+  }
+
+  if (type === 'date') {
+    if (Number.isNaN(Date.parse(value))) {
+      throw new QueryError(`${name} must be a valid date`);
+    }
+    return value;
+  }
+
+  return String(value);
+};
+
+/**
+ * Encode a keyset cursor
+ * @param {Object} cursor - { sort, value, key }
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeCursor = (cursor) => {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a keyset cursor and check it matches the current sort
+ * @param {string} raw - Cursor from the query string
+ * @param {string} sort - Current sort specification
+ * @returns {Object} - { sort, value, key }
+ */
+const decodeCursor = (raw, sort) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new QueryError('cursor is not valid');
+  }
+
+  if (!cursor || cursor.sort !== sort || !('key' in cursor)) {
+    throw new QueryError('cursor does not match the requested sort');
+  }
+
+  return cursor;
+};
+
+/**
+ * Parse the `sort` query parameter ("column" or "-column")
+ * @param {Object} definition - Table definition
+ * @param {string} [sortParam] - Raw sort parameter
+ * @returns {Object} - { spec, column, descending }
+ */
+const parseSort = (definition, sortParam) => {
+  const spec = sortParam ? String(sortParam) : definition.defaultSort;
+  const descending = spec.startsWith('-');
+  const column = descending ? spec.slice(1) : spec;
+
+  if (!definition.sortable.includes(column)) {
+    throw new QueryError(`sort must be one of: ${definition.sortable.join(', ')}`);
+  }
+
+  return { spec, column, descending };
+};
+
+/**
+ * Build the keyset condition for the page after `cursor`.
+ * Rows are ordered with NULLs last and the table key as a tie breaker, so
+ * after a row with a value every NULL row follows, and after a NULL row only
+ * the NULL rows with a later key do.
+ * @param {Object} sort - Parsed sort
+ * @param {string} key - Table key column
+ * @param {Object} cursor - Decoded cursor
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {string} - SQL condition
+ */
+const buildCursorCondition = (sort, key, cursor, params) => {
+  const cmp = sort.descending ? '<' : '>';
+
+  params.push(cursor.key);
+  const keyParam = `$${params.length}`;
+
+  if (sort.column === key) {
+    return `${key} ${cmp} ${keyParam}`;
+  }
+
+  if (cursor.value === null || cursor.value === undefined) {
+    return `(${sort.column} IS NULL AND ${key} ${cmp} ${keyParam})`;
+  }
+
+  // The value is the column cast to text by the database (see listRows), so
+  // timestamps are compared at their full precision
+  params.push(cursor.value);
+  const valueParam = `$${params.length}`;
+
+  return `(${sort.column} ${cmp} ${valueParam}` +
+    ` OR (${sort.column} = ${valueParam} AND ${key} ${cmp} ${keyParam})` +
+    ` OR ${sort.column} IS NULL)`;
+};
+
+/**
+ * Build the SQL conditions for the filters present in a query string
+ * @param {Object} filters - Filter definitions ({ name: { column, op, type } })
+ * @param {Object} query - Express req.query
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {Array<string>} - SQL conditions
+ */
+const buildFilterConditions = (filters, query, params) => {
+  const conditions = [];
+  for (const [name, filter] of Object.entries(filters)) {
+    if (query[name] === undefined || query[name] === '') {
+      continue;
+    }
+    params.push(parseFilterValue(name, query[name], filter.type));
+    const param = filter.type === 'date' ? storage.timestamp(`$${params.length}`) : `$${params.length}`;
+    conditions.push(`${filter.column} ${filter.op} ${param}`);
+  }
+  return conditions;
+};
+
+/**
+ * Build every condition of a list query except paging: filters, the
+ * definition's fixed `where`, the `q` search and the removed_at check
+ * @param {Object} definition - Table definition from TABLES
+ * @param {Object} query - Express req.query
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {Array<string>} - SQL conditions
+ */
+const buildListConditions = (definition, query, params) => {
+  const conditions = buildFilterConditions(definition.filters, query, params);
+
+  if (definition.where) {
+    conditions.push(definition.where);
+  }
+
+  if (definition.search && query.q !== undefined && query.q !== '') {
+    const term = parseFilterValue('q', query.q, 'string').trim();
+    params.push(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(${definition.search.map((column) => storage.ilike(column, `$${params.length}`)).join(' OR ')})`);
+  }
+
+  if (definition.softDelete && query.include_removed !== 'true') {
+    conditions.push('removed_at IS NULL');
+  }
+
+  return conditions;
+};
+
+/**
+ * Run a filtered, sorted, cursor-paginated list query
+ * @param {Object} definition - Table definition from TABLES (`where` adds a
+ *   fixed condition)
+ * @param {Object} query - Express req.query
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listRows = async (definition, query = {}) => {
+  const params = [];
+  const conditions = buildListConditions(definition, query, params);
+
+  const sort = parseSort(definition, query.sort);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort.spec);
+    conditions.push(buildCursorCondition(sort, definition.key, cursor, params));
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseFilterValue('limit', query.limit, 'integer');
+    if (limit < 1 || limit > MAX_LIMIT) {
+      throw new QueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const orderBy = sort.column === definition.key
+    ? `${definition.key} ${direction}`
+    : `${sort.column} ${direction} NULLS LAST, ${definition.key} ${direction}`;
+
+  // Fetch one extra row to know whether there is a next page
+  params.push(limit + 1);
+
+  // The cursor keeps the sort value as text straight from the database:
+  // timestamps have microseconds that a JS Date would round to milliseconds,
+  // and dates would shift with the server's time zone
+  const sortsByKey = sort.column === definition.key;
+  const selected = sortsByKey
+    ? definition.columns
+    : [...definition.columns, `CAST(${sort.column} AS text) AS ${CURSOR_VALUE}`];
+
+  const sql = `
+    SELECT ${selected.join(', ')}
+    FROM ${definition.table}
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ${orderBy}
+    LIMIT $${params.length}
+  `;
+
+  const result = await storage.query(sql, params);
+  const rows = result.rows.slice(0, limit);
+
+  let nextCursor = null;
+  if (result.rows.length > limit) {
+    const last = rows[rows.length - 1];
+    nextCursor = encodeCursor({
+      sort: sort.spec,
+      value: sortsByKey ? null : last[CURSOR_VALUE],
+      key: last[definition.key]
+    });
+  }
+
+  return {
+    data: sortsByKey ? rows : rows.map(({ [CURSOR_VALUE]: cursorValue, ...row }) => row),
+    next_cursor: nextCursor
+  };
+};
+
+/**
+ * List facility signups
+ * @param {Object} query - Filters: facility_id, status_id, created_from, created_to,
+ *   q (name, username, email or member number)
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listSignups = (query) => listRows(TABLES.signups, query);
+
+/**
+ * List courses
+ * @param {Object} query - Filters: course_id, agency, agency_id
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listCourses = (query) => listRows(TABLES.courses, query);
+
+/**
+ * List e-learning codes
+ * @param {Object} query - Filters: facility_id, status_id, agency, course_id,
+ *   user_id, created_from, created_to, signup_date_from, signup_date_to, q (name,
+ *   email, course name or signup code)
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listElearningCodes = (query) => listRows(TABLES.elearningCodes, query);
+
+/**
+ * List e-learning code status changes, oldest first by default
+ * @param {Object} query - Filters: code_id, field, sync_run_id, seen_from, seen_to
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listElearningCodeHistory = (query) => listRows(TABLES.elearningCodeHistory, query);
+
+/**
+ * List the status changes of one e-learning code
+ * @param {string} codeId - E-learning code id from the route
+ * @param {Object} query - Filters: field, sync_run_id, seen_from, seen_to
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const getElearningCodeTimeline = (codeId, query = {}) => {
+  return listRows(TABLES.elearningCodeHistory, { ...query, code_id: parseFilterValue('id', codeId, 'integer') });
+};
+
+/**
+ * List sync runs, newest first by default
+ * @param {Object} query - Filters: facility_id, sync_type, trigger, status,
+ *   started_from, started_to
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listSyncRuns = (query) => listRows(TABLES.syncRuns, query);
+
+/**
+ * List identity links (external system ids of users)
+ * @param {Object} query - Filters: user_id, system, external_id
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listIdentityLinks = (query) => listRows(TABLES.identityLinks, query);
+
+/**
+ * Find the users linked to an external id. A system without an instance
+ * number also matches its numbered instances: 'moodle' finds 'moodle_1'
+ * and 'moodle_2' links.
+ * @param {Object} query - system, external_id (both required), include_removed
+ * @returns {Promise<Object>} - { data: [signup with matched `system`] }
+ */
+const findUsersByExternalId = async (query = {}) => {
+  for (const name of ['system', 'external_id']) {
+    if (query[name] === undefined || query[name] === '') {
+      throw new QueryError(`${name} is required`);
+    }
+  }
+  const system = parseFilterValue('system', query.system, 'string');
+  const externalId = parseFilterValue('external_id', query.external_id, 'string').trim();
+  const signups = TABLES.signups;
+
+  const result = await storage.query(
+    `SELECT ${signups.columns.map((column) => `s.${column}`).join(', ')}, l.system
+     FROM identity_links l
+     JOIN ${signups.table} s ON s.user_id = l.user_id
+     WHERE l.external_id = $2
+       AND (l.system = $1 OR (l.system LIKE $1 || '\\_%' ESCAPE '\\'
+         AND ${storage.matches('substr(l.system, length($1) + 2)', '^\\d+$')}))
+       ${query.include_removed === 'true' ? '' : 'AND s.removed_at IS NULL'}
+     ORDER BY s.user_id, l.system
+     LIMIT $3`,
+    [system, externalId, MAX_LIMIT]
+  );
+
+  return { data: result.rows };
+};
+
+/**
+ * List dead letters without their payloads, newest first by default
+ * @param {Object} query - Filters: record_type, record_key, facility_id, stage,
+ *   status, sync_run_id, created_from, created_to
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listDeadLetters = (query) => listRows(TABLES.deadLetters, query);
+
+/**
+ * List outbox events, newest first by default
+ * @param {Object} query - Filters: event_id, event_type, facility_id,
+ *   sync_run_id, created_from, created_to
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listEvents = (query) => listRows(TABLES.events, query);
+
+/**
+ * List event deliveries (one per event and subscriber), newest first by default
+ * @param {Object} query - Filters: event_id, subscriber_id, status, created_from, created_to
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const listEventDeliveries = (query) => listRows(TABLES.eventDeliveries, query);
+
+/**
+ * List the attempts of one event delivery, oldest first
+ * @param {string} deliveryId - Delivery id from the route
+ * @param {Object} query - Sorting and paging
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const getEventDeliveryLog = (deliveryId, query = {}) => {
+  return listRows(TABLES.eventDeliveryLog, { ...query, delivery_id: parseFilterValue('id', deliveryId, 'integer') });
+};
+
+module.exports = {
+  QueryError,
+  TABLES,
+  buildFilterConditions,
+  buildListConditions,
+  parseSort,
+  listRows,
+  listSignups,
+  listCourses,
+  listElearningCodes,
+  listElearningCodeHistory,
+  getElearningCodeTimeline,
+  listSyncRuns,
+  listIdentityLinks,
+  findUsersByExternalId,
+  listDeadLetters,
+  listEvents,
+  listEventDeliveries,
+  getEventDeliveryLog
+};
@@ -0,0 +1,222 @@
+/**
+ * Enrollment and completion reports over the synced portal tables
+ *
+ * An enrollment is an e-learning code issued for a course. A code is
+ * redeemed once it has a signup_date and completed when its status_label is
+ * 'Completed'. Every report takes facility_id and a created_from / created_to
+ * range (code issue date, or signup creation date for signups per month).
+ * Dates and times without an offset are read in PORTAL_TIMEZONE, like the
+ * months of the signups report. Removed rows are left out unless
+ * include_removed=true.
+ */
+const { storage } = require('./database');
+const {
+  QueryError,
+  TABLES,
+  buildFilterConditions,
+  listRows
+} = require('./queries');
+const { getPortalTimezone, toUtcTimestamp } = require('./portalSchema');
+
+const COMPLETED_STATUS_LABEL = 'Completed';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CODE_FILTERS = {
+  facility_id: { column: 'c.facility_id', op: '=', type: 'integer' },
+  agency: { column: 'COALESCE(ci.agency, c.agency)', op: '=', type: 'string' },
+  course_id: { column: 'c.course_id', op: '=', type: 'integer' },
+  created_from: { column: 'c.created_at', op: '>=', type: 'date' },
+  created_to: { column: 'c.created_at', op: '<', type: 'date' }
+};
+
+const SIGNUP_FILTERS = {
+  facility_id: { column: 'facility_id', op: '=', type: 'integer' },
+  created_from: { column: 'created_at', op: '>=', type: 'date' },
+  created_to: { column: 'created_at', op: '<', type: 'date' }
+};
+
+const ENROLLMENT_GROUPS = {
+  course: {
+    columns: 'c.course_id, max(COALESCE(ci.label, c.course_name)) AS course_name, max(COALESCE(ci.agency, c.agency)) AS agency',
+    groupBy: 'c.course_id'
+  },
+  agency: {
+    columns: 'COALESCE(ci.agency, c.agency) AS agency',
+    groupBy: 'COALESCE(ci.agency, c.agency)'
+  }
+};
+
+const UNREDEEMED_CODES = {
+  ...TABLES.elearningCodes,
+  where: 'signup_date IS NULL',
+  defaultSort: 'created_at'
+};
+
+/**
+ * Convert the date filters of a query to UTC instants in PORTAL_TIMEZONE: a
+ * date is midnight there and a time without an offset is a time there.
+ * Values that are not portal timestamps are left for the filter to reject.
+ * @param {Object} filters - Filter definitions
+ * @param {Object} query - Express req.query
+ * @returns {Object} - Query with the converted date filters
+ */
+const toPortalTimes = (filters, query) => {
+  const timeZone = getPortalTimezone();
+  const result = { ...query };
+  for (const [name, filter] of Object.entries(filters)) {
+    if (filter.type !== 'date' || typeof query[name] !== 'string') {
+      continue;
+    }
+    const value = query[name].trim();
+    const instant = toUtcTimestamp(DATE_ONLY.test(value) ? `${value} 00:00` : value, timeZone);
+    if (instant) {
+      result[name] = instant;
+    }
+  }
+  return result;
+};
+
+/**
+ * Build the WHERE clause of a report
+ * @param {Object} filters - Filter definitions
+ * @param {Object} query - Express req.query
+ * @param {Array} params - Query parameters (appended to)
+ * @param {string} removedColumn - removed_at column of the reported table
+ * @returns {string} - SQL WHERE clause (empty when there is no condition)
+ */
+const buildWhere = (filters, query, params, removedColumn) => {
+  const conditions = buildFilterConditions(filters, toPortalTimes(filters, query), params);
+  if (query.include_removed !== 'true') {
+    conditions.push(`${removedColumn} IS NULL`);
+  }
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+};
+
+/**
+ * Share of a total as a rounded fraction
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number|null} - count / total to 4 decimals, null when total is 0
+ */
+const ratio = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+
+/**
+ * Enrollments per course or per agency, with redemption and completion
+ * @param {Object} query - group_by ('course' or 'agency', default course),
+ *   facility_id, agency, course_id, created_from, created_to, include_removed
+ * @returns {Promise<Object>} - { group_by, data, totals }
+ */
+const reportEnrollments = async (query = {}) => {
+  const groupBy = query.group_by === undefined || query.group_by === '' ? 'course' : String(query.group_by);
+  const group = ENROLLMENT_GROUPS[groupBy];
+  if (!group) {
+    throw new QueryError(`group_by must be one of: ${Object.keys(ENROLLMENT_GROUPS).join(', ')}`);
+  }
+
+  const params = [COMPLETED_STATUS_LABEL];
+  const where = buildWhere(CODE_FILTERS, query, params, 'c.removed_at');
+  const result = await storage.query(
+    `SELECT ${group.columns},
+       CAST(count(*) AS integer) AS enrollments,
+       CAST(count(c.signup_date) AS integer) AS redeemed,
+       CAST(count(*) FILTER (WHERE c.status_label = $1) AS integer) AS completed
+     FROM get_elearning_codes c
+     LEFT JOIN course_info ci ON ci.course_id = c.course_id
+     ${where}
+     GROUP BY ${group.groupBy}
+     ORDER BY enrollments DESC, ${group.groupBy}`,
+    params
+  );
+
+  const totals = { enrollments: 0, redeemed: 0, completed: 0 };
+  const data = result.rows.map((row) => {
+    totals.enrollments += row.enrollments;
+    totals.redeemed += row.redeemed;
+    totals.completed += row.completed;
+    return {
+      ...row,
+      unredeemed: row.enrollments - row.redeemed,
+      redemption_rate: ratio(row.redeemed, row.enrollments),
+      completion_rate: ratio(row.completed, row.enrollments)
+    };
+  });
+
+  return {
+    group_by: groupBy,
+    data,
+    totals: {
+      ...totals,
+      unredeemed: totals.enrollments - totals.redeemed,
+      redemption_rate: ratio(totals.redeemed, totals.enrollments),
+      completion_rate: ratio(totals.completed, totals.enrollments)
+    }
+  };
+};
+
+/**
+ * E-learning codes per status, in status_id order
+ * @param {Object} query - facility_id, agency, course_id, created_from,
+ *   created_to, include_removed
+ * @returns {Promise<Object>} - { data: [{ status_id, status_label, count, share }], total }
+ */
+const reportStatusFunnel = async (query = {}) => {
+  const params = [];
+  const where = buildWhere(CODE_FILTERS, query, params, 'c.removed_at');
+  const result = await storage.query(
+    `SELECT c.status_id, c.status_label, CAST(count(*) AS integer) AS count
+     FROM get_elearning_codes c
+     LEFT JOIN course_info ci ON ci.course_id = c.course_id
+     ${where}
+     GROUP BY c.status_id, c.status_label
+     ORDER BY c.status_id NULLS LAST, c.status_label`,
+    params
+  );
+
+  const total = result.rows.reduce((sum, row) => sum + row.count, 0);
+  return {
+    data: result.rows.map((row) => ({ ...row, share: ratio(row.count, total) })),
+    total
+  };
+};
+
+/**
+ * List codes that were issued but never redeemed (no signup_date), oldest
+ * first by default
+ * @param {Object} query - Filters and paging of /api/elearning-codes
+ * @returns {Promise<Object>} - { data, next_cursor }
+ */
+const reportUnredeemedCodes = (query = {}) => listRows(UNREDEEMED_CODES, toPortalTimes(UNREDEEMED_CODES.filters, query));
+
+/**
+ * Signups per calendar month of created_at, in PORTAL_TIMEZONE
+ * @param {Object} query - facility_id, created_from, created_to, include_removed
+ * @returns {Promise<Object>} - { timezone, data: [{ month: 'YYYY-MM', signups }], total }
+ */
+const reportSignupsPerMonth = async (query = {}) => {
+  const timeZone = getPortalTimezone();
+  const params = [timeZone];
+  const where = buildWhere(SIGNUP_FILTERS, query, params, 'removed_at');
+  const result = await storage.query(
+    `SELECT ${storage.monthIn('created_at', '$1')} AS month,
+       CAST(count(*) AS integer) AS signups
+     FROM get_facility_signups
+     ${where}
+     GROUP BY 1
+     ORDER BY 1 NULLS LAST`,
+    params
+  );
+
+  return {
+    timezone: timeZone,
+    data: result.rows,
+    total: result.rows.reduce((sum, row) => sum + row.signups, 0)
+  };
+};
+
+module.exports = {
+  reportEnrollments,
+  reportStatusFunnel,
+  reportUnredeemedCodes,
+  reportSignupsPerMonth
+};
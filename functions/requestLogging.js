@@ -0,0 +1,64 @@
+/**
+ * Request ids and access logging
+ *
+ * Every request gets an id, taken from the caller's X-Request-Id header when
+ * it looks like one and generated otherwise. It is sent back in the
+ * X-Request-Id response header and carried by every log record written while
+ * the request is handled, including the background sync job it queues.
+ */
+const crypto = require('crypto');
+const { createLogger, withLogContext } = require('./logger');
+
+const log = createLogger('http');
+
+// Caller supplied ids are kept only when short and free of odd characters
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Get the id of a request
+ * @param {Object} req - Express request object
+ * @returns {string} - The X-Request-Id header when valid, or a new UUID
+ */
+const getRequestId = (req) => {
+  const header = req.get('x-request-id');
+  return header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+};
+
+/**
+ * Express middleware assigning the request id and logging each request when
+ * its response is finished. Query strings are left out of the logged path.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requestLogging = (req, res, next) => {
+  const requestId = getRequestId(req);
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // Finish events are not emitted in the request's context, so the id is passed along
+  res.on('finish', () => {
+    const fields = {
+      request_id: requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+    };
+    if (res.statusCode >= 500) {
+      log.error('Request failed', fields);
+    } else if (res.statusCode >= 400) {
+      log.warn('Request rejected', fields);
+    } else {
+      log.info('Request handled', fields);
+    }
+  });
+
+  withLogContext({ request_id: requestId }, next);
+};
+
+module.exports = {
+  getRequestId,
+  requestLogging
+};
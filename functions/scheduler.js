@@ -0,0 +1,129 @@
+/**
+ * In-process scheduler for periodic syncs
+ *
+ * Queues the same background jobs as the webhooks (see queueSyncJob) on cron
+ * schedules:
+ *   SYNC_SIGNUPS_CRON          - facility signups and courses
+ *   SYNC_ELEARNING_CODES_CRON  - e-learning codes
+ *   SYNC_JITTER_SECONDS        - random delay added to each run (default 30)
+ *
+ * Scheduled jobs share the job queue with webhook and dashboard jobs, so
+ * they never run at the same time as another queued sync. A run is skipped
+ * when a job of the same sync type, from any trigger, is still queued or
+ * running.
+ */
+const { parseCron, nextRun } = require('./cron');
+const { queueSyncJob } = require('./webhooks');
+const { findActiveSyncJob } = require('./syncJobs');
+const { createLogger, startLogContext } = require('./logger');
+
+const log = createLogger('scheduler');
+
+const DEFAULT_JITTER_SECONDS = 30;
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Job names are the sync types accepted by queueSyncJob
+const JOBS = [
+  { name: 'facility-signups', env: 'SYNC_SIGNUPS_CRON' },
+  { name: 'elearning-codes', env: 'SYNC_ELEARNING_CODES_CRON' }
+];
+
+// name -> { schedule, timer, nextRunAt }
+const scheduled = new Map();
+
+/**
+ * Get the maximum jitter in ms from SYNC_JITTER_SECONDS
+ * @returns {number} - Maximum jitter in ms
+ */
+const getMaxJitterMs = () => {
+  const value = parseInt(process.env.SYNC_JITTER_SECONDS, 10);
+  return (Number.isInteger(value) && value >= 0 ? value : DEFAULT_JITTER_SECONDS) * 1000;
+};
+
+/**
+ * Queue one scheduled sync of every registered facility, unless a job of
+ * the same sync type has not finished yet
+ * @param {Object} job - Job definition
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    const active = await findActiveSyncJob(job.name);
+    if (active) {
+      log.warn('Skipping scheduled sync: a job of the same type has not finished', {
+        active_job_id: active.id,
+        active_status: active.status
+      });
+      return;
+    }
+
+    const queued = await queueSyncJob(job.name, null, { trigger: 'schedule' });
+    log.info('Queued scheduled sync', { job_id: queued.id });
+  } catch (error) {
+    log.error('Scheduled sync failed', { error });
+  }
+};
+
+/**
+ * Arm the timer for the next run of a job
+ * @param {Object} job - Job definition
+ * @param {Object} state - Scheduler state for the job
+ * @param {Date} [target] - Time to run at (computed when omitted)
+ */
+const armTimer = (job, state, target) => {
+  const runAt = target || new Date(nextRun(state.schedule).getTime() + Math.floor(Math.random() * getMaxJitterMs()));
+  const delay = runAt.getTime() - Date.now();
+  state.nextRunAt = runAt;
+
+  if (delay > MAX_TIMEOUT_MS) {
+    // Wake up part way and re-arm for the same target
+    state.timer = setTimeout(() => armTimer(job, state, runAt), MAX_TIMEOUT_MS);
+    return;
+  }
+
+  state.timer = setTimeout(() => {
+    armTimer(job, state);
+    startLogContext({ trigger: 'schedule', sync_type: job.name }, () => runJob(job));
+  }, Math.max(delay, 0));
+};
+
+/**
+ * Start every sync whose cron expression is configured
+ * @returns {Array<Object>} - { name, expression, nextRunAt } for each started job
+ */
+const startScheduler = () => {
+  const started = [];
+
+  for (const job of JOBS) {
+    const expression = process.env[job.env];
+    if (!expression || scheduled.has(job.name)) {
+      continue;
+    }
+
+    const state = { schedule: parseCron(expression), timer: null, nextRunAt: null };
+    scheduled.set(job.name, state);
+    armTimer(job, state);
+
+    log.info('Scheduled sync', { sync_type: job.name, cron: expression, next_run_at: state.nextRunAt });
+    started.push({ name: job.name, expression, nextRunAt: state.nextRunAt });
+  }
+
+  return started;
+};
+
+/**
+ * Stop all scheduled syncs (jobs already queued still run)
+ */
+const stopScheduler = () => {
+  for (const state of scheduled.values()) {
+    clearTimeout(state.timer);
+  }
+  scheduled.clear();
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
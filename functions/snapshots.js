@@ -0,0 +1,176 @@
+/**
+ * Portal snapshots: saved portal responses that can be replayed later
+ *
+ * A snapshot is the JSON body of a facility signups or e-learning codes
+ * response, the same shape as sampleresponse.json and
+ * fixtures/elearning_codes.json. Importing one goes through the same store
+ * functions as a live sync, so validation, the field policy, dead letters
+ * and outbound events all apply.
+ */
+const fs = require('fs');
+const path = require('path');
+const { storeFacilitySignups, storeElearningCodes, validateSyncEnvironment } = require('./webhooks');
+const { applyStoragePolicy, getFieldPolicy } = require('./fieldPolicy');
+const { resolveFacilities } = require('./facilities');
+const { startSyncRun, finishSyncRun } = require('./syncRuns');
+const { makeFacilitySignupsRequest, makeElearningCodesRequest } = require('./portalClient');
+const { withPortalSession } = require('./portalSession');
+const { createLogger, withLogContext } = require('./logger');
+
+const log = createLogger('snapshots');
+
+const SNAPSHOT_TYPES = {
+  'facility-signups': {
+    store: storeFacilitySignups,
+    request: makeFacilitySignupsRequest
+  },
+  'elearning-codes': {
+    store: storeElearningCodes,
+    request: makeElearningCodesRequest
+  }
+};
+
+/**
+ * Look up a snapshot type
+ * @param {string} syncType - 'facility-signups' or 'elearning-codes'
+ * @returns {Object} - { store, request }
+ */
+const getSnapshotType = (syncType) => {
+  const type = SNAPSHOT_TYPES[syncType];
+  if (!type) {
+    throw new Error(`Unknown snapshot type: ${syncType} (expected ${Object.keys(SNAPSHOT_TYPES).join(' or ')})`);
+  }
+  return type;
+};
+
+/**
+ * Read a saved portal response. A bare array of records is accepted as the
+ * response's `data`.
+ * @param {string} file - Path to the JSON file
+ * @returns {Object} - Portal response ({ data, ... })
+ */
+const readSnapshot = (file) => {
+  const resolved = path.resolve(file);
+  let body;
+  try {
+    body = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read snapshot ${resolved}: ${error.message}`);
+  }
+  const response = Array.isArray(body) ? { data: body } : body;
+  if (!response || typeof response !== 'object' || !Array.isArray(response.data)) {
+    throw new Error(`Snapshot ${resolved} has no "data" array`);
+  }
+  return response;
+};
+
+/**
+ * The facility a response belongs to
+ * @param {Object} response - Portal response
+ * @returns {string|null} - The facility id when every record has the same one
+ */
+const responseFacilityId = (response) => {
+  const ids = new Set(response.data
+    .filter((record) => record && record.facility_id !== undefined && record.facility_id !== null)
+    .map((record) => String(record.facility_id)));
+  return ids.size === 1 ? [...ids][0] : null;
+};
+
+/**
+ * Store a saved portal response as if a sync had fetched it. The import is
+ * recorded in sync_runs with trigger 'import' (except for dry runs).
+ * @param {string} syncType - 'facility-signups' or 'elearning-codes'
+ * @param {Object} response - Portal response from readSnapshot
+ * @param {Object} [options] - { reconcile: soft delete records of the
+ *   snapshot's facilities that it does not list (only for complete
+ *   responses), dryRun: true to roll the writes back }
+ * @returns {Promise<Object>} - { sync_type, facility_id, run_id, dry_run,
+ *   status, error, stats, database, duration_ms }
+ */
+const importSnapshot = async (syncType, response, { reconcile = false, dryRun = false } = {}) => {
+  const { store } = getSnapshotType(syncType);
+  const facilityId = responseFacilityId(response);
+  const startedAt = Date.now();
+
+  let runId = null;
+  if (!dryRun) {
+    runId = await startSyncRun({ syncType, trigger: 'import', facilityId });
+  }
+
+  const { database, stats } = await withLogContext({ sync_type: syncType, facility_id: facilityId, run_id: runId }, () =>
+    store(response, { reconcile, runId, dryRun })
+  );
+  const result = {
+    sync_type: syncType,
+    facility_id: facilityId,
+    run_id: runId,
+    dry_run: dryRun,
+    status: database.error ? 'error' : 'success',
+    error: database.error || null,
+    stats,
+    database,
+    duration_ms: Date.now() - startedAt
+  };
+
+  if (runId !== null) {
+    await finishSyncRun(runId, { status: result.status, stats, error: result.error });
+  }
+  return result;
+};
+
+/**
+ * Fetch portal responses and save them to disk. Records are saved the way
+ * they would be stored (see applyStoragePolicy), so dropped fields such as
+ * password never reach the file.
+ * @param {Object} [options] - { facilityId: one facility, or every registered
+ *   one when omitted, syncTypes: types to fetch (default both), outDir:
+ *   directory to write to (created when missing) }
+ * @returns {Promise<Array<Object>>} - { facility_id, sync_type, file, records,
+ *   bytes } per saved file, or { facility_id, sync_type, error } when a fetch
+ *   failed
+ */
+const takeSnapshot = async ({ facilityId, syncTypes = Object.keys(SNAPSHOT_TYPES), outDir = 'snapshots' } = {}) => {
+  validateSyncEnvironment();
+  syncTypes.forEach(getSnapshotType);
+  const facilities = await resolveFacilities(facilityId);
+  const policy = getFieldPolicy();
+  const directory = path.resolve(outDir);
+  fs.mkdirSync(directory, { recursive: true });
+
+  const results = [];
+  for (const facility of facilities) {
+    for (const syncType of syncTypes) {
+      const { request } = getSnapshotType(syncType);
+      try {
+        const response = await withPortalSession(facility.facility_id, (cookies, xsrf) =>
+          request(facility.facility_id, cookies, xsrf)
+        );
+        const snapshot = Array.isArray(response.data)
+          ? { ...response, data: response.data.map((record) => applyStoragePolicy(record, policy)) }
+          : response;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(directory, `${facility.facility_id}-${syncType}-${timestamp}.json`);
+        const body = JSON.stringify(snapshot, null, 2);
+        fs.writeFileSync(file, body);
+        results.push({
+          facility_id: facility.facility_id,
+          sync_type: syncType,
+          file,
+          records: Array.isArray(snapshot.data) ? snapshot.data.length : 0,
+          bytes: Buffer.byteLength(body)
+        });
+      } catch (error) {
+        log.error('Snapshot failed', { facility_id: facility.facility_id, sync_type: syncType, error });
+        results.push({ facility_id: facility.facility_id, sync_type: syncType, error: error.message });
+      }
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  SNAPSHOT_TYPES,
+  readSnapshot,
+  importSnapshot,
+  takeSnapshot
+};
@@ -0,0 +1,577 @@
+/**
+ * SQLite storage backend (see functions/storage.js for the interface)
+ *
+ * Runs on a single better-sqlite3 connection (an optional dependency, only
+ * loaded when DATABASE_URL starts with sqlite:). Clients take turns:
+ * connect() waits until the previous client is released, so a transaction
+ * never sees another one's writes, and query() waits for open transactions.
+ *
+ * Values are stored the way the app writes them: timestamps as ISO 8601 UTC
+ * text, jsonb as JSON text and booleans as 0 or 1. Rows are converted back by
+ * their declared column type so callers get what pg returns: timestamptz and
+ * date as Date, jsonb parsed, boolean as true or false.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Prepared statements kept per connection before the cache is cleared
+const STATEMENT_CACHE_SIZE = 500;
+
+// A plain BEGIN, as the shared code writes it for both backends
+const PLAIN_BEGIN = /^\s*BEGIN(\s+TRANSACTION)?\s*;?\s*$/i;
+
+/**
+ * Load better-sqlite3
+ * @returns {Function} - Database constructor
+ */
+const loadDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`SQLite storage needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+};
+
+/**
+ * Convert a parameter to a value SQLite can bind
+ * @param {*} value - Parameter as passed to query()
+ * @returns {*} - Bindable value
+ */
+const toParam = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+/**
+ * Bind $1, $2, ... parameters by name
+ * @param {Array} [params] - Parameters
+ * @returns {Object|undefined} - { 1: value, 2: value, ... }
+ */
+const bindParams = (params) => {
+  if (!params || params.length === 0) {
+    return undefined;
+  }
+  const bound = {};
+  params.forEach((value, index) => {
+    bound[index + 1] = toParam(value);
+  });
+  return bound;
+};
+
+/**
+ * Parse a stored timestamp; SQLite's own CURRENT_TIMESTAMP has no zone and is UTC
+ * @param {string} value - Stored text
+ * @returns {Date} - Timestamp
+ */
+const parseTimestamp = (value) => {
+  const text = String(value);
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+};
+
+/**
+ * Convert a stored value by its declared column type
+ * @param {string|null} type - Declared type from the schema
+ * @param {*} value - Stored value
+ * @param {boolean} rawDates - Keep date columns as 'YYYY-MM-DD'
+ * @returns {*} - Value as pg would return it
+ */
+const fromColumn = (type, value, rawDates) => {
+  if (value === null || !type) {
+    return value;
+  }
+  switch (type.toLowerCase()) {
+    case 'jsonb':
+    case 'json':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    case 'boolean':
+      return Boolean(value);
+    case 'timestamptz':
+    case 'timestamp':
+      return parseTimestamp(value);
+    case 'date': {
+      // pg reads dates as local midnight
+      const match = rawDates ? null : /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : value;
+    }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Convert the rows of a statement by declared column type
+ * @param {Array<Object>} columns - statement.columns()
+ * @param {Array<Object>} rows - Raw rows
+ * @param {boolean} [rawDates] - Keep date columns as 'YYYY-MM-DD'
+ * @returns {Array<Object>} - Converted rows
+ */
+const convertRows = (columns, rows, rawDates = false) => {
+  const typed = columns.filter((column) => column.type);
+  if (typed.length === 0) {
+    return rows;
+  }
+  for (const row of rows) {
+    for (const column of typed) {
+      row[column.name] = fromColumn(column.type, row[column.name], rawDates);
+    }
+  }
+  return rows;
+};
+
+/**
+ * Register the SQL functions the app's SQL relies on
+ * @param {Object} db - better-sqlite3 database
+ */
+const registerFunctions = (db) => {
+  const monthFormats = new Map();
+
+  db.function('now', () => new Date().toISOString());
+
+  // Timestamp parameters in any format Date.parse reads, compared with stored ISO text
+  db.function('iso_timestamp', { deterministic: true }, (value) => {
+    if (value === null) {
+      return null;
+    }
+    const instant = Date.parse(value);
+    return Number.isNaN(instant) ? value : new Date(instant).toISOString();
+  });
+
+  db.function('month_in_zone', { deterministic: true }, (value, timeZone) => {
+    if (value === null) {
+      return null;
+    }
+    if (!monthFormats.has(timeZone)) {
+      monthFormats.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit' }));
+    }
+    const parts = monthFormats.get(timeZone).formatToParts(parseTimestamp(value));
+    const part = (name) => parts.find((entry) => entry.type === name).value;
+    return `${part('year')}-${part('month')}`;
+  });
+
+  // X REGEXP Y calls regexp(Y, X)
+  db.function('regexp', { deterministic: true }, (pattern, value) => {
+    return value !== null && new RegExp(pattern).test(String(value)) ? 1 : 0;
+  });
+};
+
+/**
+ * Create a lock that hands out turns in order
+ * @returns {Function} - acquire(): Promise resolving to a release function
+ */
+const createLock = () => {
+  let last = Promise.resolve();
+  return () => {
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    const acquired = last.then(() => release);
+    last = last.then(() => released);
+    return acquired;
+  };
+};
+
+/**
+ * Create the SQLite storage
+ * @param {string} file - Database file, or :memory:
+ * @returns {Object} - Storage object
+ */
+const createSqliteStorage = (file) => {
+  const Database = loadDriver();
+  const inMemory = file === '' || file === ':memory:';
+  const filename = inMemory ? ':memory:' : path.resolve(file);
+  if (!inMemory) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  if (!inMemory) {
+    // Lets export cursors read from their own connection while syncs write
+    db.pragma('journal_mode = WAL');
+  }
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+  registerFunctions(db);
+
+  const acquire = createLock();
+  const statements = new Map();
+
+  /**
+   * Run one statement (or a parameterless script) on the connection
+   * @param {string} sql - SQL with $1, $2, ... parameters
+   * @param {Array} [params] - Parameters
+   * @param {Object} [options] - { convert: false to return stored values }
+   * @returns {Object} - { rows, rowCount }
+   */
+  const execute = (sql, params, { convert = true } = {}) => {
+    let statement = statements.get(sql);
+    if (!statement) {
+      try {
+        statement = db.prepare(sql);
+      } catch (error) {
+        // Migrations are scripts of several statements
+        if (error instanceof RangeError && /more than one statement/.test(error.message) && !(params && params.length)) {
+          db.exec(sql);
+          return { rows: [], rowCount: 0 };
+        }
+        throw error;
+      }
+      if (statements.size >= STATEMENT_CACHE_SIZE) {
+        statements.clear();
+      }
+      statements.set(sql, statement);
+    }
+
+    const bound = bindParams(params);
+    if (statement.reader) {
+      const rows = bound ? statement.all(bound) : statement.all();
+      return { rows: convert ? convertRows(statement.columns(), rows) : rows, rowCount: rows.length };
+    }
+    const info = bound ? statement.run(bound) : statement.run();
+    return { rows: [], rowCount: info.changes };
+  };
+
+  /**
+   * Take a turn on the connection
+   * @returns {Promise<Object>} - Client with query() and release()
+   */
+  const connect = async () => {
+    const release = await acquire();
+    let released = false;
+    return {
+      query: async (sql, params) => {
+        if (released) {
+          throw new Error('SQLite client was already released');
+        }
+        // Take the write lock up front: a deferred transaction that has read and
+        // then writes fails with SQLITE_BUSY at once when another process holds
+        // the lock, instead of waiting out busy_timeout
+        return execute(PLAIN_BEGIN.test(sql) ? 'BEGIN IMMEDIATE' : sql, params);
+      },
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        // A client given back mid-transaction must not leave it open for the next one
+        if (db.inTransaction) {
+          db.exec('ROLLBACK');
+        }
+        release();
+      }
+    };
+  };
+
+  /**
+   * Run `fn` in a transaction on its own turn
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} - Result of fn
+   */
+  const transaction = async (fn) => {
+    const client = await connect();
+    try {
+      await client.query('BEGIN IMMEDIATE');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } finally {
+      client.release();
+    }
+  };
+
+  const fetchRowsByKey = async (client, spec, keys, options) => {
+    const columns = spec.columns.map(([name]) => name);
+    if (spec.softDelete) {
+      columns.push('removed_at');
+    }
+    const sql = `SELECT ${columns.join(', ')} FROM ${spec.table} WHERE ${spec.key} IN (SELECT value FROM json_each($1))`;
+    const params = [JSON.stringify(keys)];
+    return options ? execute(sql, params, options).rows : (await client.query(sql, params)).rows;
+  };
+
+  return {
+    dialect: 'sqlite',
+    migrationsDir: path.join(__dirname, '../migrations/sqlite'),
+
+    query: async (sql, params) => {
+      const release = await acquire();
+      try {
+        return execute(sql, params);
+      } finally {
+        release();
+      }
+    },
+    connect,
+    close: async () => {
+      const release = await acquire();
+      db.close();
+      release();
+    },
+
+    openCursor: async (sql, params) => {
+      let rows;
+      let reader = null;
+      let iterator;
+      let columns;
+
+      if (inMemory) {
+        // Another connection would see a different database, so read it all here
+        const release = await acquire();
+        try {
+          const statement = db.prepare(sql);
+          columns = statement.columns();
+          rows = convertRows(columns, bindParams(params) ? statement.all(bindParams(params)) : statement.all(), true);
+        } finally {
+          release();
+        }
+      } else {
+        // A read-only connection, so a long download does not hold up syncs
+        reader = new Database(filename, { readonly: true, fileMustExist: true });
+        reader.pragma('busy_timeout = 5000');
+        registerFunctions(reader);
+        const statement = reader.prepare(sql);
+        columns = statement.columns();
+        const bound = bindParams(params);
+        iterator = bound ? statement.iterate(bound) : statement.iterate();
+      }
+
+      return {
+        read: async (count) => {
+          if (rows) {
+            return rows.splice(0, count);
+          }
+          const batch = [];
+          while (batch.length < count) {
+            const next = iterator.next();
+            if (next.done) {
+              break;
+            }
+            batch.push(next.value);
+          }
+          return convertRows(columns, batch, true);
+        },
+        close: async () => {
+          if (reader && reader.open) {
+            iterator.return();
+            reader.close();
+          }
+        }
+      };
+    },
+
+    ilike: (column, param) => `${column} LIKE ${param} ESCAPE '\\'`,
+    timestamp: (param) => `iso_timestamp(${param})`,
+    matches: (expression, pattern) => `${expression} REGEXP '${pattern}'`,
+    monthIn: (column, timeZoneParam) => `month_in_zone(${column}, ${timeZoneParam})`,
+    millisecondsSince: (column) => `CAST(round((julianday('now') - julianday(${column})) * 86400000) AS integer)`,
+
+    upsertRows: async (client, spec, rows, runId) => {
+      const names = spec.columns.map(([name]) => name);
+      const types = new Map(spec.columns);
+      const updatable = names.filter((name) => name !== spec.key && !spec.insertOnly.includes(name));
+      const history = spec.history;
+
+      const updates = updatable.map((name) => `${name} = excluded.${name}`);
+      let changed = `(${updatable.map((name) => `${spec.table}.${name}`).join(', ')})
+          IS NOT (${updatable.map((name) => `excluded.${name}`).join(', ')})`;
+      if (spec.softDelete) {
+        updates.push('removed_at = NULL');
+        changed += ` OR ${spec.table}.removed_at IS NOT NULL`;
+      }
+      const sql = `INSERT INTO ${spec.table} (${names.join(', ')})
+        VALUES (${names.map((name, index) => `$${index + 1}`).join(', ')})
+        ON CONFLICT (${spec.key}) DO UPDATE SET ${updates.join(', ')}
+        WHERE ${changed}
+        RETURNING ${spec.key} AS key`;
+
+      // Stored values before the upsert: restored rows and history compare against them
+      const before = new Map(
+        (await fetchRowsByKey(client, spec, rows.map((row) => row[spec.key]), { convert: false }))
+          .map((row) => [String(row[spec.key]), row])
+      );
+      const asText = (value) => (value === null || value === undefined ? null : String(value));
+
+      const changes = [];
+      for (const row of rows) {
+        const values = names.map((name) => {
+          const value = row[name];
+          return types.get(name) === 'jsonb' && value !== null && value !== undefined ? JSON.stringify(value) : toParam(value);
+        });
+        const result = await client.query(sql, values);
+        if (result.rows.length === 0) {
+          continue;
+        }
+
+        const key = result.rows[0].key;
+        const previous = before.get(String(key)) || null;
+        changes.push({
+          key,
+          inserted: previous === null,
+          restored: Boolean(spec.softDelete && previous && previous.removed_at !== null),
+          previous: history && previous
+            ? Object.fromEntries([spec.key, ...history.fields].map((field) => [field, previous[field]]))
+            : null
+        });
+
+        if (history) {
+          for (const field of history.fields) {
+            const oldValue = asText(previous ? previous[field] : null);
+            const newValue = asText(values[names.indexOf(field)]);
+            if (oldValue !== newValue) {
+              await client.query(
+                `INSERT INTO ${history.table} (${history.keyColumn}, field, old_value, new_value, sync_run_id)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [key, field, oldValue, newValue, runId]
+              );
+            }
+          }
+        }
+      }
+      return changes;
+    },
+
+    fetchRowsByKey: (client, spec, keys) => fetchRowsByKey(client, spec, keys),
+
+    markRemoved: async (client, spec, facilityIds, keys) => {
+      const result = await client.query(
+        `UPDATE ${spec.table} SET removed_at = now()
+         WHERE facility_id IN (SELECT value FROM json_each($1))
+           AND removed_at IS NULL
+           AND ${spec.key} NOT IN (SELECT value FROM json_each($2))`,
+        [JSON.stringify(facilityIds), JSON.stringify(keys)]
+      );
+      return result.rowCount;
+    },
+
+    replaceIdentityLinks: async (client, userIds, links) => {
+      const incoming = JSON.stringify(links);
+      await client.query(
+        `DELETE FROM identity_links
+         WHERE user_id IN (SELECT value FROM json_each($1))
+           AND NOT EXISTS (
+             SELECT 1 FROM json_each($2) i
+             WHERE json_extract(i.value, '$.user_id') = identity_links.user_id
+               AND json_extract(i.value, '$.system') = identity_links.system
+           )`,
+        [JSON.stringify(userIds), incoming]
+      );
+      const result = await client.query(
+        `INSERT INTO identity_links (user_id, system, external_id)
+         SELECT json_extract(value, '$.user_id'), json_extract(value, '$.system'), json_extract(value, '$.external_id')
+         FROM json_each($1)
+         WHERE true
+         ON CONFLICT (user_id, system) DO UPDATE SET
+           external_id = excluded.external_id,
+           updated_at = now()
+         WHERE identity_links.external_id IS NOT excluded.external_id`,
+        [incoming]
+      );
+      return result.rowCount;
+    },
+
+    insertDeadLetters: async (client, recordType, letters, runId) => {
+      await client.query(
+        `INSERT INTO dead_letters (record_type, record_key, facility_id, stage, error, payload, sync_run_id)
+         SELECT $1, json_extract(value, '$.record_key'), json_extract(value, '$.facility_id'),
+           json_extract(value, '$.stage'), json_extract(value, '$.error'), json_extract(value, '$.payload'), $3
+         FROM json_each($2)`,
+        [recordType, JSON.stringify(letters), runId]
+      );
+    },
+
+    insertOutboxEvents: async (client, events, runId) => {
+      await client.query(
+        `INSERT INTO outbox_events (event_id, event_type, facility_id, data, sync_run_id)
+         SELECT json_extract(value, '$.event_id'), json_extract(value, '$.event_type'),
+           json_extract(value, '$.facility_id'), json_extract(value, '$.data'), $2
+         FROM json_each($1)`,
+        [JSON.stringify(events), runId]
+      );
+    },
+
+    insertEventDeliveries: async (client, deliveries) => {
+      await client.query(
+        `INSERT INTO event_deliveries (event_id, subscriber_id)
+         SELECT json_extract(value, '$.event_id'), json_extract(value, '$.subscriber_id')
+         FROM json_each($1)`,
+        [JSON.stringify(deliveries)]
+      );
+    },
+
+    // The synced tables have no foreign keys, and PRAGMA foreign_keys cannot change inside a transaction
+    setForeignKeyChecks: async () => {},
+
+    claimEventDeliveries: (limit, leaseMs) => transaction(async (client) => {
+      const due = await client.query(
+        `SELECT id FROM event_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= now()
+         ORDER BY next_attempt_at, id
+         LIMIT $1`,
+        [limit]
+      );
+      if (due.rows.length === 0) {
+        return [];
+      }
+      const ids = JSON.stringify(due.rows.map((row) => row.id));
+      await client.query(
+        `UPDATE event_deliveries SET
+           next_attempt_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $2 || ' seconds'),
+           updated_at = now()
+         WHERE id IN (SELECT value FROM json_each($1))`,
+        [ids, leaseMs / 1000]
+      );
+      const claimed = await client.query(
+        `SELECT d.id, d.subscriber_id, d.attempts, e.event_id, e.event_type,
+           e.facility_id, e.data, e.created_at
+         FROM event_deliveries d
+         JOIN outbox_events e ON e.event_id = d.event_id
+         WHERE d.id IN (SELECT value FROM json_each($1))
+         ORDER BY d.id`,
+        [ids]
+      );
+      return claimed.rows;
+    }),
+
+    recordEventDeliveryAttempt: (id, { status, attempts, delaySeconds, statusCode, error, durationMs }) => transaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE event_deliveries SET
+           status = $2,
+           attempts = $3,
+           next_attempt_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '+' || $4 || ' seconds'),
+           last_status_code = $5,
+           last_error = $6,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN now() ELSE NULL END,
+           updated_at = now()
+         WHERE id = $1
+         RETURNING id`,
+        [id, status, attempts, delaySeconds, statusCode, error]
+      );
+      if (updated.rows.length > 0) {
+        await client.query(
+          `INSERT INTO event_delivery_log (delivery_id, attempt, status_code, error, duration_ms)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [id, attempts, statusCode, error, durationMs]
+        );
+      }
+    }),
+
+    // Clients already take turns, and SQLite lets one writer in at a time across processes
+    lockMigrations: async () => {},
+    unlockMigrations: async () => {}
+  };
+};
+
+module.exports = {
+  createSqliteStorage
+};
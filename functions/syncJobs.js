@@ -0,0 +1,136 @@
+/**
+ * Persistent background sync jobs (sync_jobs table)
+ *
+ * A job is one webhook call: a sync type and optionally the requested
+ * facility. Its status moves from 'queued' to 'running' to 'success',
+ * 'partial' or 'error' ('interrupted' when the process stopped mid-run).
+ */
+const { storage } = require('./database');
+const { createLogger } = require('./logger');
+
+const log = createLogger('syncJobs');
+
+/**
+ * Record a new queued job
+ * @param {Object} job - { syncType, facilityId, trigger ('webhook',
+ *   'dashboard' or 'schedule'), requestedBy (dashboard user) }
+ * @returns {Promise<Object>} - The job row
+ */
+const createSyncJob = async ({ syncType, facilityId = null, trigger = 'webhook', requestedBy = null }) => {
+  const result = await storage.query(
+    `INSERT INTO sync_jobs (sync_type, facility_id, trigger, requested_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [syncType, facilityId, trigger, requestedBy]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Find a job of a sync type that has not finished yet
+ * @param {string} syncType - 'facility-signups' or 'elearning-codes'
+ * @returns {Promise<Object|null>} - The oldest queued or running job, or null
+ */
+const findActiveSyncJob = async (syncType) => {
+  const result = await storage.query(
+    `SELECT * FROM sync_jobs
+     WHERE sync_type = $1 AND status IN ('queued', 'running')
+     ORDER BY id
+     LIMIT 1`,
+    [syncType]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Mark a job as running
+ * @param {string|number} id - Job id
+ * @returns {Promise<void>}
+ */
+const startSyncJob = async (id) => {
+  await storage.query(
+    `UPDATE sync_jobs SET status = 'running', started_at = now(), updated_at = now()
+     WHERE id = $1`,
+    [id]
+  );
+};
+
+/**
+ * Save a running job's progress
+ * @param {string|number} id - Job id
+ * @param {Object} progress - Progress from syncFacilities
+ * @returns {Promise<void>}
+ */
+const updateSyncJobProgress = async (id, progress) => {
+  await storage.query(
+    'UPDATE sync_jobs SET progress = $2, updated_at = now() WHERE id = $1',
+    [id, JSON.stringify(progress)]
+  );
+};
+
+/**
+ * Record the end of a job
+ * @param {string|number} id - Job id
+ * @param {Object} outcome - { status, result, error }
+ * @returns {Promise<void>}
+ */
+const finishSyncJob = async (id, { status, result = null, error = null }) => {
+  await storage.query(
+    `UPDATE sync_jobs SET
+       status = $2,
+       result = $3,
+       error = $4,
+       finished_at = now(),
+       updated_at = now()
+     WHERE id = $1`,
+    [id, status, result === null ? null : JSON.stringify(result), error]
+  );
+};
+
+/**
+ * Get a single job
+ * @param {string|number} id - Job id
+ * @returns {Promise<Object|null>} - The job, or null when it does not exist
+ */
+const getSyncJob = async (id) => {
+  if (!/^\d+$/.test(String(id))) {
+    return null;
+  }
+  const result = await storage.query('SELECT * FROM sync_jobs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Prepare the jobs left over by a previous process: running jobs are marked
+ * 'interrupted' and queued jobs are returned so they can be run.
+ * @returns {Promise<Array<Object>>} - Queued jobs, oldest first
+ */
+const recoverSyncJobs = async () => {
+  const interrupted = await storage.query(
+    `UPDATE sync_jobs SET
+       status = 'interrupted',
+       error = 'The server stopped before the job finished',
+       finished_at = now(),
+       updated_at = now()
+     WHERE status = 'running'
+     RETURNING id`
+  );
+  if (interrupted.rowCount > 0) {
+    log.warn('Marked sync jobs interrupted', { job_ids: interrupted.rows.map((row) => row.id) });
+  }
+
+  const queued = await storage.query(
+    "SELECT * FROM sync_jobs WHERE status = 'queued' ORDER BY id"
+  );
+  return queued.rows;
+};
+
+module.exports = {
+  createSyncJob,
+  findActiveSyncJob,
+  startSyncJob,
+  updateSyncJobProgress,
+  finishSyncJob,
+  getSyncJob,
+  recoverSyncJobs
+};
@@ -0,0 +1,73 @@
+/**
+ * Persistent history of sync runs (sync_runs table)
+ */
+const { storage } = require('./database');
+
+/**
+ * Record the start of a sync run
+ * @param {Object} run - { syncType, trigger, facilityId }
+ * @returns {Promise<number>} - The new run id
+ */
+const startSyncRun = async ({ syncType, trigger, facilityId }) => {
+  const result = await storage.query(
+    `INSERT INTO sync_runs (sync_type, trigger, facility_id, status)
+     VALUES ($1, $2, $3, 'running')
+     RETURNING id`,
+    [syncType, trigger, facilityId]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Record the end of a sync run
+ * @param {number} id - Run id from startSyncRun
+ * @param {Object} outcome - { status, stats: { fetched, inserted, updated, unchanged,
+ *   removed, failed }, error }
+ * @returns {Promise<void>}
+ */
+const finishSyncRun = async (id, { status, stats = {}, error = null }) => {
+  await storage.query(
+    `UPDATE sync_runs SET
+       status = $2,
+       finished_at = now(),
+       duration_ms = ${storage.millisecondsSince('started_at')},
+       rows_fetched = $3,
+       rows_inserted = $4,
+       rows_updated = $5,
+       rows_failed = $6,
+       rows_unchanged = $7,
+       rows_removed = $8,
+       error = $9
+     WHERE id = $1`,
+    [
+      id,
+      status,
+      stats.fetched === undefined ? null : stats.fetched,
+      stats.inserted === undefined ? null : stats.inserted,
+      stats.updated === undefined ? null : stats.updated,
+      stats.failed === undefined ? null : stats.failed,
+      stats.unchanged === undefined ? null : stats.unchanged,
+      stats.removed === undefined ? null : stats.removed,
+      error
+    ]
+  );
+};
+
+/**
+ * Get a single sync run
+ * @param {string|number} id - Run id
+ * @returns {Promise<Object|null>} - The run, or null when it does not exist
+ */
+const getSyncRun = async (id) => {
+  if (!/^\d+$/.test(String(id))) {
+    return null;
+  }
+  const result = await storage.query('SELECT * FROM sync_runs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  startSyncRun,
+  finishSyncRun,
+  getSyncRun
+};
@@ -0,0 +1,187 @@
+/**
+ * HMAC signature verification for the /webhook endpoints
+ *
+ * Callers sign every request with a shared secret:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Nonce: <unique random string>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+ *
+ * WEBHOOK_SECRET holds the current secret. During rotation the old one is
+ * kept in WEBHOOK_SECRET_PREVIOUS so both are accepted until callers move over.
+ */
+const crypto = require('crypto');
+const { safeEqual } = require('./apiAuth');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhookAuth');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MAX_NONCES = 100000;
+
+// nonce -> expiry time (ms); a nonce is remembered for as long as its
+// timestamp is inside the replay window
+const seenNonces = new Map();
+
+/**
+ * Get the active signing secrets
+ * @returns {Array<string>} - Current secret first, then the previous one
+ */
+const getWebhookSecrets = () => {
+  return [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+};
+
+/**
+ * Get the replay window in seconds from WEBHOOK_TOLERANCE_SECONDS
+ * @returns {number} - Allowed clock difference in seconds
+ */
+const getToleranceSeconds = () => {
+  const value = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TOLERANCE_SECONDS;
+};
+
+/**
+ * Compute the signature header value for a request
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Request nonce
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} - "sha256=<hex>"
+ */
+const computeSignature = (secret, timestamp, nonce, body) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${nonce}.`);
+  hmac.update(body || '');
+  return `sha256=${hmac.digest('hex')}`;
+};
+
+/**
+ * Build the signing headers for a request body (used by scripts and callers
+ * written in Node)
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body that will be sent
+ * @returns {Object} - Headers to add to the request
+ */
+const signWebhookRequest = (secret, body) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': computeSignature(secret, timestamp, nonce, body)
+  };
+};
+
+/**
+ * Remove expired nonces from the cache
+ * @param {number} now - Current time in ms
+ */
+const pruneNonces = (now) => {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) {
+      seenNonces.delete(nonce);
+    }
+  }
+};
+
+/**
+ * Whether a request says it carries a body
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True with a non-zero Content-Length or a Transfer-Encoding
+ */
+const hasBody = (req) => {
+  return Boolean(req.get('transfer-encoding')) || parseInt(req.get('content-length'), 10) > 0;
+};
+
+/**
+ * Check a request's signature headers
+ * @param {Object} req - Express request object (with rawBody)
+ * @returns {string|null} - Failure reason, or null when the request is valid
+ */
+const checkSignature = (req) => {
+  const secrets = getWebhookSecrets();
+  if (secrets.length === 0) {
+    return 'webhook signing is not configured';
+  }
+
+  const timestamp = req.get('x-webhook-timestamp');
+  const nonce = req.get('x-webhook-nonce');
+  const signature = req.get('x-webhook-signature');
+
+  if (!timestamp || !nonce || !signature) {
+    return 'missing signature headers';
+  }
+  if (!/^\d+$/.test(timestamp)) {
+    return 'invalid timestamp';
+  }
+  if (nonce.length > 128) {
+    return 'invalid nonce';
+  }
+  // A body express.json did not read (another content type) cannot be checked
+  if (req.rawBody === undefined && hasBody(req)) {
+    return 'request body was not captured';
+  }
+
+  const now = Date.now();
+  const toleranceMs = getToleranceSeconds() * 1000;
+  const timestampMs = parseInt(timestamp, 10) * 1000;
+
+  if (Math.abs(now - timestampMs) > toleranceMs) {
+    return 'timestamp outside the allowed window';
+  }
+
+  const valid = secrets.some((secret) => {
+    return safeEqual(computeSignature(secret, timestamp, nonce, req.rawBody), signature);
+  });
+  if (!valid) {
+    return 'signature mismatch';
+  }
+
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    return 'nonce already used';
+  }
+  if (seenNonces.size >= MAX_NONCES) {
+    return 'too many requests in the replay window';
+  }
+  seenNonces.set(nonce, timestampMs + toleranceMs);
+
+  return null;
+};
+
+/**
+ * Express middleware rejecting unsigned or replayed webhook requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const verifyWebhookSignature = (req, res, next) => {
+  const reason = checkSignature(req);
+
+  if (reason) {
+    log.warn('Rejected webhook request', { method: req.method, path: req.originalUrl.split('?')[0], ip: req.ip, reason });
+    return res.status(401).json({
+      status: 'error',
+      error: `Webhook signature verification failed: ${reason}`
+    });
+  }
+
+  next();
+};
+
+/**
+ * express.json `verify` hook keeping the raw body for signature checks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw body
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+module.exports = {
+  computeSignature,
+  signWebhookRequest,
+  verifyWebhookSignature,
+  captureRawBody
+};
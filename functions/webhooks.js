@@ -1,325 +1,543 @@
 /**
  * Webhook functions for the Node.js application
  */
-const https = require('https');
 const { insertFacilitySignups, insertCourseInfo, insertElearningCodes } = require('./database');
+const { sanitizePortalResponse } = require('./fieldPolicy');
+const { resolveFacilities } = require('./facilities');
+const { startSyncRun, finishSyncRun } = require('./syncRuns');
+const {
+  getPortalConfig,
+  makeFacilitySignupsRequest,
+  makeElearningCodesRequest
+} = require('./portalClient');
+const { withPortalSession } = require('./portalSession');
+const { wakeEventDispatcher } = require('./eventDelivery');
+const { createLogger, withLogContext, startLogContext, getLogContext } = require('./logger');
+const {
+  createSyncJob,
+  startSyncJob,
+  updateSyncJobProgress,
+  finishSyncJob,
+  getSyncJob,
+  recoverSyncJobs
+} = require('./syncJobs');
+
+const log = createLogger('webhooks');
+
+// Minimum time between progress writes of a running job
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Jobs waiting to run in this process; they run one at a time
+const jobQueue = [];
+let jobQueueRunning = false;
 
 /**
- * Make HTTP request to external service
- * @param {string} url - The URL to call
- * @param {Object} data - The data to send
- * @returns {Promise<Object>} - The response data
+ * Check the environment variables every sync needs
  */
-const makeExternalRequest = (url, data) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const postData = JSON.stringify(data);
-      
-      // Parse the URL to get hostname and path
-      let urlObj;
-      try {
-        urlObj = new URL(url);
-      } catch (urlError) {
-        reject(new Error(`Invalid URL: ${url}. Error: ${urlError.message}`));
-        return;
-      }
-      
-      const options = {
-        hostname: urlObj.hostname,
-        port: 443,
-        path: urlObj.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
-        }
-      };
+const validateSyncEnvironment = () => {
+  if (!process.env.EXTERNAL_WEBHOOK_URL) {
+    throw new Error('EXTERNAL_WEBHOOK_URL environment variable is not set');
+  }
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is not set');
+  }
+  // Throws on an invalid PORTAL_BASE_URL or PORTAL_PORT
+  getPortalConfig();
+};
 
-      const req = https.request(options, (res) => {
-        let responseData = '';
-        
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const parsedData = JSON.parse(responseData);
-            resolve(parsedData);
-          } catch (error) {
-            resolve({ raw: responseData });
-          }
-        });
-      });
+/**
+ * Count the courses in a portal `courses` object ({ agencyName: [course, ...] })
+ * @param {Object} courses - Courses object from the API response
+ * @returns {number} - Number of courses
+ */
+const countCourses = (courses) => {
+  if (!courses || typeof courses !== 'object') {
+    return 0;
+  }
+  return Object.values(courses).reduce((total, list) => total + (Array.isArray(list) ? list.length : 0), 0);
+};
 
-      req.on('error', (error) => {
-        reject(error);
-      });
+/**
+ * Describe a value's type for logs without logging the value
+ * @param {*} value - Any value
+ * @returns {string} - 'array', 'null' or the typeof name
+ */
+const describeType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+};
 
-      req.write(postData);
-      req.end();
-    } catch (error) {
-      reject(error);
+/**
+ * Add up row counts from insert function results
+ * @param {Array<Object>} results - Results of the insert functions (may contain undefined)
+ * @returns {Object} - { inserted, updated, unchanged, removed, failed }
+ */
+const sumStats = (results) => {
+  const stats = { inserted: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 };
+  for (const result of results) {
+    if (!result) {
+      continue;
     }
-  });
+    stats.inserted += result.inserted || 0;
+    stats.updated += result.updated || 0;
+    stats.unchanged += result.unchanged || 0;
+    stats.removed += result.removed || 0;
+    // Rows the database refused plus records rejected by validation
+    stats.failed += (result.errorCount || 0) + (result.rejected || 0);
+  }
+  return stats;
 };
 
 /**
- * Handle Get Facility Signups webhook
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * Store a facility signups response (users and courses) with the insert
+ * functions. Used by live syncs and by imported snapshots.
+ * @param {Object} facilitySignupsResponse - Portal response ({ data, courses })
+ * @param {Object} [options] - { reconcile: soft delete users of the same
+ *   facilities missing from the response (default true; only for complete
+ *   responses), runId: sync run recorded with dead letters, onProgress: batch
+ *   progress callback (see bulkUpsert), dryRun: true to roll the writes back
+ *   and return previews }
+ * @returns {Promise<Object>} - { database, stats }
  */
-const handleGetFacilitySignups = async (req, res) => {
+const storeFacilitySignups = async (facilitySignupsResponse, { reconcile = true, runId = null, onProgress = null, dryRun = false } = {}) => {
+  // Insert data into PostgreSQL database
+  log.debug('Storing facility signups response', { response_fields: Object.keys(facilitySignupsResponse) });
+  
+  let dbResults = {};
+  
   try {
-    console.log('Webhook received for Get Facility Signups:', req.body);
-    
-    // Validate environment variables
-    if (!process.env.FACILITY_ID) {
-      throw new Error('FACILITY_ID environment variable is not set');
+    // Insert facility signups data
+    if (facilitySignupsResponse.data && Array.isArray(facilitySignupsResponse.data)) {
+      log.info('Inserting users', { records: facilitySignupsResponse.data.length });
+      // A full portal response lists all of the facility's users, so users missing from it are soft deleted
+      const userResult = await insertFacilitySignups(facilitySignupsResponse.data, { reconcile, runId, onProgress, dryRun });
+      dbResults.users = userResult;
+      log.info('Users stored', { stats: sumStats([userResult]) });
+    } else {
+      // Only the type: the value may be an error page or partial user data
+      log.warn('No user data in response', { data_type: describeType(facilitySignupsResponse.data) });
     }
-    if (!process.env.EXTERNAL_WEBHOOK_URL) {
-      throw new Error('EXTERNAL_WEBHOOK_URL environment variable is not set');
+    
+    // Insert course information
+    if (facilitySignupsResponse.courses && typeof facilitySignupsResponse.courses === 'object') {
+      log.info('Inserting course information', { courses: countCourses(facilitySignupsResponse.courses) });
+      const courseResult = await insertCourseInfo(facilitySignupsResponse.courses, { runId, dryRun });
+      dbResults.courses = courseResult;
+      log.info('Course information stored', { stats: sumStats([courseResult]) });
+    } else {
+      log.warn('No course data in response', { courses_type: describeType(facilitySignupsResponse.courses) });
     }
-    if (!process.env.DATABASE_URL) {
-      throw new Error('DATABASE_URL environment variable is not set');
+    
+  } catch (dbError) {
+    log.error('Database insertion failed', { error: dbError });
+    // Continue with the response even if database insertion fails
+    dbResults.error = dbError.message;
+  }
+  
+  const stats = sumStats([dbResults.users, dbResults.courses]);
+  stats.fetched = (Array.isArray(facilitySignupsResponse.data) ? facilitySignupsResponse.data.length : 0) +
+    countCourses(facilitySignupsResponse.courses);
+  
+  return {
+    database: dbResults,
+    stats
+  };
+};
+
+/**
+ * Fetch facility signups and courses for one facility and store them
+ * @param {string} facilityId - The facility ID
+ * @param {Object} [options] - { runId: sync run recorded with dead letters,
+ *   onProgress: batch progress callback (see bulkUpsert), dryRun: true to
+ *   roll the writes back and return previews }
+ * @returns {Promise<Object>} - { response, database, stats }
+ */
+const syncFacilitySignups = async (facilityId, { runId = null, onProgress = null, dryRun = false } = {}) => {
+  validateSyncEnvironment();
+  
+  // Uses the facility's cached portal session, re-authenticating if the portal rejects it
+  log.info('Calling facility signups API', { facility_id: facilityId });
+  const facilitySignupsResponse = await withPortalSession(facilityId, (cookies, xsrf) =>
+    makeFacilitySignupsRequest(facilityId, cookies, xsrf)
+  );
+  
+  log.debug('Facility signups API response received', { facility_id: facilityId });
+  
+  const stored = await storeFacilitySignups(facilitySignupsResponse, { runId, onProgress, dryRun });
+  
+  // The facility signups API response (minus credential fields) along with database results
+  return {
+    response: sanitizePortalResponse(facilitySignupsResponse),
+    ...stored
+  };
+};
+
+/**
+ * Store an e-learning codes response with the insert function. Used by live
+ * syncs and by imported snapshots.
+ * @param {Object} elearningCodesResponse - Portal response ({ data })
+ * @param {Object} [options] - { reconcile: soft delete codes of the same
+ *   facilities missing from the response (default true; only for complete
+ *   responses), runId: sync run recorded with status history and dead letters,
+ *   onProgress: batch progress callback (see bulkUpsert), dryRun: true to roll
+ *   the writes back and return a preview }
+ * @returns {Promise<Object>} - { database, stats }
+ */
+const storeElearningCodes = async (elearningCodesResponse, { reconcile = true, runId = null, onProgress = null, dryRun = false } = {}) => {
+  // Insert data into PostgreSQL database
+  log.debug('Storing e-learning codes response', { response_fields: Object.keys(elearningCodesResponse) });
+  
+  let dbResults = {};
+  
+  try {
+    // Insert e-learning codes data
+    if (elearningCodesResponse.data && Array.isArray(elearningCodesResponse.data)) {
+      log.info('Inserting e-learning codes', { records: elearningCodesResponse.data.length });
+      // A full portal response lists all of the facility's codes, so codes missing from it are soft deleted
+      const elearningResult = await insertElearningCodes(elearningCodesResponse.data, { reconcile, runId, onProgress, dryRun });
+      dbResults.elearning_codes = elearningResult;
+      log.info('E-learning codes stored', { stats: sumStats([elearningResult]) });
+    } else {
+      log.warn('No e-learning codes data in response', { data_type: describeType(elearningCodesResponse.data) });
     }
     
-    console.log('Using Facility ID:', process.env.FACILITY_ID);
-    console.log('External Webhook URL:', process.env.EXTERNAL_WEBHOOK_URL);
+  } catch (dbError) {
+    log.error('Database insertion failed', { error: dbError });
+    // Continue with the response even if database insertion fails
+    dbResults.error = dbError.message;
+  }
+  
+  const stats = sumStats([dbResults.elearning_codes]);
+  stats.fetched = Array.isArray(elearningCodesResponse.data) ? elearningCodesResponse.data.length : 0;
+  
+  return {
+    database: dbResults,
+    stats
+  };
+};
+
+/**
+ * Fetch e-learning codes for one facility and store them
+ * @param {string} facilityId - The facility ID
+ * @param {Object} [options] - { runId: sync run recorded with status history
+ *   and dead letters, onProgress: batch progress callback (see bulkUpsert),
+ *   dryRun: true to roll the writes back and return a preview }
+ * @returns {Promise<Object>} - { response, database, stats }
+ */
+const syncElearningCodes = async (facilityId, { runId = null, onProgress = null, dryRun = false } = {}) => {
+  validateSyncEnvironment();
+  
+  // Uses the facility's cached portal session, re-authenticating if the portal rejects it
+  log.info('Calling e-learning codes API', { facility_id: facilityId });
+  const elearningCodesResponse = await withPortalSession(facilityId, (cookies, xsrf) =>
+    makeElearningCodesRequest(facilityId, cookies, xsrf)
+  );
+  
+  log.debug('E-learning codes API response received', { facility_id: facilityId });
+  
+  const stored = await storeElearningCodes(elearningCodesResponse, { runId, onProgress, dryRun });
+  
+  // The e-learning codes API response (minus credential fields) along with database results
+  return {
+    response: sanitizePortalResponse(elearningCodesResponse),
+    ...stored
+  };
+};
+
+/**
+ * Sync functions by sync type, as recorded in sync_runs
+ */
+const SYNC_TYPES = {
+  'facility-signups': syncFacilitySignups,
+  'elearning-codes': syncElearningCodes
+};
+
+/**
+ * Run one sync type for each facility in turn, recording every facility's
+ * run in sync_runs. A failure in one facility is recorded in its result and
+ * does not stop the others.
+ * @param {Array<Object>} facilities - Facilities from the registry
+ * @param {string} syncType - 'facility-signups' or 'elearning-codes'
+ * @param {Object} [options] - { trigger: 'webhook' | 'schedule' | ...,
+ *   onProgress: called with { facilities_total, facilities_done, facility_id,
+ *   batch, counts } when a facility starts or finishes and after each batch,
+ *   dryRun: true to roll every write back (nothing is recorded in sync_runs) }
+ * @returns {Promise<Array<Object>>} - One result per facility
+ */
+const syncFacilities = async (facilities, syncType, { trigger = 'manual', onProgress = null, dryRun = false } = {}) => {
+  const syncFn = SYNC_TYPES[syncType];
+  if (!syncFn) {
+    throw new Error(`Unknown sync type: ${syncType}`);
+  }
+  
+  const results = [];
+  const progress = {
+    facilities_total: facilities.length,
+    facilities_done: 0,
+    facility_id: null,
+    batch: null,
+    counts: { fetched: 0, inserted: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 }
+  };
+  const report = () => {
+    if (onProgress) {
+      onProgress({ ...progress, counts: { ...progress.counts } });
+    }
+  };
+  
+  for (const facility of facilities) {
+    progress.facility_id = facility.facility_id;
+    progress.batch = null;
+    report();
     
-    // First, call the external service to get authentication
-    console.log('Calling external service for authentication...');
-    const externalResponse = await makeExternalRequest(
-      process.env.EXTERNAL_WEBHOOK_URL,
-      { 
-        function: 'authme',
-        facility_id: process.env.FACILITY_ID 
+    // A broken sync_runs table should not stop the sync itself; dry runs are not recorded
+    let runId = null;
+    if (!dryRun) {
+      try {
+        runId = await startSyncRun({ syncType, trigger, facilityId: facility.facility_id });
+      } catch (error) {
+        log.error('Could not record sync run', { facility_id: facility.facility_id, error });
       }
-    );
-    
-    console.log('Authentication received, now calling facility signups API...');
-    
-    // Extract the authentication data
-    let cookies = {};
-    let xsrf = '';
-    
-    if (externalResponse.response && externalResponse.response.cookies) {
-      cookies = externalResponse.response.cookies;
-      xsrf = externalResponse.response.xsrf || '';
-    } else if (externalResponse.cookies) {
-      cookies = externalResponse.cookies;
-      xsrf = externalResponse.response.xsrf || '';
     }
     
-    // Now make the actual facility signups API call
-    const facilitySignupsResponse = await makeFacilitySignupsRequest(
-      process.env.FACILITY_ID,
-      cookies,
-      xsrf
-    );
-    
-    console.log('Facility signups API response received');
-    
-    // Insert data into PostgreSQL database
-    console.log('Inserting data into database...');
-    console.log('Database URL available:', !!process.env.DATABASE_URL);
-    console.log('Response structure:', Object.keys(facilitySignupsResponse));
-    
-    let dbResults = {};
-    
+    let result;
     try {
-      // Insert facility signups data
-      if (facilitySignupsResponse.data && Array.isArray(facilitySignupsResponse.data)) {
-        console.log(`Inserting ${facilitySignupsResponse.data.length} users into database...`);
-        console.log('First user sample:', JSON.stringify(facilitySignupsResponse.data[0], null, 2));
-        const userResult = await insertFacilitySignups(facilitySignupsResponse.data);
-        dbResults.users = userResult;
-        console.log('Users inserted successfully:', userResult.message);
-      } else {
-        console.log('No user data found in response or data is not an array');
-        console.log('Data type:', typeof facilitySignupsResponse.data);
-        console.log('Data value:', facilitySignupsResponse.data);
+      // Everything the facility's sync logs carries its facility and run
+      const syncResult = await withLogContext({ facility_id: facility.facility_id, sync_type: syncType, run_id: runId }, () =>
+        syncFn(facility.facility_id, {
+          runId,
+          dryRun,
+          onProgress: (batch) => {
+            progress.batch = batch;
+            report();
+          }
+        })
+      );
+      result = {
+        facility_id: facility.facility_id,
+        name: facility.name,
+        run_id: runId,
+        status: syncResult.database.error ? 'error' : 'success',
+        ...syncResult
+      };
+      if (syncResult.database.error) {
+        result.error = syncResult.database.error;
       }
-      
-      // Insert course information
-      if (facilitySignupsResponse.courses && typeof facilitySignupsResponse.courses === 'object') {
-        console.log('Inserting course information into database...');
-        console.log('Courses structure:', Object.keys(facilitySignupsResponse.courses));
-        const courseResult = await insertCourseInfo(facilitySignupsResponse.courses);
-        dbResults.courses = courseResult;
-        console.log('Courses inserted successfully:', courseResult.message);
-      } else {
-        console.log('No course data found in response or courses is not an object');
-        console.log('Courses type:', typeof facilitySignupsResponse.courses);
-        console.log('Courses value:', facilitySignupsResponse.courses);
+    } catch (error) {
+      log.error('Sync failed', { facility_id: facility.facility_id, sync_type: syncType, run_id: runId, error });
+      result = {
+        facility_id: facility.facility_id,
+        name: facility.name,
+        run_id: runId,
+        status: 'error',
+        error: error.message
+      };
+    }
+    
+    if (runId !== null) {
+      try {
+        await finishSyncRun(runId, { status: result.status, stats: result.stats, error: result.error || null });
+      } catch (error) {
+        log.error('Could not record the end of sync run', { run_id: runId, error });
       }
-      
-    } catch (dbError) {
-      console.error('Database insertion error:', dbError);
-      console.error('Error stack:', dbError.stack);
-      // Continue with the response even if database insertion fails
-      dbResults.error = dbError.message;
     }
     
-    // Return the actual response from the facility signups API along with database results
-    res.status(200).json({
-      status: "success",
-      response: facilitySignupsResponse,
-      database: dbResults
-    });
+    results.push(result);
+    // Events the facility raised go out now rather than at the next poll
+    if (!dryRun) {
+      wakeEventDispatcher();
+    }
     
-  } catch (error) {
-    console.error('Error in webhook:', error);
-    res.status(500).json({
-      status: 'error',
-      error: error.message
-    });
+    progress.facilities_done++;
+    for (const name of Object.keys(progress.counts)) {
+      progress.counts[name] += (result.stats && result.stats[name]) || 0;
+    }
+    report();
   }
+  
+  return results;
 };
 
 /**
- * Make HTTP request to facility signups API
- * @param {string} facilityId - The facility ID
- * @param {Object} cookies - Authentication cookies
- * @param {string} xsrf - XSRF token
- * @returns {Promise<Object>} - The response data
+ * Summarize per-facility results into an overall status
+ * @param {Array<Object>} results - Results from syncFacilities
+ * @returns {string} - 'success', 'partial' or 'error'
  */
-const makeFacilitySignupsRequest = (facilityId, cookies, xsrf) => {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'portal.tdisdi.com',
-      port: 443,
-      path: `/ajax/get_facility_signups?facility_uuid=${facilityId}`,
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Cookie': `ITIAuthToken=${cookies.ITIAuthToken || ''}; PORTALSESSID=${cookies.PORTALSESSID || ''}; SAMLSessionID=${cookies.SAMLSessionID || ''}; SelectedFacility=${facilityId}; XSRF-TOKEN=${xsrf || ''}; tdisdi_portal_session=${cookies.tdisdi_portal_session || ''}`,
-        'x-csrf-token': xsrf || '',
-        'x-requested-with': 'XMLHttpRequest',
-        'sec-fetch-mode': 'cors',
-        'Referer': 'https://portal.tdisdi.com/'
-      }
-    };
+const overallStatus = (results) => {
+  const failed = results.filter((result) => result.status !== 'success').length;
+  if (failed === 0) {
+    return 'success';
+  }
+  return failed === results.length ? 'error' : 'partial';
+};
 
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
+/**
+ * Run a queued sync job, saving its progress and final result
+ * @param {Object} job - Job row from sync_jobs
+ * @returns {Promise<void>}
+ */
+const runSyncJob = async (job) => {
+  await startSyncJob(job.id);
+  log.info('Running sync job');
+  
+  // Progress writes are throttled and chained so they land in order
+  let saving = Promise.resolve();
+  let lastSaved = 0;
+  const onProgress = (progress) => {
+    const now = Date.now();
+    if (now - lastSaved < PROGRESS_INTERVAL_MS && progress.facilities_done < progress.facilities_total) {
+      return;
+    }
+    lastSaved = now;
+    saving = saving
+      .then(() => updateSyncJobProgress(job.id, progress))
+      .catch((error) => log.error('Could not save sync job progress', { error }));
+  };
+  
+  try {
+    const facilities = await resolveFacilities(job.facility_id);
+    const results = await syncFacilities(facilities, job.sync_type, { trigger: job.trigger || 'webhook', onProgress });
+    await saving;
+    // The portal payloads are left out; the synced rows are available from /api
+    const summary = results.map(({ response, ...result }) => result);
+    await finishSyncJob(job.id, { status: overallStatus(results), result: { facilities: summary } });
+    log.info('Sync job finished', { status: overallStatus(results) });
+  } catch (error) {
+    log.error('Sync job failed', { error });
+    await saving;
+    await finishSyncJob(job.id, { status: 'error', error: error.message });
+  }
+};
+
+/**
+ * Run queued jobs one after another until the queue is empty
+ * @returns {Promise<void>}
+ */
+const drainJobQueue = async () => {
+  if (jobQueueRunning) {
+    return;
+  }
+  jobQueueRunning = true;
+  try {
+    while (jobQueue.length > 0) {
+      const { job, requestId } = jobQueue.shift();
+      // The job's records carry the id of the request that queued it, not of the one draining the queue
+      await startLogContext({ request_id: requestId, job_id: job.id, sync_type: job.sync_type }, async () => {
         try {
-          const parsedData = JSON.parse(responseData);
-          resolve(parsedData);
+          await runSyncJob(job);
         } catch (error) {
-          resolve({ raw: responseData });
+          // Most likely the database is unreachable; the job stays queued for the next start
+          log.error('Could not run sync job', { error });
         }
       });
-    });
+    }
+  } finally {
+    jobQueueRunning = false;
+  }
+};
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+/**
+ * Queue a job to run in the background
+ * @param {Object} job - Job row from sync_jobs
+ */
+const enqueueSyncJob = (job) => {
+  jobQueue.push({ job, requestId: getLogContext().request_id });
+  drainJobQueue();
+};
+
+/**
+ * Pick up the jobs a previous process left queued. Jobs that were running
+ * when it stopped are marked 'interrupted'.
+ * @returns {Promise<number>} - Number of jobs queued again
+ */
+const resumeSyncJobs = async () => {
+  const queued = await recoverSyncJobs();
+  queued.forEach(enqueueSyncJob);
+  if (queued.length > 0) {
+    log.info('Resuming queued sync jobs', { jobs: queued.length });
+  }
+  return queued.length;
+};
+
+/**
+ * Check a sync can run, record it as a queued job and start it in the
+ * background
+ * @param {string} syncType - 'facility-signups' or 'elearning-codes'
+ * @param {string|number} [facilityId] - Facility to sync, or all when omitted
+ * @param {Object} [options] - { trigger (default 'webhook'), requestedBy }
+ * @returns {Promise<Object>} - The job row
+ */
+const queueSyncJob = async (syncType, facilityId, { trigger = 'webhook', requestedBy = null } = {}) => {
+  validateSyncEnvironment();
+  await resolveFacilities(facilityId);
 
-    req.end();
+  const hasFacilityId = facilityId !== undefined && facilityId !== null && facilityId !== '';
+  const job = await createSyncJob({
+    syncType,
+    facilityId: hasFacilityId ? String(facilityId) : null,
+    trigger,
+    requestedBy
   });
+  enqueueSyncJob(job);
+  return job;
 };
 
 /**
- * Handle Get E-Learning Codes webhook
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * Build a webhook handler running `syncType` for the facility in
+ * req.body.facility_id, or for every registered facility when none is given.
+ * The sync runs inline and the handler answers with the results; with
+ * `"async": true` in the body it runs as a background job instead and the
+ * handler answers 202 with the job id. With `"dryRun": true` it always runs
+ * inline, rolls every write back and answers with previews; the facility
+ * does not need to be registered.
+ * @param {string} label - Name used in log messages
+ * @param {string} syncType - 'facility-signups' or 'elearning-codes'
+ * @returns {Function} - Express route handler
  */
-const handleGetElearningCodes = async (req, res) => {
+const createSyncHandler = (label, syncType) => async (req, res) => {
   try {
-    console.log('Webhook received for Get E-Learning Codes:', req.body);
-    
-    // Validate environment variables
-    if (!process.env.FACILITY_ID) {
-      throw new Error('FACILITY_ID environment variable is not set');
-    }
-    if (!process.env.EXTERNAL_WEBHOOK_URL) {
-      throw new Error('EXTERNAL_WEBHOOK_URL environment variable is not set');
-    }
-    if (!process.env.DATABASE_URL) {
-      throw new Error('DATABASE_URL environment variable is not set');
-    }
-    
-    console.log('Using Facility ID:', process.env.FACILITY_ID);
-    console.log('External Webhook URL:', process.env.EXTERNAL_WEBHOOK_URL);
-    
-    // First, call the external service to get authentication
-    console.log('Calling external service for authentication...');
-    const externalResponse = await makeExternalRequest(
-      process.env.EXTERNAL_WEBHOOK_URL,
-      { 
-        function: 'authme',
-        facility_id: process.env.FACILITY_ID 
-      }
-    );
+    const facilityId = req.body && req.body.facility_id;
+    const dryRun = Boolean(req.body && req.body.dryRun === true);
+    const runAsync = Boolean(req.body && req.body.async === true) && !dryRun;
     
-    console.log('Authentication received, now calling e-learning codes API...');
-    
-    // Extract the authentication data
-    let cookies = {};
-    let xsrf = '';
+    log.info(`Webhook received for ${label}`, {
+      facility_id: facilityId,
+      dry_run: dryRun,
+      async: runAsync
+    });
     
-    if (externalResponse.response && externalResponse.response.cookies) {
-      cookies = externalResponse.response.cookies;
-      xsrf = externalResponse.response.xsrf || '';
-    } else if (externalResponse.cookies) {
-      cookies = externalResponse.cookies;
-      xsrf = externalResponse.xsrf || '';
+    if (runAsync) {
+      const job = await queueSyncJob(syncType, facilityId);
+      
+      const statusUrl = `/webhook/jobs/${job.id}`;
+      return res.status(202).location(statusUrl).json({
+        status: 'accepted',
+        job_id: job.id,
+        status_url: statusUrl
+      });
     }
     
-    // Now make the actual e-learning codes API call
-    const elearningCodesResponse = await makeElearningCodesRequest(
-      process.env.FACILITY_ID,
-      cookies,
-      xsrf
-    );
-    
-    console.log('E-learning codes API response received');
-    
-    // Insert data into PostgreSQL database
-    console.log('Inserting e-learning codes data into database...');
-    console.log('Database URL available:', !!process.env.DATABASE_URL);
-    console.log('Response structure:', Object.keys(elearningCodesResponse));
+    validateSyncEnvironment();
+    const facilities = await resolveFacilities(facilityId, { allowUnregistered: dryRun });
     
-    let dbResults = {};
+    log.info(dryRun ? 'Dry run: syncing facilities' : 'Syncing facilities', {
+      facility_ids: facilities.map((f) => f.facility_id)
+    });
     
-    try {
-      // Insert e-learning codes data
-      if (elearningCodesResponse.data && Array.isArray(elearningCodesResponse.data)) {
-        console.log(`Inserting ${elearningCodesResponse.data.length} e-learning codes into database...`);
-        console.log('First e-learning code sample:', JSON.stringify(elearningCodesResponse.data[0], null, 2));
-        const elearningResult = await insertElearningCodes(elearningCodesResponse.data);
-        dbResults.elearning_codes = elearningResult;
-        console.log('E-learning codes inserted successfully:', elearningResult.message);
-      } else {
-        console.log('No e-learning codes data found in response or data is not an array');
-        console.log('Data type:', typeof elearningCodesResponse.data);
-        console.log('Data value:', elearningCodesResponse.data);
-      }
-      
-    } catch (dbError) {
-      console.error('Database insertion error:', dbError);
-      console.error('Error stack:', dbError.stack);
-      // Continue with the response even if database insertion fails
-      dbResults.error = dbError.message;
-    }
+    const results = await syncFacilities(facilities, syncType, { trigger: 'webhook', dryRun });
+    const status = overallStatus(results);
     
-    // Return the actual response from the e-learning codes API along with database results
-    res.status(200).json({
-      status: "success",
-      response: elearningCodesResponse,
-      database: dbResults
+    // 200 whatever the outcome once the syncs ran; callers read `status` in the body
+    res.json({
+      status,
+      dryRun,
+      facilities: results
     });
     
   } catch (error) {
-    console.error('Error in webhook:', error);
-    res.status(500).json({
+    log.error('Error in webhook', { error });
+    res.status(error.statusCode || 500).json({
       status: 'error',
       error: error.message
     });
@@ -327,54 +545,54 @@ const handleGetElearningCodes = async (req, res) => {
 };
 
 /**
- * Make HTTP request to e-learning codes API
- * @param {string} facilityId - The facility ID
- * @param {Object} cookies - Authentication cookies
- * @param {string} xsrf - XSRF token
- * @returns {Promise<Object>} - The response data
+ * Handle the sync job status webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const makeElearningCodesRequest = (facilityId, cookies, xsrf) => {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'portal.tdisdi.com',
-      port: 443,
-      path: `/ajax/get_elearning_codes_by_facility?facility_uuid=${facilityId}`,
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Cookie': `ITIAuthToken=${cookies.ITIAuthToken || ''}; PORTALSESSID=${cookies.PORTALSESSID || ''}; SAMLSessionID=${cookies.SAMLSessionID || ''}; SelectedFacility=${facilityId}; XSRF-TOKEN=${xsrf || ''}; tdisdi_portal_session=${cookies.tdisdi_portal_session || ''}`,
-        'x-csrf-token': xsrf || '',
-        'x-requested-with': 'XMLHttpRequest',
-        'Referer': 'https://portal.tdisdi.com/elearning/manage-codes'
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const parsedData = JSON.parse(responseData);
-          resolve(parsedData);
-        } catch (error) {
-          resolve({ raw: responseData });
-        }
+const handleGetSyncJob = async (req, res) => {
+  try {
+    const job = await getSyncJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        error: `Sync job ${req.params.id} not found`
       });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    log.error('Error in webhook', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
     });
+  }
+};
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+/**
+ * Handle Get Facility Signups webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleGetFacilitySignups = createSyncHandler('Get Facility Signups', 'facility-signups');
 
-    req.end();
-  });
-};
+/**
+ * Handle Get E-Learning Codes webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleGetElearningCodes = createSyncHandler('Get E-Learning Codes', 'elearning-codes');
 
 module.exports = {
   handleGetFacilitySignups,
-  handleGetElearningCodes
+  handleGetElearningCodes,
+  handleGetSyncJob,
+  queueSyncJob,
+  resumeSyncJobs,
+  validateSyncEnvironment,
+  storeFacilitySignups,
+  storeElearningCodes,
+  syncFacilitySignups,
+  syncElearningCodes,
+  syncFacilities,
+  SYNC_TYPES
 };
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS identity_links;
+
+ALTER TABLE get_facility_signups
+  ALTER COLUMN meta_data TYPE text USING meta_data::text,
+  ALTER COLUMN external_ids TYPE text USING external_ids::text;
@@ -0,0 +1,44 @@
+-- meta_data and external_ids hold JSON sent by the portal as encoded strings.
+-- Store them as jsonb. Values that are not valid JSON become NULL, and values
+-- that were encoded twice are unwrapped.
+CREATE FUNCTION pg_temp.parse_portal_json(value text) RETURNS jsonb AS $$
+DECLARE
+  parsed jsonb;
+BEGIN
+  parsed := value::jsonb;
+  IF jsonb_typeof(parsed) = 'string' THEN
+    parsed := (parsed #>> '{}')::jsonb;
+  END IF;
+  RETURN parsed;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE get_facility_signups
+  ALTER COLUMN meta_data TYPE jsonb USING pg_temp.parse_portal_json(meta_data),
+  ALTER COLUMN external_ids TYPE jsonb USING pg_temp.parse_portal_json(external_ids);
+
+-- One row per user per external system, taken from external_ids
+-- ("moodle_1": 136900 is system 'moodle_1', external_id '136900').
+-- Rewritten for every user written by a signups sync.
+CREATE TABLE identity_links (
+  id bigserial PRIMARY KEY,
+  user_id integer NOT NULL,
+  system text NOT NULL,
+  external_id text NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, system)
+);
+
+CREATE INDEX identity_links_system_external_id_idx ON identity_links (system, external_id);
+
+INSERT INTO identity_links (user_id, system, external_id)
+SELECT s.user_id, regexp_replace(e.key, '_id$', ''), e.value #>> '{}'
+FROM get_facility_signups s
+CROSS JOIN LATERAL jsonb_each(s.external_ids) AS e
+WHERE jsonb_typeof(s.external_ids) = 'object'
+  AND jsonb_typeof(e.value) IN ('number', 'string')
+  AND e.value #>> '{}' <> '';
+
+DROP FUNCTION pg_temp.parse_portal_json(text);
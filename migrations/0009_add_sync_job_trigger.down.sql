@@ -0,0 +1,2 @@
+ALTER TABLE sync_jobs DROP COLUMN IF EXISTS requested_by;
+ALTER TABLE sync_jobs DROP COLUMN IF EXISTS trigger;
@@ -0,0 +1,3 @@
+-- Who started a sync job: the webhook, or a signed-in dashboard user
+ALTER TABLE sync_jobs ADD COLUMN trigger text NOT NULL DEFAULT 'webhook';
+ALTER TABLE sync_jobs ADD COLUMN requested_by text;
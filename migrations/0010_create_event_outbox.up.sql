@@ -0,0 +1,45 @@
+-- Outbound events, written by functions/events.js in the same transaction as
+-- the rows they describe and sent by functions/eventDelivery.js
+CREATE TABLE outbox_events (
+  id bigserial PRIMARY KEY,
+  event_id uuid NOT NULL UNIQUE,
+  event_type text NOT NULL,
+  facility_id text,
+  data jsonb NOT NULL,
+  sync_run_id bigint,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX outbox_events_type_idx ON outbox_events (event_type, created_at);
+
+-- One row per event and subscriber; the pending rows are the outbox queue
+CREATE TABLE event_deliveries (
+  id bigserial PRIMARY KEY,
+  event_id uuid NOT NULL REFERENCES outbox_events (event_id) ON DELETE CASCADE,
+  subscriber_id text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (event_id, subscriber_id)
+);
+
+CREATE INDEX event_deliveries_due_idx ON event_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX event_deliveries_subscriber_idx ON event_deliveries (subscriber_id, status);
+
+-- Every delivery attempt and its outcome
+CREATE TABLE event_delivery_log (
+  id bigserial PRIMARY KEY,
+  delivery_id bigint NOT NULL REFERENCES event_deliveries (id) ON DELETE CASCADE,
+  attempt integer NOT NULL,
+  status_code integer,
+  error text,
+  duration_ms integer,
+  attempted_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX event_delivery_log_delivery_id_idx ON event_delivery_log (delivery_id, attempt);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS get_elearning_codes;
+DROP TABLE IF EXISTS course_info;
+DROP TABLE IF EXISTS get_facility_signups;
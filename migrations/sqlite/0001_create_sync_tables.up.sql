@@ -0,0 +1,96 @@
+-- Tables written by functions/database.js, for the SQLite backend.
+-- Column types keep their Postgres names: the backend reads timestamptz,
+-- date, jsonb and boolean columns back by their declared type. Timestamps
+-- are stored as ISO 8601 UTC text and jsonb as JSON text.
+-- meta_data and external_ids are jsonb from the start (see the Postgres
+-- 0008_create_identity_links).
+
+CREATE TABLE IF NOT EXISTS get_facility_signups (
+  user_id integer PRIMARY KEY,
+  id integer,
+  facility_id integer,
+  user_uuid text,
+  username text,
+  name text,
+  email text,
+  email_verified_at timestamptz,
+  password text,
+  remember_token text,
+  created_at timestamptz,
+  updated_at timestamptz,
+  created_user_id integer,
+  updated_user_id integer,
+  instance_id integer,
+  prefix_id integer,
+  first_name text,
+  middle_name text,
+  last_name text,
+  suffix_id integer,
+  gender integer,
+  member_number text,
+  region_id integer,
+  login_count integer,
+  login_stamp timestamptz,
+  status_id integer,
+  user_level_id integer,
+  admin_level_id integer,
+  dob date,
+  meta_data jsonb,
+  external_ids jsonb,
+  biometric_key text,
+  biometric_expiration timestamptz,
+  reward_program text,
+  member_added_date timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS get_facility_signups_facility_id_idx
+  ON get_facility_signups (facility_id);
+CREATE INDEX IF NOT EXISTS get_facility_signups_created_at_idx
+  ON get_facility_signups (created_at);
+
+CREATE TABLE IF NOT EXISTS course_info (
+  course_id integer PRIMARY KEY,
+  agency text,
+  agency_id integer,
+  label text
+);
+
+CREATE TABLE IF NOT EXISTS get_elearning_codes (
+  id integer PRIMARY KEY,
+  user_id integer,
+  course_id integer,
+  user_name text,
+  first_name text,
+  middle_name text,
+  last_name text,
+  dob date,
+  email text,
+  facility_id integer,
+  facility_name text,
+  facility_number text,
+  office_id integer,
+  agency_id integer,
+  agency text,
+  course_name text,
+  course_meta text,
+  moodle_id integer,
+  instance_id integer,
+  prefix_id integer,
+  suffix_id integer,
+  status_id integer,
+  status_label text,
+  signup_code text,
+  signup_date timestamptz,
+  help_date timestamptz,
+  created_at timestamptz,
+  updated_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS get_elearning_codes_facility_id_idx
+  ON get_elearning_codes (facility_id);
+CREATE INDEX IF NOT EXISTS get_elearning_codes_status_id_idx
+  ON get_elearning_codes (status_id);
+CREATE INDEX IF NOT EXISTS get_elearning_codes_course_id_idx
+  ON get_elearning_codes (course_id);
+CREATE INDEX IF NOT EXISTS get_elearning_codes_signup_date_idx
+  ON get_elearning_codes (signup_date);
@@ -0,0 +1,7 @@
+-- Registry of portal facilities synced by the webhooks
+CREATE TABLE facilities (
+  facility_id text PRIMARY KEY,
+  name text,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
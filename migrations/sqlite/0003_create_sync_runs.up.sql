@@ -0,0 +1,19 @@
+-- One row per facility per sync run, written by functions/syncRuns.js
+CREATE TABLE sync_runs (
+  id integer PRIMARY KEY AUTOINCREMENT,
+  sync_type text NOT NULL,
+  trigger text NOT NULL,
+  facility_id text,
+  status text NOT NULL DEFAULT 'running',
+  started_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  finished_at timestamptz,
+  duration_ms integer,
+  rows_fetched integer,
+  rows_inserted integer,
+  rows_updated integer,
+  rows_failed integer,
+  error text
+);
+
+CREATE INDEX sync_runs_started_at_idx ON sync_runs (started_at);
+CREATE INDEX sync_runs_facility_id_idx ON sync_runs (facility_id, started_at);
@@ -0,0 +1,8 @@
+ALTER TABLE sync_runs DROP COLUMN rows_removed;
+ALTER TABLE sync_runs DROP COLUMN rows_unchanged;
+
+DROP INDEX IF EXISTS get_elearning_codes_active_facility_idx;
+DROP INDEX IF EXISTS get_facility_signups_active_facility_idx;
+
+ALTER TABLE get_elearning_codes DROP COLUMN removed_at;
+ALTER TABLE get_facility_signups DROP COLUMN removed_at;
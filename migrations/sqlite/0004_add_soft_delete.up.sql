@@ -0,0 +1,12 @@
+-- Rows missing from the latest full sync of their facility are marked
+-- removed instead of deleted, and restored when they reappear.
+ALTER TABLE get_facility_signups ADD COLUMN removed_at timestamptz;
+ALTER TABLE get_elearning_codes ADD COLUMN removed_at timestamptz;
+
+CREATE INDEX get_facility_signups_active_facility_idx
+  ON get_facility_signups (facility_id) WHERE removed_at IS NULL;
+CREATE INDEX get_elearning_codes_active_facility_idx
+  ON get_elearning_codes (facility_id) WHERE removed_at IS NULL;
+
+ALTER TABLE sync_runs ADD COLUMN rows_unchanged integer;
+ALTER TABLE sync_runs ADD COLUMN rows_removed integer;
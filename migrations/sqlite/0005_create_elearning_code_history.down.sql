@@ -0,0 +1 @@
+DROP TABLE IF EXISTS elearning_code_history;
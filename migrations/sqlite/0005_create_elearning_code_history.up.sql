@@ -0,0 +1,14 @@
+-- Changes to tracked e-learning code fields, one row per field per change.
+-- Written by the e-learning codes upsert in the same statement as the change.
+CREATE TABLE elearning_code_history (
+  id integer PRIMARY KEY AUTOINCREMENT,
+  code_id integer NOT NULL,
+  field text NOT NULL,
+  old_value text,
+  new_value text,
+  seen_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  sync_run_id bigint
+);
+
+CREATE INDEX elearning_code_history_code_id_idx ON elearning_code_history (code_id, seen_at);
+CREATE INDEX elearning_code_history_seen_at_idx ON elearning_code_history (seen_at);
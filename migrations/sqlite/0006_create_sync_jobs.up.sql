@@ -0,0 +1,18 @@
+-- Webhook syncs run in the background, written by functions/syncJobs.js.
+-- A job covers every facility of one webhook call; its per-facility runs
+-- are in sync_runs.
+CREATE TABLE sync_jobs (
+  id integer PRIMARY KEY AUTOINCREMENT,
+  sync_type text NOT NULL,
+  facility_id text,
+  status text NOT NULL DEFAULT 'queued',
+  progress jsonb NOT NULL DEFAULT '{}',
+  result jsonb,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  started_at timestamptz,
+  finished_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX sync_jobs_status_idx ON sync_jobs (status, created_at);
@@ -0,0 +1,21 @@
+-- Portal records that could not be written, kept for inspection and replay.
+-- Written by the insert functions in functions/database.js; payloads are
+-- stored after the field policy, so credential fields are never kept in clear.
+CREATE TABLE dead_letters (
+  id integer PRIMARY KEY AUTOINCREMENT,
+  record_type text NOT NULL,
+  record_key text,
+  facility_id text,
+  stage text NOT NULL,
+  error text NOT NULL,
+  payload jsonb NOT NULL,
+  sync_run_id bigint,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  last_attempt_at timestamptz,
+  resolved_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX dead_letters_status_idx ON dead_letters (status, created_at);
+CREATE INDEX dead_letters_sync_run_id_idx ON dead_letters (sync_run_id);
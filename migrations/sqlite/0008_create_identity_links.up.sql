@@ -0,0 +1,13 @@
+-- One row per user per external system, taken from external_ids
+-- ("moodle_1": 136900 is system 'moodle_1', external_id '136900').
+-- Rewritten for every user written by a signups sync.
+CREATE TABLE identity_links (
+  id integer PRIMARY KEY AUTOINCREMENT,
+  user_id integer NOT NULL,
+  system text NOT NULL,
+  external_id text NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (user_id, system)
+);
+
+CREATE INDEX identity_links_system_external_id_idx ON identity_links (system, external_id);
@@ -0,0 +1,2 @@
+ALTER TABLE sync_jobs DROP COLUMN requested_by;
+ALTER TABLE sync_jobs DROP COLUMN trigger;
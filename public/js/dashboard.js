@@ -0,0 +1,377 @@
+/**
+ * Operations dashboard
+ *
+ * Everything is rendered with textContent: portal data never becomes HTML.
+ */
+(() => {
+  // Overview refresh interval while a sync job is queued or running
+  const POLL_INTERVAL_MS = 5000;
+  const PAGE_SIZE = 50;
+
+  const RECORD_COLUMNS = {
+    signups: ['user_id', 'facility_id', 'first_name', 'last_name', 'email', 'member_number', 'status_id', 'created_at'],
+    'elearning-codes': ['id', 'facility_id', 'first_name', 'last_name', 'email', 'course_name', 'status_label', 'signup_code', 'signup_date']
+  };
+
+  const state = {
+    csrfToken: null,
+    tab: 'signups',
+    cursor: null,
+    nextCursor: null,
+    pollTimer: null
+  };
+
+  /**
+   * Create an element with text content and classes
+   * @param {string} tag - Tag name
+   * @param {string} [text] - Text content
+   * @param {string} [className] - Classes
+   * @returns {HTMLElement} - The element
+   */
+  const el = (tag, text, className) => {
+    const node = document.createElement(tag);
+    if (text !== undefined && text !== null) {
+      node.textContent = String(text);
+    }
+    if (className) {
+      node.className = className;
+    }
+    return node;
+  };
+
+  /**
+   * Format a timestamp for display
+   * @param {string} [value] - ISO timestamp
+   * @returns {string} - Local date and time, or an empty string
+   */
+  const formatTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+  /**
+   * Show or hide the error banner
+   * @param {string} [message] - Error message, or nothing to hide the banner
+   */
+  const showError = (message) => {
+    const banner = document.getElementById('error');
+    banner.textContent = message || '';
+    banner.classList.toggle('d-none', !message);
+  };
+
+  /**
+   * Call a dashboard API endpoint
+   * @param {string} path - Path below /dashboard/api
+   * @param {Object} [options] - { method, body }
+   * @returns {Promise<Object>} - Parsed JSON response
+   */
+  const api = async (path, { method = 'GET', body } = {}) => {
+    const headers = { Accept: 'application/json' };
+    if (method !== 'GET') {
+      headers['Content-Type'] = 'application/json';
+      headers['X-CSRF-Token'] = state.csrfToken;
+    }
+    const response = await fetch(`/dashboard/api${path}`, {
+      method,
+      headers,
+      credentials: 'same-origin',
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (response.status === 401) {
+      window.location.href = '/login';
+      throw new Error('Session expired');
+    }
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  };
+
+  /**
+   * Badge for a run or job status
+   * @param {string} status - Status
+   * @returns {HTMLElement} - Badge element
+   */
+  const statusBadge = (status) => {
+    const colors = {
+      success: 'success',
+      partial: 'warning',
+      error: 'danger',
+      interrupted: 'danger',
+      running: 'info',
+      queued: 'secondary'
+    };
+    return el('span', status, `badge badge-${colors[status] || 'light'}`);
+  };
+
+  /**
+   * Describe the last run of one sync type
+   * @param {Object} [run] - Last run from the overview
+   * @returns {HTMLElement} - Table cell
+   */
+  const runCell = (run) => {
+    const cell = el('td', null, 'nowrap');
+    if (!run) {
+      cell.textContent = 'never';
+      return cell;
+    }
+    cell.appendChild(statusBadge(run.status));
+    cell.appendChild(document.createTextNode(` ${formatTime(run.finished_at || run.started_at)}`));
+    const details = [];
+    if (run.rows_fetched !== null) {
+      details.push(`${run.rows_fetched} rows`);
+    }
+    if (run.rows_failed) {
+      details.push(`${run.rows_failed} failed`);
+    }
+    if (details.length > 0) {
+      cell.appendChild(el('div', details.join(', '), 'small text-muted'));
+    }
+    if (run.error) {
+      cell.appendChild(el('div', run.error, 'small text-danger'));
+    }
+    return cell;
+  };
+
+  /**
+   * Start a sync job and refresh the overview
+   * @param {string} type - 'facility-signups' or 'elearning-codes'
+   * @param {string} [facilityId] - Facility, or all when omitted
+   */
+  const startSync = async (type, facilityId) => {
+    try {
+      const body = facilityId ? { facility_id: facilityId } : {};
+      await api(`/sync/${type}`, { method: 'POST', body });
+      showError();
+      await loadOverview();
+    } catch (error) {
+      showError(`Could not start the sync: ${error.message}`);
+    }
+  };
+
+  /**
+   * Render the row counts
+   * @param {Object} counts - table -> { active, removed }
+   */
+  const renderCounts = (counts) => {
+    const labels = {
+      get_facility_signups: ['Students', 'removed'],
+      get_elearning_codes: ['E-learning codes', 'removed'],
+      course_info: ['Courses', null],
+      identity_links: ['Identity links', null],
+      dead_letters: ['Pending dead letters', 'resolved']
+    };
+    const container = document.getElementById('counts');
+    container.replaceChildren();
+    for (const [table, [label, secondary]] of Object.entries(labels)) {
+      const count = counts[table] || { active: 0, removed: 0 };
+      const box = el('div', null, 'count');
+      box.appendChild(el('div', label, 'small text-muted'));
+      box.appendChild(el('div', count.active, 'value'));
+      if (secondary) {
+        box.appendChild(el('div', `${count.removed} ${secondary}`, 'small text-muted'));
+      }
+      container.appendChild(box);
+    }
+  };
+
+  /**
+   * Render the facilities table and the facility filter
+   * @param {Array<Object>} facilities - Facilities with last_runs
+   */
+  const renderFacilities = (facilities) => {
+    const body = document.getElementById('facilities');
+    body.replaceChildren();
+    for (const facility of facilities) {
+      const row = el('tr');
+      row.appendChild(el('td', facility.facility_id));
+      row.appendChild(el('td', facility.name || ''));
+      row.appendChild(runCell(facility.last_runs['facility-signups']));
+      row.appendChild(runCell(facility.last_runs['elearning-codes']));
+      const actions = el('td', null, 'nowrap');
+      for (const [type, label] of [['facility-signups', 'Sync signups'], ['elearning-codes', 'Sync codes']]) {
+        const button = el('button', label, 'btn btn-outline-primary btn-sm mr-1');
+        button.addEventListener('click', () => startSync(type, facility.facility_id));
+        actions.appendChild(button);
+      }
+      row.appendChild(actions);
+      body.appendChild(row);
+    }
+
+    const select = document.querySelector('#search select[name="facility_id"]');
+    const selected = select.value;
+    select.replaceChildren(el('option', 'All facilities'));
+    select.firstChild.value = '';
+    for (const facility of facilities) {
+      const option = el('option', facility.name ? `${facility.facility_id} - ${facility.name}` : facility.facility_id);
+      option.value = facility.facility_id;
+      select.appendChild(option);
+    }
+    select.value = selected;
+  };
+
+  /**
+   * Render the recent jobs
+   * @param {Array<Object>} jobs - Recent sync jobs
+   * @returns {boolean} - True when a job is still queued or running
+   */
+  const renderJobs = (jobs) => {
+    const body = document.getElementById('jobs');
+    body.replaceChildren();
+    let active = false;
+    for (const job of jobs) {
+      active = active || job.status === 'queued' || job.status === 'running';
+      const progress = job.progress && job.progress.facilities_total
+        ? `${job.progress.facilities_done}/${job.progress.facilities_total} facilities`
+        : '';
+      const row = el('tr');
+      row.appendChild(el('td', job.id));
+      row.appendChild(el('td', job.sync_type));
+      row.appendChild(el('td', job.facility_id || 'all'));
+      row.appendChild(el('td', job.requested_by || job.trigger));
+      const status = el('td');
+      status.appendChild(statusBadge(job.status));
+      if (job.error) {
+        status.appendChild(el('div', job.error, 'small text-danger'));
+      }
+      row.appendChild(status);
+      row.appendChild(el('td', progress));
+      row.appendChild(el('td', formatTime(job.created_at), 'nowrap'));
+      body.appendChild(row);
+    }
+    return active;
+  };
+
+  /**
+   * Render a list of recent problems
+   * @param {string} id - List element id
+   * @param {Array<Object>} items - Items
+   * @param {Function} describe - item -> [title, detail]
+   */
+  const renderList = (id, items, describe) => {
+    const list = document.getElementById(id);
+    list.replaceChildren();
+    if (items.length === 0) {
+      list.appendChild(el('li', 'None', 'list-group-item text-muted'));
+      return;
+    }
+    for (const item of items) {
+      const [title, detail] = describe(item);
+      const entry = el('li', null, 'list-group-item');
+      entry.appendChild(el('div', title, 'small text-muted'));
+      entry.appendChild(el('div', detail));
+      list.appendChild(entry);
+    }
+  };
+
+  /**
+   * Load and render the overview; keeps polling while jobs are active
+   */
+  const loadOverview = async () => {
+    clearTimeout(state.pollTimer);
+    try {
+      const overview = await api('/overview');
+      renderCounts(overview.counts);
+      renderFacilities(overview.facilities);
+      renderList('recent-errors', overview.recent_errors, (run) => [
+        `${formatTime(run.started_at)} - facility ${run.facility_id} - ${run.sync_type} - ${run.status}`,
+        run.error || `${run.rows_failed || 0} rows failed`
+      ]);
+      renderList('dead-letters', overview.dead_letters, (letter) => [
+        `${formatTime(letter.created_at)} - ${letter.record_type} ${letter.record_key || ''} - ${letter.stage}`,
+        letter.error
+      ]);
+      if (renderJobs(overview.jobs)) {
+        state.pollTimer = setTimeout(loadOverview, POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      showError(`Could not load the overview: ${error.message}`);
+    }
+  };
+
+  /**
+   * Load and render a page of students or codes
+   */
+  const loadRecords = async () => {
+    const form = document.getElementById('search');
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    for (const name of ['q', 'facility_id']) {
+      if (form.elements[name].value) {
+        params.set(name, form.elements[name].value);
+      }
+    }
+    if (state.cursor) {
+      params.set('cursor', state.cursor);
+    }
+
+    try {
+      const result = await api(`/${state.tab}?${params}`);
+      const columns = RECORD_COLUMNS[state.tab];
+      const head = document.getElementById('records-head');
+      const headRow = el('tr');
+      columns.forEach((column) => headRow.appendChild(el('th', column)));
+      head.replaceChildren(headRow);
+
+      const body = document.getElementById('records');
+      body.replaceChildren();
+      for (const record of result.data) {
+        const row = el('tr');
+        for (const column of columns) {
+          const value = record[column];
+          row.appendChild(el('td', /_at$/.test(column) ? formatTime(value) : value));
+        }
+        body.appendChild(row);
+      }
+      if (result.data.length === 0) {
+        const row = el('tr');
+        const cell = el('td', 'No matching records', 'text-muted');
+        cell.colSpan = columns.length;
+        row.appendChild(cell);
+        body.appendChild(row);
+      }
+
+      state.nextCursor = result.next_cursor;
+      document.getElementById('next-page').disabled = !result.next_cursor;
+      document.getElementById('first-page').disabled = !state.cursor;
+    } catch (error) {
+      showError(`Could not load records: ${error.message}`);
+    }
+  };
+
+  const init = async () => {
+    const session = await api('/session');
+    state.csrfToken = session.csrf_token;
+    document.getElementById('username').textContent = session.username;
+
+    document.querySelectorAll('[data-sync]').forEach((button) => {
+      button.addEventListener('click', () => startSync(button.dataset.sync));
+    });
+
+    document.querySelectorAll('[data-tab]').forEach((link) => {
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        document.querySelectorAll('[data-tab]').forEach((other) => other.classList.toggle('active', other === link));
+        state.tab = link.dataset.tab;
+        state.cursor = null;
+        loadRecords();
+      });
+    });
+
+    document.getElementById('search').addEventListener('submit', (event) => {
+      event.preventDefault();
+      state.cursor = null;
+      loadRecords();
+    });
+    document.getElementById('next-page').addEventListener('click', () => {
+      state.cursor = state.nextCursor;
+      loadRecords();
+    });
+    document.getElementById('first-page').addEventListener('click', () => {
+      state.cursor = null;
+      loadRecords();
+    });
+
+    await loadOverview();
+    await loadRecords();
+  };
+
+  init().catch((error) => showError(error.message));
+})();
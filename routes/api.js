@@ -0,0 +1,210 @@
+const express = require('express');
+const { requireApiToken } = require('../functions/apiAuth');
+const {
+  QueryError,
+  listSignups,
+  listCourses,
+  listElearningCodes,
+  listElearningCodeHistory,
+  getElearningCodeTimeline,
+  listSyncRuns,
+  listIdentityLinks,
+  findUsersByExternalId,
+  listDeadLetters,
+  listEvents,
+  listEventDeliveries,
+  getEventDeliveryLog
+} = require('../functions/queries');
+const { getSyncRun } = require('../functions/syncRuns');
+const { handleExport } = require('../functions/dataExport');
+const {
+  reportEnrollments,
+  reportStatusFunnel,
+  reportUnredeemedCodes,
+  reportSignupsPerMonth
+} = require('../functions/reports');
+const {
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters
+} = require('../functions/deadLetters');
+const { retryEventDeliveries } = require('../functions/eventDelivery');
+const { createLogger } = require('../functions/logger');
+
+const router = express.Router();
+const log = createLogger('api');
+
+router.use(requireApiToken);
+
+/**
+ * Wrap a list function into a JSON route handler
+ * @param {Function} listFn - Query function taking req.query
+ * @returns {Function} - Express route handler
+ */
+const listHandler = (listFn) => async (req, res) => {
+  try {
+    const result = await listFn(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    log.error('Error in API query', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+};
+
+// Facility signups (credential fields are never returned)
+router.get('/signups', listHandler(listSignups));
+
+// Users by external id, e.g. ?system=moodle&external_id=136900
+router.get('/signups/lookup', listHandler(findUsersByExternalId));
+
+// External system ids of users
+router.get('/identity-links', listHandler(listIdentityLinks));
+
+// Course catalog
+router.get('/courses', listHandler(listCourses));
+
+// E-learning codes
+router.get('/elearning-codes', listHandler(listElearningCodes));
+
+// E-learning code status changes, across codes and per code
+router.get('/elearning-codes/history', listHandler(listElearningCodeHistory));
+
+router.get('/elearning-codes/:id/history', (req, res) => {
+  return listHandler((query) => getElearningCodeTimeline(req.params.id, query))(req, res);
+});
+
+// Reports
+router.get('/reports/enrollments', listHandler(reportEnrollments));
+router.get('/reports/status-funnel', listHandler(reportStatusFunnel));
+router.get('/reports/unredeemed-codes', listHandler(reportUnredeemedCodes));
+router.get('/reports/signups-per-month', listHandler(reportSignupsPerMonth));
+
+// CSV / XLSX downloads of signups, courses and e-learning codes
+router.get('/exports/:name', handleExport);
+
+// Sync run history
+router.get('/sync-runs', listHandler(listSyncRuns));
+
+router.get('/sync-runs/:id', async (req, res) => {
+  try {
+    const run = await getSyncRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        status: 'error',
+        error: `Sync run ${req.params.id} not found`
+      });
+    }
+    res.status(200).json(run);
+  } catch (error) {
+    log.error('Error in API query', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Records that could not be written, and their replay
+router.get('/dead-letters', listHandler(listDeadLetters));
+
+router.post('/dead-letters/replay', async (req, res) => {
+  try {
+    const result = await replayDeadLetters(req.body || {});
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    log.error('Error replaying dead letters', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+});
+
+router.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const letter = await getDeadLetter(req.params.id);
+    if (!letter) {
+      return res.status(404).json({
+        status: 'error',
+        error: `Dead letter ${req.params.id} not found`
+      });
+    }
+    res.status(200).json(letter);
+  } catch (error) {
+    log.error('Error in API query', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+});
+
+router.post('/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const result = await replayDeadLetter(req.params.id, { payload: (req.body || {}).payload });
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        error: `Dead letter ${req.params.id} not found`
+      });
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    log.error('Error replaying dead letter', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Outbound events, their deliveries to subscribers and every attempt
+router.get('/events', listHandler(listEvents));
+
+router.get('/event-deliveries', listHandler(listEventDeliveries));
+
+router.get('/event-deliveries/:id/log', (req, res) => {
+  return listHandler((query) => getEventDeliveryLog(req.params.id, query))(req, res);
+});
+
+router.post('/event-deliveries/retry', async (req, res) => {
+  try {
+    const result = await retryEventDeliveries(req.body || {});
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    log.error('Error retrying event deliveries', { error });
+    res.status(500).json({
+      status: 'error',
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
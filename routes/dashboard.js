@@ -0,0 +1,118 @@
+const express = require('express');
+const { requireDashboardSession } = require('../functions/dashboardAuth');
+const { getDashboardOverview } = require('../functions/dashboard');
+const { QueryError, listSignups, listElearningCodes } = require('../functions/queries');
+const { queueSyncJob, SYNC_TYPES } = require('../functions/webhooks');
+const { getSyncJob } = require('../functions/syncJobs');
+const { createLogger } = require('../functions/logger');
+
+const router = express.Router();
+const log = createLogger('dashboard');
+
+router.use(requireDashboardSession);
+
+// Personal data: never cached by the browser or a proxy
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+/**
+ * Send an error response; QueryError and errors with a statusCode keep their status
+ * @param {Object} res - Express response
+ * @param {Error} error - The error
+ */
+const sendError = (res, error) => {
+  if (error instanceof QueryError || error.statusCode) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+  log.error('Error in dashboard', { error });
+  res.status(500).json({
+    status: 'error',
+    error: 'Internal server error'
+  });
+};
+
+// Signed-in user and the CSRF token to send with changes
+router.get('/session', (req, res) => {
+  const { username, expires, csrf } = req.dashboardSession;
+  res.status(200).json({ username, expires_at: new Date(expires).toISOString(), csrf_token: csrf });
+});
+
+router.get('/overview', async (req, res) => {
+  try {
+    res.status(200).json(await getDashboardOverview());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/signups', async (req, res) => {
+  try {
+    res.status(200).json(await listSignups(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/elearning-codes', async (req, res) => {
+  try {
+    res.status(200).json(await listElearningCodes(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Start a sync job for one facility (body.facility_id) or all of them
+router.post('/sync/:type', async (req, res) => {
+  if (!SYNC_TYPES[req.params.type]) {
+    return res.status(404).json({
+      status: 'error',
+      error: `Unknown sync type: ${req.params.type}`
+    });
+  }
+
+  try {
+    const facilityId = req.body && req.body.facility_id;
+    const job = await queueSyncJob(req.params.type, facilityId, {
+      trigger: 'dashboard',
+      requestedBy: req.dashboardSession.username
+    });
+    log.info('Sync job started from the dashboard', {
+      dashboard_user: req.dashboardSession.username,
+      job_id: job.id,
+      sync_type: req.params.type
+    });
+    res.status(202).json({
+      status: 'accepted',
+      job_id: job.id
+    });
+  } catch (error) {
+    // Configuration and facility errors are shown to the user, as for the webhooks
+    log.error('Error starting sync from the dashboard', { error });
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getSyncJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        error: `Sync job ${req.params.id} not found`
+      });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
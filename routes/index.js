@@ -1,10 +1,34 @@
 const express = require('express');
 const path = require('path');
+const {
+  getSession,
+  logIn,
+  logOut,
+  requireDashboardPage
+} = require('../functions/dashboardAuth');
 const router = express.Router();
 
-// Serve the index.html file for the root route
-router.get('/', (req, res) => {
+// Serve the operations dashboard for the root route (login required)
+router.get('/', requireDashboardPage, (req, res) => {
+  res.set('Cache-Control', 'no-store');
   res.sendFile(path.join(__dirname, '../views/index.html'));
 });
 
+router.get('/login', (req, res) => {
+  if (getSession(req)) {
+    return res.redirect('/');
+  }
+  res.sendFile(path.join(__dirname, '../views/login.html'));
+});
+
+router.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+  const error = logIn(req, res);
+  res.redirect(error ? `/login?error=${error}` : '/');
+});
+
+router.post('/logout', (req, res) => {
+  logOut(req, res);
+  res.redirect('/login');
+});
+
 module.exports = router;
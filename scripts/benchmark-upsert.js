@@ -0,0 +1,146 @@
+/**
+ * Benchmark the bulk upserts with sampleresponse.json at scale
+ *
+ * Copies the sample users (and e-learning codes derived from them) `scale`
+ * times under synthetic ids, then times an insert pass and an update pass.
+ * Synthetic rows use ids from 1,000,000,000 up and are deleted afterwards
+ * unless --keep is given. Run it against a scratch database.
+ *
+ * Usage:
+ *   node scripts/benchmark-upsert.js [--scale 50] [--keep]
+ */
+require('dotenv').config();
+const path = require('path');
+const {
+  storage,
+  insertFacilitySignups,
+  insertCourseInfo,
+  insertElearningCodes,
+  closePool
+} = require('../functions/database');
+
+const ID_BASE = 1000000000;
+const ID_STRIDE = 1000000;
+const MAX_SCALE = 1100; // keeps synthetic ids inside the integer range
+
+/**
+ * Read a numeric command line option
+ * @param {string} name - Option name without dashes
+ * @param {number} fallback - Default value
+ * @returns {number} - Option value
+ */
+const getOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) {
+    return fallback;
+  }
+  const value = parseInt(process.argv[index + 1], 10);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return value;
+};
+
+/**
+ * Build the scaled users and e-learning codes
+ * @param {Object} sample - Parsed sampleresponse.json
+ * @param {number} scale - Number of copies
+ * @returns {Object} - { users, codes }
+ */
+const buildDataset = (sample, scale) => {
+  const courses = Object.values(sample.courses).flat();
+  const users = [];
+  const codes = [];
+
+  for (let copy = 0; copy < scale; copy++) {
+    for (const user of sample.data) {
+      const userId = ID_BASE + copy * ID_STRIDE + (user.user_id % ID_STRIDE);
+      users.push({ ...user, user_id: userId, id: userId, user_uuid: `${user.user_uuid}-${copy}` });
+
+      const course = courses[userId % courses.length];
+      codes.push({
+        id: userId,
+        user_id: userId,
+        course_id: course.course_id,
+        user_name: user.username,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        dob: user.dob,
+        email: user.email,
+        facility_id: user.facility_id,
+        agency_id: course.agency_id,
+        agency: course.agency,
+        course_name: course.label,
+        status_id: 1,
+        status_label: 'Issued',
+        signup_code: `BENCH-${userId}`,
+        created_at: user.created_at,
+        updated_at: user.updated_at
+      });
+    }
+  }
+
+  return { users, codes };
+};
+
+/**
+ * Time an async function
+ * @param {string} label - Label for the output
+ * @param {number} rows - Rows processed (for rows/second)
+ * @param {Function} fn - Function to time
+ * @returns {Promise<string>} - Result line
+ */
+const timed = async (label, rows, fn) => {
+  const start = process.hrtime.bigint();
+  await fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return `${label}: ${rows} rows in ${ms.toFixed(0)}ms (${Math.round(rows / (ms / 1000))} rows/s)`;
+};
+
+const main = async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is not set');
+  }
+
+  const scale = getOption('scale', 50);
+  if (scale > MAX_SCALE) {
+    throw new Error(`--scale must be at most ${MAX_SCALE}`);
+  }
+  const keep = process.argv.includes('--keep');
+
+  const sample = require(path.join(__dirname, '../sampleresponse.json'));
+  const { users, codes } = buildDataset(sample, scale);
+  console.log(`Benchmarking with ${users.length} users and ${codes.length} e-learning codes (scale ${scale})`);
+
+  const results = [];
+  const timedStep = async (label, rows, fn) => {
+    results.push(await timed(label, rows, fn));
+  };
+
+  try {
+    await timedStep('courses', Object.values(sample.courses).flat().length, () => insertCourseInfo(sample.courses));
+    await timedStep('signups insert', users.length, () => insertFacilitySignups(users));
+    await timedStep('signups update', users.length, () => insertFacilitySignups(users));
+    await timedStep('e-learning codes insert', codes.length, () => insertElearningCodes(codes));
+    await timedStep('e-learning codes update', codes.length, () => insertElearningCodes(codes));
+  } finally {
+    if (!keep) {
+      await storage.query('DELETE FROM get_elearning_codes WHERE id >= $1', [ID_BASE]);
+      await storage.query('DELETE FROM get_facility_signups WHERE user_id >= $1', [ID_BASE]);
+    }
+  }
+
+  console.log('\nResults:');
+  results.forEach((line) => console.log(`  ${line}`));
+  if (!keep) {
+    console.log('Synthetic rows removed');
+  }
+};
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error(error.message);
+    await closePool();
+    process.exit(1);
+  });
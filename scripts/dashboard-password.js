@@ -0,0 +1,33 @@
+/**
+ * Print a DASHBOARD_USERS entry for a dashboard user
+ *
+ * Usage:
+ *   node scripts/dashboard-password.js <username>
+ *
+ * The password is read from standard input, so it stays out of the shell
+ * history: echo -n 'secret' | npm run dashboard:password -- alice
+ */
+const { hashPassword } = require('../functions/dashboardAuth');
+
+const main = async () => {
+  const [username] = process.argv.slice(2);
+  if (!username || /[:,]/.test(username)) {
+    throw new Error('Usage: dashboard-password <username> (no ":" or ",")');
+  }
+
+  let password = '';
+  for await (const chunk of process.stdin) {
+    password += chunk;
+  }
+  password = password.replace(/\r?\n$/, '');
+  if (!password) {
+    throw new Error('No password on standard input');
+  }
+
+  console.log(`${username}:${hashPassword(password)}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Manage the facilities registry
+ *
+ * Usage:
+ *   node scripts/facilities.js list
+ *   node scripts/facilities.js add <facility_id> [name]
+ *   node scripts/facilities.js remove <facility_id>
+ */
+require('dotenv').config();
+const { listFacilities, upsertFacility, deactivateFacility } = require('../functions/facilities');
+const { closePool } = require('../functions/database');
+
+const main = async () => {
+  const [command = 'list', facilityId, ...nameParts] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is not set');
+  }
+
+  switch (command) {
+    case 'list': {
+      const facilities = await listFacilities();
+      for (const facility of facilities) {
+        console.log(`${facility.facility_id}  ${facility.name || ''}`);
+      }
+      if (facilities.length === 0) {
+        console.log('No facilities registered');
+      }
+      break;
+    }
+    case 'add': {
+      if (!facilityId) {
+        throw new Error('Usage: facilities add <facility_id> [name]');
+      }
+      const facility = await upsertFacility(facilityId, nameParts.join(' ') || null);
+      console.log(`Registered facility ${facility.facility_id}${facility.name ? ` (${facility.name})` : ''}`);
+      break;
+    }
+    case 'remove': {
+      if (!facilityId) {
+        throw new Error('Usage: facilities remove <facility_id>');
+      }
+      const removed = await deactivateFacility(facilityId);
+      console.log(removed ? `Deactivated facility ${facilityId}` : `Facility ${facilityId} is not registered`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected list, add or remove)`);
+  }
+};
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error(error.message);
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,53 @@
+/**
+ * Schema migration command
+ *
+ * Usage:
+ *   node scripts/migrate.js up
+ *   node scripts/migrate.js down [steps]
+ *   node scripts/migrate.js status
+ */
+require('dotenv').config();
+const { migrateUp, migrateDown, migrationStatus } = require('../functions/migrations');
+const { closePool } = require('../functions/database');
+
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is not set');
+  }
+
+  switch (command) {
+    case 'up':
+      await migrateUp();
+      break;
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      await migrateDown(steps);
+      break;
+    }
+    case 'status': {
+      const status = await migrationStatus();
+      for (const migration of status) {
+        const state = migration.applied
+          ? `applied ${migration.applied_at.toISOString()}${migration.checksum_ok ? '' : ' (CHECKSUM MISMATCH)'}`
+          : 'pending';
+        console.log(`${migration.id}  ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+};
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error(error.message);
+    await closePool();
+    process.exit(1);
+  });
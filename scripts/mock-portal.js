@@ -0,0 +1,73 @@
+/**
+ * Run the mock portal and authme service on localhost
+ *
+ * Serves sampleresponse.json as the facility signups response and
+ * fixtures/elearning_codes.json as the e-learning codes response by default.
+ * Point the app at it with:
+ *   PORTAL_BASE_URL=http://localhost:4010
+ *   EXTERNAL_WEBHOOK_URL=http://localhost:4010/authme
+ *
+ * Usage:
+ *   node scripts/mock-portal.js [--port 4010] [--signups file] [--elearning-codes file]
+ *     [--session-ttl seconds]
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createMockPortal } = require('../functions/mockPortal');
+
+const DEFAULT_PORT = 4010;
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Default value
+ * @returns {string} - Option value
+ */
+const getOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) {
+    return fallback;
+  }
+  const value = process.argv[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`--${name} needs a value`);
+  }
+  return value;
+};
+
+const main = () => {
+  const port = parseInt(getOption('port', String(DEFAULT_PORT)), 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('--port must be a port number');
+  }
+
+  const sessionTtlSeconds = parseInt(getOption('session-ttl', '0'), 10);
+  if (!Number.isInteger(sessionTtlSeconds) || sessionTtlSeconds < 0) {
+    throw new Error('--session-ttl must be a number of seconds');
+  }
+
+  const fixtures = {
+    signups: path.resolve(getOption('signups', path.join(__dirname, '../sampleresponse.json'))),
+    elearningCodes: path.resolve(getOption('elearning-codes', path.join(__dirname, '../fixtures/elearning_codes.json')))
+  };
+  for (const file of Object.values(fixtures)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Fixture not found: ${file}`);
+    }
+  }
+
+  createMockPortal({ ...fixtures, sessionTtlSeconds }).listen(port, () => {
+    console.log(`Mock portal listening on http://localhost:${port}`);
+    console.log(`  signups fixture:          ${fixtures.signups}`);
+    console.log(`  e-learning codes fixture: ${fixtures.elearningCodes}`);
+    console.log(`Use PORTAL_BASE_URL=http://localhost:${port} EXTERNAL_WEBHOOK_URL=http://localhost:${port}/authme`);
+  });
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+/**
+ * Import saved portal responses and save portal snapshots
+ *
+ * Usage:
+ *   node scripts/portal.js import-signups <file.json> [--reconcile] [--dry-run]
+ *   node scripts/portal.js import-elearning-codes <file.json> [--reconcile] [--dry-run]
+ *   node scripts/portal.js snapshot [--facility id] [--type facility-signups|elearning-codes]
+ *     [--out dir]
+ */
+require('dotenv').config();
+const { readSnapshot, importSnapshot, takeSnapshot } = require('../functions/snapshots');
+const { closePool } = require('../functions/database');
+
+const IMPORT_COMMANDS = {
+  'import-signups': 'facility-signups',
+  'import-elearning-codes': 'elearning-codes'
+};
+
+/**
+ * Read a command line option
+ * @param {Array<string>} args - Arguments after the command
+ * @param {string} name - Option name without dashes
+ * @param {string} [fallback] - Default value
+ * @returns {string|undefined} - Option value
+ */
+const getOption = (args, name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) {
+    return fallback;
+  }
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`--${name} needs a value`);
+  }
+  return value;
+};
+
+/**
+ * Print the summary of an import
+ * @param {string} file - Imported file
+ * @param {Object} result - Result of importSnapshot
+ */
+const printImportSummary = (file, result) => {
+  const { stats, database } = result;
+  const parts = Object.values(database).filter((part) => part && typeof part === 'object');
+  const total = (name) => parts.reduce((sum, part) => sum + (part[name] || 0), 0);
+
+  console.log('');
+  console.log(`${result.status === 'success' ? 'Imported' : 'Import failed:'} ${file}${result.dry_run ? ' (dry run, nothing was saved)' : ''}`);
+  console.log(`  sync type:     ${result.sync_type}`);
+  console.log(`  facility:      ${result.facility_id || 'several or unknown'}`);
+  if (result.run_id !== null) {
+    console.log(`  sync run:      ${result.run_id}`);
+  }
+  console.log(`  records:       ${stats.fetched}`);
+  console.log(`  inserted:      ${stats.inserted}`);
+  console.log(`  updated:       ${stats.updated}`);
+  console.log(`  unchanged:     ${stats.unchanged}`);
+  console.log(`  removed:       ${stats.removed}`);
+  console.log(`  failed:        ${stats.failed} (${total('rejected')} rejected by validation)`);
+  console.log(`  dead letters:  ${total('deadLettered')}`);
+  console.log(`  events queued: ${total('events')}`);
+  console.log(`  duration:      ${result.duration_ms} ms`);
+  if (result.error) {
+    console.log(`  error:         ${result.error}`);
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is not set');
+  }
+
+  if (IMPORT_COMMANDS[command]) {
+    const file = args[0];
+    if (!file || file.startsWith('--')) {
+      throw new Error(`Usage: portal ${command} <file.json> [--reconcile] [--dry-run]`);
+    }
+    const result = await importSnapshot(IMPORT_COMMANDS[command], readSnapshot(file), {
+      reconcile: args.includes('--reconcile'),
+      dryRun: args.includes('--dry-run')
+    });
+    printImportSummary(file, result);
+    if (result.status !== 'success') {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'snapshot') {
+    const type = getOption(args, 'type');
+    const results = await takeSnapshot({
+      facilityId: getOption(args, 'facility'),
+      syncTypes: type ? [type] : undefined,
+      outDir: getOption(args, 'out', 'snapshots')
+    });
+    console.log('');
+    for (const result of results) {
+      if (result.error) {
+        console.log(`FAILED  ${result.facility_id}  ${result.sync_type}  ${result.error}`);
+      } else {
+        console.log(`saved   ${result.facility_id}  ${result.sync_type}  ${result.records} records, ${result.bytes} bytes  ${result.file}`);
+      }
+    }
+    const failed = results.filter((result) => result.error).length;
+    console.log(`${results.length - failed} snapshot(s) saved, ${failed} failed`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  throw new Error(`Unknown command: ${command} (expected import-signups, import-elearning-codes or snapshot)`);
+};
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error(error.message);
+    await closePool();
+    process.exit(1);
+  });
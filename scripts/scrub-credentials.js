@@ -0,0 +1,119 @@
+/**
+ * One-off scrub of credential fields already stored in get_facility_signups
+ *
+ * Applies the current field policy (see functions/fieldPolicy.js) to rows
+ * written before the policy existed: dropped fields are set to NULL, hashed
+ * and encrypted fields are transformed unless they already are. Whether a
+ * value already is hashed or encrypted is decided by fieldPolicy.js (a
+ * well-formed digest, a value that decrypts), not by its prefix alone.
+ *
+ * Usage:
+ *   node scripts/scrub-credentials.js [--dry-run]
+ */
+require('dotenv').config();
+const { storage, closePool } = require('../functions/database');
+const { getFieldPolicy, applyAction } = require('../functions/fieldPolicy');
+
+const BATCH_SIZE = 500;
+
+// Columns of get_facility_signups the policy may apply to
+const CREDENTIAL_COLUMNS = ['password', 'remember_token', 'biometric_key'];
+
+// Actions that change stored values
+const SCRUB_ACTIONS = ['drop', 'hash', 'encrypt'];
+
+/**
+ * Work out the new values of a row's credential columns
+ * @param {Object} row - Row with the credential columns
+ * @param {Array<string>} columns - Columns to scrub
+ * @param {Object} policy - Field policy
+ * @returns {Object|null} - column -> new value for the columns that change,
+ *   or null when the row is already scrubbed
+ */
+const scrubRow = (row, columns, policy) => {
+  const changes = {};
+  for (const column of columns) {
+    const value = applyAction(policy[column], row[column]);
+    if (value !== row[column]) {
+      changes[column] = value;
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is not set');
+  }
+
+  const policy = getFieldPolicy();
+  const columns = CREDENTIAL_COLUMNS.filter((column) => SCRUB_ACTIONS.includes(policy[column]));
+
+  if (columns.length === 0) {
+    console.log('Field policy allows every credential column, nothing to scrub');
+    return;
+  }
+
+  // Values are checked in JS, so every row with a credential is read
+  const condition = columns.map((column) => `${column} IS NOT NULL`).join(' OR ');
+  console.log(`Scrubbing ${columns.map((c) => `${c} (${policy[c]})`).join(', ')}${dryRun ? ' [dry run]' : ''}`);
+
+  let scrubbed = 0;
+  let lastUserId = null;
+
+  // Walk the table by key so every row is visited once even as it changes
+  for (;;) {
+    const params = [BATCH_SIZE];
+    let where = `(${condition})`;
+    if (lastUserId !== null) {
+      params.push(lastUserId);
+      where += ' AND user_id > $2';
+    }
+
+    const batch = await storage.query(
+      `SELECT user_id, ${columns.join(', ')} FROM get_facility_signups WHERE ${where} ORDER BY user_id LIMIT $1`,
+      params
+    );
+    if (batch.rows.length === 0) {
+      break;
+    }
+    lastUserId = batch.rows[batch.rows.length - 1].user_id;
+
+    const pending = batch.rows
+      .map((row) => ({ userId: row.user_id, changes: scrubRow(row, columns, policy) }))
+      .filter((entry) => entry.changes);
+    scrubbed += pending.length;
+    if (dryRun || pending.length === 0) {
+      continue;
+    }
+
+    const client = await storage.connect();
+    try {
+      await client.query('BEGIN');
+      for (const { userId, changes } of pending) {
+        const assignments = Object.keys(changes).map((column, i) => `${column} = $${i + 2}`).join(', ');
+        await client.query(`UPDATE get_facility_signups SET ${assignments} WHERE user_id = $1`, [userId, ...Object.values(changes)]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`Scrubbed ${scrubbed} rows...`);
+  }
+
+  console.log(dryRun ? `${scrubbed} rows need scrubbing` : `Done: scrubbed ${scrubbed} rows`);
+};
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error(error.message);
+    await closePool();
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+/**
+ * Cron expression matching
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextRun } = require('../functions/cron');
+
+/**
+ * The next `count` run days after a start date, as YYYY-MM-DD
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of runs
+ * @returns {Array<string>} - Local dates of the runs
+ */
+const runDays = (expression, count) => {
+  const days = [];
+  let from = new Date(2025, 0, 1, 12, 0);
+  for (let i = 0; i < count; i++) {
+    from = nextRun(expression, from);
+    days.push(`${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-${String(from.getDate()).padStart(2, '0')}`);
+  }
+  return days;
+};
+
+test('a stepped day of month does not widen a day of week restriction', () => {
+  // Mondays only: every day of month matches */1, so this is not an OR of both fields
+  assert.deepStrictEqual(runDays('0 3 */1 * 1', 3), ['2025-01-06', '2025-01-13', '2025-01-20']);
+});
+
+test('a stepped day of week does not widen a day of month restriction', () => {
+  // The 15th, when it falls on Sunday, Tuesday, Thursday or Saturday
+  assert.deepStrictEqual(runDays('0 3 15 * */2', 3), ['2025-02-15', '2025-03-15', '2025-04-15']);
+});
+
+test('two restricted day fields match either of them', () => {
+  // The 10th, or any Sunday
+  assert.deepStrictEqual(runDays('0 3 10 * 0', 3), ['2025-01-05', '2025-01-10', '2025-01-12']);
+});
@@ -0,0 +1,95 @@
+/**
+ * Change detection of the sync inserts, run against an in-memory SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'silent';
+process.env.FIELD_POLICY = JSON.stringify({ password: 'encrypt', remember_token: 'hash' });
+process.env.FIELD_ENCRYPTION_KEY = '11'.repeat(32);
+process.env.FIELD_HASH_KEY = 'test-hash-key';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { storage, insertFacilitySignups, insertCourseInfo } = require('../functions/database');
+const { migrateUp } = require('../functions/migrations');
+const { decryptField } = require('../functions/fieldPolicy');
+
+/**
+ * Build portal users of one facility
+ * @param {number} count - Number of users
+ * @returns {Array<Object>} - Users as the portal sends them
+ */
+const buildUsers = (count) => {
+  const users = [];
+  for (let i = 0; i < count; i++) {
+    users.push({
+      user_id: 5000 + i,
+      id: 5000 + i,
+      facility_id: 5261,
+      username: `user${i}`,
+      first_name: 'Test',
+      last_name: `User ${i}`,
+      password: `$2y$10$secret${i}`,
+      remember_token: `token${i}`,
+      created_at: '2025-06-24 22:10:47',
+      updated_at: '2025-06-25 17:01:22'
+    });
+  }
+  return users;
+};
+
+test.before(() => migrateUp());
+
+test.after(() => storage.close());
+
+test('a second sync of the same users under an encrypt policy changes nothing', async () => {
+  const users = buildUsers(25);
+  const first = await insertFacilitySignups(users);
+  assert.strictEqual(first.inserted, 25);
+
+  const second = await insertFacilitySignups(buildUsers(25));
+  assert.strictEqual(second.unchanged, 25);
+  assert.strictEqual(second.updated, 0);
+  assert.strictEqual(second.inserted, 0);
+});
+
+test('a changed encrypted value is still written', async () => {
+  const users = buildUsers(25);
+  users[3].password = '$2y$10$changed';
+
+  const result = await insertFacilitySignups(users);
+  assert.strictEqual(result.updated, 1);
+  assert.strictEqual(result.unchanged, 24);
+
+  const { rows } = await storage.query('SELECT password FROM get_facility_signups WHERE user_id = $1', [5003]);
+  assert.strictEqual(decryptField(rows[0].password), '$2y$10$changed');
+});
+
+test('a course the database refuses is dead-lettered without losing the others', async () => {
+  await storage.query(`CREATE TRIGGER refuse_course BEFORE INSERT ON course_info WHEN NEW.course_id = 13
+    BEGIN SELECT RAISE(ABORT, 'course refused'); END`);
+  try {
+    const courses = {
+      'Agency A': [{ course_id: 11, label: 'Open Water' }, { course_id: 12, label: 'Advanced' }],
+      'Agency B': [{ course_id: 13, label: 'Refused' }, { label: 'No id' }]
+    };
+    const result = await insertCourseInfo(courses);
+    assert.strictEqual(result.inserted, 2);
+    assert.strictEqual(result.errorCount, 1);
+    assert.strictEqual(result.rejected, 1);
+    assert.match(result.message, /2 added, 0 updated, 0 unchanged, 1 errors, 1 rejected/);
+
+    const stored = await storage.query('SELECT course_id FROM course_info ORDER BY course_id');
+    assert.deepStrictEqual(stored.rows.map((row) => row.course_id), [11, 12]);
+
+    const letters = await storage.query("SELECT record_key, stage FROM dead_letters WHERE record_type = 'courses' ORDER BY stage");
+    assert.deepStrictEqual(letters.rows, [
+      { record_key: '13', stage: 'database' },
+      { record_key: null, stage: 'validation' }
+    ]);
+
+    const again = await insertCourseInfo({ 'Agency A': courses['Agency A'] });
+    assert.match(again.message, /^Inserted\/Updated 2 courses \(0 added, 0 updated, 2 unchanged/);
+  } finally {
+    await storage.query('DROP TRIGGER refuse_course');
+  }
+});
@@ -0,0 +1,151 @@
+/**
+ * Field policy actions and the credential scrub script
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-policy-'));
+process.env.DATABASE_URL = `sqlite:${path.join(tempDir, 'portal.db')}`;
+process.env.LOG_LEVEL = 'silent';
+process.env.FIELD_ENCRYPTION_KEY = '22'.repeat(32);
+process.env.FIELD_HASH_KEY = 'test-hash-key';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const {
+  getFieldPolicy,
+  hashField,
+  encryptField,
+  decryptField,
+  applyStoragePolicy,
+  applyResponsePolicy
+} = require('../functions/fieldPolicy');
+
+const USER = {
+  user_id: 1,
+  first_name: 'Test',
+  password: '$2y$10$secret',
+  remember_token: 'remember-me',
+  biometric_key: 'biometric'
+};
+
+test.beforeEach(() => {
+  delete process.env.FIELD_POLICY;
+});
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('credential fields are dropped by default', () => {
+  const stored = applyStoragePolicy(USER);
+  assert.deepStrictEqual(stored, { user_id: 1, first_name: 'Test', password: null, remember_token: null, biometric_key: null });
+
+  const returned = applyResponsePolicy(USER);
+  assert.deepStrictEqual(returned, { user_id: 1, first_name: 'Test' });
+});
+
+test('allow keeps the value in storage and responses', () => {
+  process.env.FIELD_POLICY = JSON.stringify({ password: 'allow' });
+  assert.strictEqual(applyStoragePolicy(USER).password, USER.password);
+  assert.strictEqual(applyResponsePolicy(USER).password, USER.password);
+  // The other defaults still apply
+  assert.strictEqual(applyStoragePolicy(USER).remember_token, null);
+});
+
+test('hash stores a keyed digest and hides the field from responses', () => {
+  process.env.FIELD_POLICY = JSON.stringify({ password: 'hash' });
+  const stored = applyStoragePolicy(USER);
+  assert.match(stored.password, /^hmac-sha256:[0-9a-f]{64}$/);
+  assert.strictEqual(stored.password, hashField(USER.password));
+  assert.strictEqual(applyStoragePolicy(stored).password, stored.password, 'a hashed value is not hashed again');
+  assert.ok(!('password' in applyResponsePolicy(USER)));
+});
+
+test('encrypt stores a value that decrypts to the original', () => {
+  process.env.FIELD_POLICY = JSON.stringify({ password: 'encrypt' });
+  const stored = applyStoragePolicy(USER);
+  assert.match(stored.password, /^enc:v1:/);
+  assert.strictEqual(decryptField(stored.password), USER.password);
+  assert.notStrictEqual(encryptField(USER.password), stored.password, 'every encryption uses a new IV');
+  assert.strictEqual(applyStoragePolicy(stored).password, stored.password, 'an encrypted value is not encrypted again');
+  assert.ok(!('password' in applyResponsePolicy(USER)));
+});
+
+test('missing values stay null under every action', () => {
+  for (const action of ['allow', 'drop', 'hash', 'encrypt']) {
+    process.env.FIELD_POLICY = JSON.stringify({ password: action });
+    assert.strictEqual(applyStoragePolicy({ password: null }).password, null, action);
+  }
+});
+
+test('portal values that only look processed are still processed', () => {
+  const fakeHash = 'hmac-sha256:not-a-digest';
+  assert.notStrictEqual(hashField(fakeHash), fakeHash);
+
+  for (const fake of ['enc:v1:plain text', `enc:v1:${'A'.repeat(16)}:${'B'.repeat(22)}==:QUJD`]) {
+    const encrypted = encryptField(fake);
+    assert.notStrictEqual(encrypted, fake);
+    assert.strictEqual(decryptField(encrypted), fake);
+  }
+});
+
+test('a value encrypted with another key is encrypted again', () => {
+  const otherKey = encryptField('x');
+  process.env.FIELD_ENCRYPTION_KEY = '33'.repeat(32);
+  try {
+    const encrypted = encryptField(otherKey);
+    assert.notStrictEqual(encrypted, otherKey);
+    assert.strictEqual(decryptField(encrypted), otherKey);
+  } finally {
+    process.env.FIELD_ENCRYPTION_KEY = '22'.repeat(32);
+  }
+});
+
+test('an unknown action is rejected', () => {
+  process.env.FIELD_POLICY = JSON.stringify({ password: 'shred' });
+  assert.throws(() => getFieldPolicy(), /Invalid field policy action "shred"/);
+});
+
+test('the scrub script transforms stored credentials once', async () => {
+  const { storage } = require('../functions/database');
+  const { migrateUp } = require('../functions/migrations');
+  await migrateUp();
+
+  const alreadyEncrypted = encryptField('stored earlier');
+  const rows = [
+    [1, 'raw password', 'raw token', 'raw key'],
+    [2, alreadyEncrypted, hashField('token'), null],
+    [3, 'enc:v1:looks encrypted', null, null],
+    [4, null, null, null]
+  ];
+  for (const row of rows) {
+    await storage.query(
+      'INSERT INTO get_facility_signups (user_id, password, remember_token, biometric_key) VALUES ($1, $2, $3, $4)',
+      row
+    );
+  }
+  await storage.close();
+
+  const run = (...args) => execFileSync(process.execPath, [path.join(__dirname, '../scripts/scrub-credentials.js'), ...args], {
+    env: { ...process.env, FIELD_POLICY: JSON.stringify({ password: 'encrypt', remember_token: 'hash' }) },
+    encoding: 'utf8'
+  });
+
+  assert.match(run('--dry-run'), /^2 rows need scrubbing$/m);
+  assert.match(run(), /Done: scrubbed 2 rows/);
+  assert.match(run(), /Done: scrubbed 0 rows/);
+
+  const Database = require('better-sqlite3');
+  const db = new Database(process.env.DATABASE_URL.slice('sqlite:'.length), { readonly: true });
+  const stored = new Map(db.prepare('SELECT * FROM get_facility_signups').all().map((row) => [row.user_id, row]));
+  db.close();
+
+  assert.strictEqual(decryptField(stored.get(1).password), 'raw password');
+  assert.strictEqual(stored.get(1).remember_token, hashField('raw token'));
+  assert.strictEqual(stored.get(1).biometric_key, null);
+  assert.strictEqual(stored.get(2).password, alreadyEncrypted);
+  assert.strictEqual(stored.get(2).remember_token, hashField('token'));
+  assert.strictEqual(decryptField(stored.get(3).password), 'enc:v1:looks encrypted');
+  assert.strictEqual(stored.get(4).password, null);
+});
@@ -0,0 +1,136 @@
+/**
+ * Redaction of personal and credential data in log records
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, withLogContext, redact, scrubText, serializeError } = require('../functions/logger');
+
+/**
+ * Log through a fresh logger and capture the JSON records it writes
+ * @param {Function} fn - Receives the logger
+ * @returns {Array<Object>} - Records written to stdout and stderr
+ */
+const capture = (fn) => {
+  const lines = [];
+  const original = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const collect = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  process.stdout.write = collect;
+  process.stderr.write = collect;
+  try {
+    fn(createLogger('test'));
+  } finally {
+    process.stdout.write = original.stdout;
+    process.stderr.write = original.stderr;
+  }
+  return lines.map((line) => JSON.parse(line));
+};
+
+test.beforeEach(() => {
+  process.env.LOG_LEVEL = 'debug';
+  delete process.env.LOG_FORMAT;
+  delete process.env.LOG_REDACT_FIELDS;
+});
+
+test('person name fields are redacted at any depth', () => {
+  const safe = redact({
+    user: { first_name: 'Kathryn', middle_name: 'Anne', last_name: 'Adamson', full_name: 'Kathryn Adamson' },
+    users: [{ FIRST_NAME: 'Ben', email: 'ben@example.com', dob: '1993-03-29' }]
+  });
+  assert.deepStrictEqual(safe, {
+    user: { first_name: '[redacted]', middle_name: '[redacted]', last_name: '[redacted]', full_name: '[redacted]' },
+    users: [{ FIRST_NAME: '[redacted]', email: '[redacted]', dob: '[redacted]' }]
+  });
+});
+
+test('facility, course and export names are kept', () => {
+  const fields = { name: 'Blue Reef Divers', facility_name: 'Blue Reef Divers', course_name: 'Open Water', export: 'signups' };
+  assert.deepStrictEqual(redact(fields), fields);
+  assert.deepStrictEqual(redact({ facilities: [{ facility_id: 5261, name: 'Blue Reef Divers' }] }),
+    { facilities: [{ facility_id: 5261, name: 'Blue Reef Divers' }] });
+});
+
+test('credential fields are redacted wherever the word appears in the name', () => {
+  const safe = redact({
+    password: 'hunter2',
+    remember_token: 'abc',
+    'X-XSRF-TOKEN': 'def',
+    Authorization: 'Bearer ghi',
+    webhook_secret: 'jkl',
+    apiKey: 'mno',
+    biometric_key: 'pqr',
+    count: 3
+  });
+  for (const [field, value] of Object.entries(safe)) {
+    assert.strictEqual(value, field === 'count' ? 3 : '[redacted]', field);
+  }
+});
+
+test('null values are logged as null, not as redacted', () => {
+  assert.deepStrictEqual(redact({ email: null, password: null }), { email: null, password: null });
+});
+
+test('LOG_REDACT_FIELDS adds field names', () => {
+  assert.strictEqual(redact({ gender: 'f' }).gender, 'f');
+  process.env.LOG_REDACT_FIELDS = ' Gender , nationality';
+  assert.deepStrictEqual(redact({ gender: 'f', nationality: 'NZ', name: 'Blue Reef Divers' }),
+    { gender: '[redacted]', nationality: '[redacted]', name: 'Blue Reef Divers' });
+});
+
+test('e-mail addresses, URL credentials and query strings are masked in text', () => {
+  assert.strictEqual(scrubText('Signup for kathryn.adamson@example.co.nz failed'), 'Signup for [email] failed');
+  assert.strictEqual(scrubText('connect to postgres://app:s3cret@db:5432/portal'), 'connect to postgres://[redacted]@db:5432/portal');
+  assert.strictEqual(scrubText('GET https://portal.example.com/api/users?token=abc&id=1 failed'),
+    'GET https://portal.example.com/api/users?[redacted] failed');
+  assert.deepStrictEqual(redact({ note: 'sent to ben@example.com' }), { note: 'sent to [email]' });
+});
+
+test('errors are logged as type, message, code and a scrubbed stack', () => {
+  const error = new Error('Login failed for ben@example.com at https://portal.example.com/login?next=/');
+  error.code = 'E_LOGIN';
+  error.statusCode = 401;
+
+  const fields = serializeError(error);
+  assert.strictEqual(fields.type, 'Error');
+  assert.strictEqual(fields.message, 'Login failed for [email] at https://portal.example.com/login?[redacted]');
+  assert.strictEqual(fields.code, 'E_LOGIN');
+  assert.strictEqual(fields.status_code, 401);
+  assert.ok(!fields.stack.includes('ben@example.com'));
+
+  assert.deepStrictEqual(serializeError({ password: 'x', reason: 'timeout' }), {
+    message: '{"password":"[redacted]","reason":"timeout"}'
+  });
+});
+
+test('records written by a logger are redacted, including context and bound fields', () => {
+  const records = capture((log) => {
+    withLogContext({ request_id: 'r1', email: 'ctx@example.com' }, () => {
+      log.child({ facility_id: 5261, name: 'Blue Reef Divers', token: 't' })
+        .info('Synced users of ben@example.com', { first_name: 'Ben', course_name: 'Open Water' });
+      log.error('Sync failed', { error: new Error('bad password for ben@example.com') });
+    });
+  });
+
+  assert.strictEqual(records.length, 2);
+  const [info, error] = records;
+  assert.strictEqual(info.msg, 'Synced users of [email]');
+  assert.strictEqual(info.request_id, 'r1');
+  assert.strictEqual(info.email, '[redacted]');
+  assert.strictEqual(info.name, 'Blue Reef Divers');
+  assert.strictEqual(info.token, '[redacted]');
+  assert.strictEqual(info.first_name, '[redacted]');
+  assert.strictEqual(info.course_name, 'Open Water');
+  assert.strictEqual(error.level, 'error');
+  assert.strictEqual(error.error.message, 'bad password for [email]');
+});
+
+test('records below LOG_LEVEL are not written', () => {
+  process.env.LOG_LEVEL = 'warn';
+  const records = capture((log) => {
+    log.info('skipped');
+    log.warn('kept');
+  });
+  assert.deepStrictEqual(records.map((record) => record.msg), ['kept']);
+});
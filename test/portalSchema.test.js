@@ -0,0 +1,182 @@
+/**
+ * Portal record validation and timestamp conversion
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SIGNUP_SCHEMA,
+  ELEARNING_CODE_SCHEMA,
+  getPortalTimezone,
+  toUtcTimestamp,
+  validateRecords,
+  validateCourses
+} = require('../functions/portalSchema');
+
+test.beforeEach(() => {
+  delete process.env.PORTAL_TIMEZONE;
+});
+
+test('portal timestamps are read in PORTAL_TIMEZONE and stored as UTC', () => {
+  const record = { user_id: 1, created_at: '2025-06-24 22:10:47' };
+  assert.strictEqual(validateRecords(SIGNUP_SCHEMA, [record]).rows[0].created_at, '2025-06-24T22:10:47.000Z');
+
+  process.env.PORTAL_TIMEZONE = 'Australia/Sydney';
+  assert.strictEqual(validateRecords(SIGNUP_SCHEMA, [record]).rows[0].created_at, '2025-06-24T12:10:47.000Z');
+
+  process.env.PORTAL_TIMEZONE = 'America/New_York';
+  assert.strictEqual(validateRecords(SIGNUP_SCHEMA, [record]).rows[0].created_at, '2025-06-25T02:10:47.000Z');
+});
+
+test('timestamps with an explicit offset keep it', () => {
+  process.env.PORTAL_TIMEZONE = 'Australia/Sydney';
+  const { rows } = validateRecords(SIGNUP_SCHEMA, [
+    { user_id: 1, created_at: '2025-06-24T22:10:47Z' },
+    { user_id: 2, created_at: '2025-06-24 22:10:47+02:00' }
+  ]);
+  assert.strictEqual(rows[0].created_at, '2025-06-24T22:10:47.000Z');
+  assert.strictEqual(rows[1].created_at, '2025-06-24T20:10:47.000Z');
+});
+
+test('times around a change to daylight saving time', () => {
+  const zone = 'America/New_York';
+  assert.strictEqual(toUtcTimestamp('2025-03-09 01:59:59', zone), '2025-03-09T06:59:59.000Z');
+  // 02:00 to 02:59 do not exist that night; they move forward by the hour skipped
+  assert.strictEqual(toUtcTimestamp('2025-03-09 02:30:00', zone), '2025-03-09T07:30:00.000Z');
+  assert.strictEqual(toUtcTimestamp('2025-03-09 03:00:00', zone), '2025-03-09T07:00:00.000Z');
+
+  assert.strictEqual(toUtcTimestamp('2025-09-28 01:59:59', 'Pacific/Auckland'), '2025-09-27T13:59:59.000Z');
+  assert.strictEqual(toUtcTimestamp('2025-09-28 02:30:00', 'Pacific/Auckland'), '2025-09-27T14:30:00.000Z');
+  assert.strictEqual(toUtcTimestamp('2025-09-28 03:00:00', 'Pacific/Auckland'), '2025-09-27T14:00:00.000Z');
+});
+
+test('times around a change back to standard time', () => {
+  // 01:00 to 01:59 happen twice; the first (daylight saving) one is used
+  assert.strictEqual(toUtcTimestamp('2025-11-02 00:59:59', 'America/New_York'), '2025-11-02T04:59:59.000Z');
+  assert.strictEqual(toUtcTimestamp('2025-11-02 01:30:00', 'America/New_York'), '2025-11-02T05:30:00.000Z');
+  assert.strictEqual(toUtcTimestamp('2025-11-02 02:00:00', 'America/New_York'), '2025-11-02T07:00:00.000Z');
+
+  assert.strictEqual(toUtcTimestamp('2025-10-26 02:30:00', 'Europe/Berlin'), '2025-10-26T00:30:00.000Z');
+  assert.strictEqual(toUtcTimestamp('2025-04-06 02:30:00', 'Pacific/Auckland'), '2025-04-05T13:30:00.000Z');
+});
+
+test('fractional seconds are kept to the millisecond', () => {
+  assert.strictEqual(toUtcTimestamp('2025-06-24 22:10:47.123456', 'UTC'), '2025-06-24T22:10:47.123Z');
+});
+
+test('missing values stay NULL instead of becoming 0, empty text or now', () => {
+  const { rows, report } = validateRecords(SIGNUP_SCHEMA, [
+    { user_id: 1 },
+    {
+      user_id: 2,
+      login_count: null,
+      created_at: null,
+      dob: '',
+      meta_data: null,
+      gender: '',
+      email_verified_at: ''
+    }
+  ]);
+
+  for (const row of rows) {
+    for (const [name] of SIGNUP_SCHEMA.fields) {
+      if (name !== 'user_id') {
+        assert.strictEqual(row[name], null, `${name} of user ${row.user_id}`);
+      }
+    }
+  }
+  assert.strictEqual(report.accepted, 2);
+  assert.strictEqual(report.rejected_fields_count, 0);
+});
+
+test('an empty string stays an empty string for text fields', () => {
+  const { rows } = validateRecords(SIGNUP_SCHEMA, [{ user_id: 1, middle_name: '' }]);
+  assert.strictEqual(rows[0].middle_name, '');
+});
+
+test('values are normalized to their field type', () => {
+  const { rows, report } = validateRecords(SIGNUP_SCHEMA, [{
+    user_id: '42',
+    member_number: 12345,
+    dob: ' 1993-03-29 ',
+    external_ids: JSON.stringify(JSON.stringify({ moodle_1: 136900 })),
+    meta_data: { tour: 0 }
+  }]);
+  assert.strictEqual(report.rejected_fields_count, 0);
+  assert.strictEqual(rows[0].user_id, 42);
+  assert.strictEqual(rows[0].member_number, '12345');
+  assert.strictEqual(rows[0].dob, '1993-03-29');
+  assert.deepStrictEqual(rows[0].external_ids, { moodle_1: 136900 });
+  assert.deepStrictEqual(rows[0].meta_data, { tour: 0 });
+
+  const codes = validateRecords(ELEARNING_CODE_SCHEMA, [{ id: 1, course_meta: { level: 2 } }]);
+  assert.strictEqual(codes.rows[0].course_meta, '{"level":2}');
+});
+
+test('invalid field values are stored as NULL and reported', () => {
+  const { rows, report } = validateRecords(SIGNUP_SCHEMA, [{
+    user_id: 7,
+    login_count: 'many',
+    status_id: 2147483648,
+    dob: '2025-02-30',
+    created_at: 'yesterday',
+    updated_at: '2025-06-24 24:00:00',
+    external_ids: '[1, 2]',
+    username: { nested: true }
+  }]);
+
+  assert.strictEqual(report.accepted, 1);
+  assert.deepStrictEqual(report.rejected_fields_by_name, {
+    username: 1,
+    created_at: 1,
+    updated_at: 1,
+    status_id: 1,
+    login_count: 1,
+    dob: 1,
+    external_ids: 1
+  });
+  for (const field of Object.keys(report.rejected_fields_by_name)) {
+    assert.strictEqual(rows[0][field], null, field);
+  }
+  const reasons = Object.fromEntries(report.rejected_fields.map((entry) => [entry.field, entry.reason]));
+  assert.strictEqual(reasons.login_count, 'not an integer');
+  assert.strictEqual(reasons.status_id, 'integer out of range');
+  assert.strictEqual(reasons.dob, 'not a valid date');
+  assert.strictEqual(reasons.created_at, 'not a valid timestamp');
+  assert.strictEqual(reasons.external_ids, 'not a JSON object');
+});
+
+test('records without a valid key are rejected whole', () => {
+  const records = [{ user_id: 1 }, { user_id: null }, { user_id: 'abc' }, 'not a record', null];
+  const { rows, sourceIndexes, rejections, report } = validateRecords(SIGNUP_SCHEMA, records);
+
+  assert.deepStrictEqual(rows.map((row) => row.user_id), [1]);
+  assert.deepStrictEqual(sourceIndexes, [0]);
+  assert.deepStrictEqual(rejections.map((rejection) => [rejection.index, rejection.reason]), [
+    [1, 'missing or invalid user_id'],
+    [2, 'missing or invalid user_id'],
+    [3, 'not an object'],
+    [4, 'not an object']
+  ]);
+  assert.strictEqual(report.records, 5);
+  assert.strictEqual(report.accepted, 1);
+  assert.strictEqual(report.rejected, 4);
+});
+
+test('courses are validated per agency', () => {
+  const { rows, rejections, report } = validateCourses({
+    'Agency A': [{ course_id: 3, label: 'Open Water' }, { label: 'No id' }],
+    'Agency B': 'not a list'
+  });
+
+  assert.deepStrictEqual(rows, [{ course_id: 3, agency: null, agency_id: null, label: 'Open Water' }]);
+  assert.deepStrictEqual(rejections.map((rejection) => rejection.index), ['Agency A[1]']);
+  assert.deepStrictEqual(report.rejected_records.map((entry) => entry.reason), [
+    'missing or invalid course_id',
+    'course list is not an array'
+  ]);
+});
+
+test('an unknown PORTAL_TIMEZONE is an error', () => {
+  process.env.PORTAL_TIMEZONE = 'Mars/Olympus_Mons';
+  assert.throws(() => getPortalTimezone(), /PORTAL_TIMEZONE is not a valid IANA timezone/);
+});
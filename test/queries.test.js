@@ -0,0 +1,83 @@
+/**
+ * Keyset paging of the list queries, run against an in-memory SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { storage } = require('../functions/database');
+const { migrateUp } = require('../functions/migrations');
+const { listSyncRuns, listElearningCodeHistory } = require('../functions/queries');
+
+// Microseconds, as Postgres' now() writes them; a JS Date keeps only milliseconds
+const SHARED_TIMESTAMP = '2025-06-02T09:30:00.123456Z';
+
+/**
+ * Follow next_cursor until the last page
+ * @param {Function} list - List function (listSyncRuns, ...)
+ * @param {Object} query - Query string without the cursor
+ * @returns {Promise<Array<Object>>} - Every row, in page order
+ */
+const listAll = async (list, query) => {
+  const rows = [];
+  let cursor;
+  for (let page = 0; page < 100; page++) {
+    const result = await list(cursor ? { ...query, cursor } : query);
+    rows.push(...result.data);
+    if (!result.next_cursor) {
+      return rows;
+    }
+    cursor = result.next_cursor;
+  }
+  throw new Error('Paging did not end after 100 pages');
+};
+
+test.before(async () => {
+  await migrateUp();
+  for (let i = 0; i < 12; i++) {
+    await storage.query(
+      'INSERT INTO sync_runs (sync_type, trigger, started_at, duration_ms) VALUES ($1, $2, $3, $4)',
+      ['facility-signups', 'webhook', SHARED_TIMESTAMP, i % 3 === 0 ? null : 100 + (i % 2)]
+    );
+  }
+  // One sync's history rows all get the same seen_at
+  for (let i = 0; i < 20; i++) {
+    await storage.query(
+      'INSERT INTO elearning_code_history (code_id, field, old_value, new_value, seen_at) VALUES ($1, $2, $3, $4, $5)',
+      [1000 + i, 'status_id', '1', '2', SHARED_TIMESTAMP]
+    );
+  }
+});
+
+test.after(() => storage.close());
+
+test('pages through rows sharing one timestamp in both directions', async () => {
+  for (const sort of ['started_at', '-started_at']) {
+    const rows = await listAll(listSyncRuns, { sort, limit: 5 });
+    const ids = rows.map((row) => Number(row.id));
+    assert.strictEqual(new Set(ids).size, 12, `${sort} returns every row once`);
+    assert.deepStrictEqual(ids, [...ids].sort((a, b) => (sort.startsWith('-') ? b - a : a - b)));
+  }
+});
+
+test('pages through NULL sort values without repeating them', async () => {
+  for (const sort of ['duration_ms', '-duration_ms']) {
+    const rows = await listAll(listSyncRuns, { sort, limit: 2 });
+    const ids = rows.map((row) => Number(row.id));
+    assert.strictEqual(new Set(ids).size, 12, `${sort} returns every row once`);
+    assert.deepStrictEqual(rows.slice(-4).map((row) => row.duration_ms), [null, null, null, null]);
+  }
+});
+
+test('pages through e-learning code history written by one sync', async () => {
+  for (const sort of [undefined, '-seen_at']) {
+    const rows = await listAll(listElearningCodeHistory, { sort, limit: 7 });
+    assert.strictEqual(new Set(rows.map((row) => Number(row.id))).size, 20, `${sort || 'default sort'} returns every row once`);
+  }
+});
+
+test('leaves the cursor column out of the rows', async () => {
+  const result = await listSyncRuns({ sort: 'started_at', limit: 1 });
+  assert.deepStrictEqual(Object.keys(result.data[0]).filter((name) => name.startsWith('cursor')), []);
+});
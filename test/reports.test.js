@@ -0,0 +1,65 @@
+/**
+ * Report date ranges in PORTAL_TIMEZONE, run against an in-memory SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = 'silent';
+process.env.PORTAL_TIMEZONE = 'Pacific/Auckland';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { storage } = require('../functions/database');
+const { migrateUp } = require('../functions/migrations');
+const { reportSignupsPerMonth, reportEnrollments, reportUnredeemedCodes } = require('../functions/reports');
+
+// Auckland is UTC+12 in May, so local midnight of 1 May is 12:00 UTC on 30 April
+const CREATED = [
+  '2025-04-30T11:59:59.000Z', // 30 April, 23:59:59 local
+  '2025-04-30T12:00:00.000Z', // 1 May, 00:00 local
+  '2025-05-15T00:00:00.000Z',
+  '2025-05-31T11:59:59.000Z', // 31 May, 23:59:59 local
+  '2025-05-31T12:00:00.000Z' // 1 June, 00:00 local
+];
+
+test.before(async () => {
+  await migrateUp();
+  for (const [index, createdAt] of CREATED.entries()) {
+    await storage.query(
+      'INSERT INTO get_facility_signups (user_id, facility_id, created_at) VALUES ($1, $2, $3)',
+      [100 + index, 5261, createdAt]
+    );
+    await storage.query(
+      'INSERT INTO get_elearning_codes (id, facility_id, course_id, created_at) VALUES ($1, $2, $3, $4)',
+      [200 + index, 5261, 7, createdAt]
+    );
+  }
+});
+
+test.after(() => storage.close());
+
+test('date-only bounds are midnight in the portal time zone', async () => {
+  const all = await reportSignupsPerMonth({});
+  assert.deepStrictEqual(all.data, [
+    { month: '2025-04', signups: 1 },
+    { month: '2025-05', signups: 3 },
+    { month: '2025-06', signups: 1 }
+  ]);
+
+  const may = await reportSignupsPerMonth({ created_from: '2025-05-01', created_to: '2025-06-01' });
+  assert.deepStrictEqual(may.data, [{ month: '2025-05', signups: 3 }]);
+
+  const april = await reportSignupsPerMonth({ created_from: '2025-04-01', created_to: '2025-05-01' });
+  assert.deepStrictEqual(april.data, [{ month: '2025-04', signups: 1 }]);
+});
+
+test('every report reads its date filters in the portal time zone', async () => {
+  const enrollments = await reportEnrollments({ created_from: '2025-05-01', created_to: '2025-06-01' });
+  assert.strictEqual(enrollments.totals.enrollments, 3);
+
+  const unredeemed = await reportUnredeemedCodes({ created_from: '2025-05-01', created_to: '2025-06-01' });
+  assert.deepStrictEqual(unredeemed.data.map((row) => row.id), [201, 202, 203]);
+});
+
+test('bounds with an explicit offset are kept', async () => {
+  const result = await reportSignupsPerMonth({ created_from: '2025-04-30T11:00:00Z', created_to: '2025-04-30T12:00:00Z' });
+  assert.deepStrictEqual(result.data, [{ month: '2025-04', signups: 1 }]);
+});
@@ -0,0 +1,143 @@
+/**
+ * Webhook request signatures
+ */
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { computeSignature, signWebhookRequest, verifyWebhookSignature } = require('../functions/webhookAuth');
+
+const SECRET = 'current-secret';
+const OLD_SECRET = 'previous-secret';
+const BODY = '{"facility_id":"5261"}';
+
+/**
+ * Build a request as express.json leaves it
+ * @param {Object} headers - Request headers
+ * @param {string} [body] - Raw body (undefined when it was not read)
+ * @returns {Object} - Request with get(), rawBody and what the logger reads
+ */
+const buildRequest = (headers, body) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method: 'POST',
+    originalUrl: '/webhook/get-facility-signups',
+    ip: '127.0.0.1',
+    rawBody: body === undefined ? undefined : Buffer.from(body),
+    get: (name) => lower[name.toLowerCase()]
+  };
+};
+
+/**
+ * Run the middleware on a request
+ * @param {Object} req - Request from buildRequest
+ * @returns {Object} - { passed, status, error }
+ */
+const verify = (req) => {
+  const outcome = { passed: false, status: null, error: null };
+  const res = {
+    status: (code) => {
+      outcome.status = code;
+      return res;
+    },
+    json: (body) => {
+      outcome.error = body.error;
+      return res;
+    }
+  };
+  verifyWebhookSignature(req, res, () => {
+    outcome.passed = true;
+  });
+  return outcome;
+};
+
+/**
+ * Signing headers with a chosen timestamp and a fresh nonce
+ * @param {string} secret - Signing secret
+ * @param {string} body - Body to sign
+ * @param {number} timestamp - Unix seconds
+ * @returns {Object} - Headers
+ */
+const signAt = (secret, body, timestamp) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': computeSignature(secret, timestamp, nonce, body)
+  };
+};
+
+test.beforeEach(() => {
+  process.env.WEBHOOK_SECRET = SECRET;
+  delete process.env.WEBHOOK_SECRET_PREVIOUS;
+  delete process.env.WEBHOOK_TOLERANCE_SECONDS;
+});
+
+test('accepts a validly signed request', () => {
+  const outcome = verify(buildRequest(signWebhookRequest(SECRET, BODY), BODY));
+  assert.strictEqual(outcome.passed, true);
+});
+
+test('rejects a request whose body was changed after signing', () => {
+  const outcome = verify(buildRequest(signWebhookRequest(SECRET, BODY), '{"facility_id":"9999"}'));
+  assert.strictEqual(outcome.passed, false);
+  assert.strictEqual(outcome.status, 401);
+  assert.match(outcome.error, /signature mismatch/);
+});
+
+test('rejects a request signed with an unknown secret', () => {
+  const outcome = verify(buildRequest(signWebhookRequest('wrong-secret', BODY), BODY));
+  assert.match(outcome.error, /signature mismatch/);
+});
+
+test('rejects a timestamp outside the window', () => {
+  const stale = Math.floor(Date.now() / 1000) - 301;
+  assert.match(verify(buildRequest(signAt(SECRET, BODY, stale), BODY)).error, /outside the allowed window/);
+
+  const future = Math.floor(Date.now() / 1000) + 301;
+  assert.match(verify(buildRequest(signAt(SECRET, BODY, future), BODY)).error, /outside the allowed window/);
+});
+
+test('WEBHOOK_TOLERANCE_SECONDS widens the window', () => {
+  process.env.WEBHOOK_TOLERANCE_SECONDS = '900';
+  const old = Math.floor(Date.now() / 1000) - 600;
+  assert.strictEqual(verify(buildRequest(signAt(SECRET, BODY, old), BODY)).passed, true);
+});
+
+test('rejects a replayed nonce', () => {
+  const headers = signWebhookRequest(SECRET, BODY);
+  assert.strictEqual(verify(buildRequest(headers, BODY)).passed, true);
+
+  const replay = verify(buildRequest(headers, BODY));
+  assert.strictEqual(replay.passed, false);
+  assert.match(replay.error, /nonce already used/);
+});
+
+test('accepts the previous secret while a rotation is on', () => {
+  assert.match(verify(buildRequest(signWebhookRequest(OLD_SECRET, BODY), BODY)).error, /signature mismatch/);
+
+  process.env.WEBHOOK_SECRET_PREVIOUS = OLD_SECRET;
+  assert.strictEqual(verify(buildRequest(signWebhookRequest(OLD_SECRET, BODY), BODY)).passed, true);
+  assert.strictEqual(verify(buildRequest(signWebhookRequest(SECRET, BODY), BODY)).passed, true);
+});
+
+test('rejects a body that was not captured', () => {
+  // Signed over an empty body, but the request has one express.json did not read
+  const headers = { ...signWebhookRequest(SECRET, ''), 'Content-Length': String(BODY.length) };
+  const outcome = verify(buildRequest(headers, undefined));
+  assert.strictEqual(outcome.passed, false);
+  assert.match(outcome.error, /request body was not captured/);
+});
+
+test('accepts a signed request without a body', () => {
+  const outcome = verify(buildRequest(signWebhookRequest(SECRET, ''), undefined));
+  assert.strictEqual(outcome.passed, true);
+});
+
+test('rejects missing headers and unconfigured signing', () => {
+  assert.match(verify(buildRequest({}, BODY)).error, /missing signature headers/);
+
+  delete process.env.WEBHOOK_SECRET;
+  assert.match(verify(buildRequest(signWebhookRequest(SECRET, BODY), BODY)).error, /not configured/);
+});